@@ -0,0 +1,380 @@
+/**
+ * Fixture tests for ComponentTestGenerator: each test writes a small
+ * project to a temporary directory and checks the generated test source.
+ *
+ * Run with: node --test skills/react-native-testing/scripts/__tests__
+ * (@babel/parser must be resolvable, as it is in React Native projects)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ComponentTestGenerator } = require('../component-test-generator');
+const { createProject } = require('./fixtures');
+
+let hasParser = true;
+try {
+  require.resolve('@babel/parser', { paths: [process.cwd(), path.join(__dirname, '..')] });
+} catch {
+  hasParser = false;
+}
+const skip = hasParser ? false : '@babel/parser is not installed';
+
+/**
+ * Writes `files` (path -> source) into a new project and returns the test
+ * generated for `entry`.
+ */
+function generate(files, entry, options = {}) {
+  const root = createProject(files, {
+    dependencies: { react: '18.2.0', 'react-native': '0.74.1', ...options.dependencies },
+  });
+
+  const generator = new ComponentTestGenerator(path.join(root, entry), { batch: true, ...options.generator });
+  generator.validatePath();
+  generator.readComponent();
+  generator.analyzeComponent();
+  return generator.buildTestContent();
+}
+
+describe('component analysis', { skip }, () => {
+  it('ignores handler, hook and request names in comments and strings', () => {
+    const test = generate({
+      'src/Label.tsx': `import React from 'react';
+import { Text } from 'react-native';
+
+// Was: <Pressable onPress={onPress}> with useState and a FlatList
+export function Label({ text }: { text: string }) {
+  const hint = 'onPress useEffect fetch(';
+  return <Text accessibilityHint={hint}>{text}</Text>;
+}
+`,
+    }, 'src/Label.tsx');
+    assert.match(test, /describe\('Label'/);
+    assert.doesNotMatch(test, /userEvent|fireEvent|waitFor|onPress/);
+  });
+});
+
+describe('context modules', { skip }, () => {
+  const provider = defaultValue => `import React, { createContext, useContext, useState, ReactNode } from 'react';
+
+type ThemeValue = { theme: string; toggle: () => void };
+const toggle = () => {};
+const ThemeContext = createContext<ThemeValue | undefined>(${defaultValue});
+
+export function ThemeProvider({ children }: { children: ReactNode }) {
+  const [theme, setTheme] = useState('light');
+  return (
+    <ThemeContext.Provider value={{ theme, toggle: () => setTheme(t => (t === 'light' ? 'dark' : 'light')) }}>
+      {children}
+    </ThemeContext.Provider>
+  );
+}
+
+export function useTheme() {
+  const context = useContext(ThemeContext);
+  if (!context) throw new Error('useTheme must be used within ThemeProvider');
+  return context;
+}
+`;
+
+  it('tests the guard when the context has no default', () => {
+    const test = generate({ 'src/ThemeContext.tsx': provider('undefined') }, 'src/ThemeContext.tsx');
+    assert.match(test, /toThrow\('useTheme must be used within ThemeProvider'\)/);
+  });
+
+  it('tests the default value instead of a guard when createContext has one', () => {
+    const test = generate({ 'src/ThemeContext.tsx': provider("{ theme: 'light', toggle }") }, 'src/ThemeContext.tsx');
+    assert.doesNotMatch(test, /toThrow/);
+    assert.match(test, /describe\('default value'/);
+  });
+});
+
+describe('request detection', { skip }, () => {
+  const files = {
+    'src/api/users.ts': `const API_URL = 'https://api.example.com';
+
+async function request<T>(path: string, options?: RequestInit): Promise<T> {
+  const response = await fetch(\`\${API_URL}\${path}\`, options);
+  return response.json();
+}
+
+export async function fetchUser(id: string): Promise<{ id: string; name: string }> {
+  const response = await fetch(\`\${API_URL}/users/\${id}\`);
+  return response.json();
+}
+
+export const fetchPosts = () => request<{ id: string }[]>('/posts');
+`,
+    'src/UserCard.tsx': `import React, { useEffect, useState } from 'react';
+import { Text } from 'react-native';
+import { fetchUser, fetchPosts } from './api/users';
+
+export function UserCard({ id }: { id: string }) {
+  const [name, setName] = useState('');
+  useEffect(() => {
+    fetchUser(id).then(user => setName(user.name));
+    fetchPosts();
+  }, [id]);
+  return <Text>{name}</Text>;
+}
+`,
+  };
+
+  it('keeps a parameter inside the URL as a route param', () => {
+    const test = generate(files, 'src/UserCard.tsx', { generator: { withMsw: true } });
+    assert.match(test, /http\.get\('https:\/\/api\.example\.com\/users\/:id'/);
+  });
+
+  it('resolves a request helper with the path its caller passes', () => {
+    const test = generate(files, 'src/UserCard.tsx', { generator: { withMsw: true } });
+    assert.match(test, /http\.get\('https:\/\/api\.example\.com\/posts'/);
+  });
+
+  it('writes MSW v1 handlers for projects on msw 1.x', () => {
+    const test = generate(files, 'src/UserCard.tsx', { generator: { withMsw: true }, dependencies: { msw: '^1.3.0' } });
+    assert.match(test, /^import \{ rest \} from 'msw';$/m);
+    assert.match(test, /rest\.get\('https:\/\/api\.example\.com\/users\/:id', \(req, res, ctx\) => res\(ctx\.status\(200\)/);
+    assert.match(test, /\(req, res\) => res\.networkError\('Failed to connect'\)/);
+    assert.doesNotMatch(test, /HttpResponse|http\./);
+  });
+});
+
+describe('redux stores', { skip }, () => {
+  const files = store => ({
+    'src/features/cartSlice.ts': `import { createSlice } from '@reduxjs/toolkit';
+
+const cartSlice = createSlice({
+  name: 'cart',
+  initialState: { items: [] as string[] },
+  reducers: {
+    addItem: (state, action) => { state.items.push(action.payload); },
+  },
+});
+
+export const { addItem } = cartSlice.actions;
+export default cartSlice.reducer;
+`,
+    'src/store/index.ts': store,
+    'src/Cart.tsx': `import React from 'react';
+import { Text } from 'react-native';
+import { useSelector } from 'react-redux';
+
+export function Cart() {
+  const items = useSelector((state: any) => state.cart.items);
+  return <Text>{items.length} items</Text>;
+}
+`,
+  });
+  const dependencies = { '@reduxjs/toolkit': '2.2.0', 'react-redux': '9.1.0' };
+
+  it('builds the test store from the reducers of an exported configureStore() store', () => {
+    const test = generate(files(`import { configureStore } from '@reduxjs/toolkit';
+import cart from '../features/cartSlice';
+
+export const store = configureStore({ reducer: { cart } });
+`), 'src/Cart.tsx', { dependencies });
+    assert.match(test, /import cart from '\.\/features\/cartSlice';/);
+    assert.match(test, /configureStore\(\{ reducer: \{ cart \}, preloadedState \}\)/);
+    assert.doesNotMatch(test, /TODO: Use the app's reducers/);
+  });
+
+  it('unwraps a combineReducers() root reducer the store module keeps private', () => {
+    const test = generate(files(`import { combineReducers, configureStore } from '@reduxjs/toolkit';
+import cartReducer from '../features/cartSlice';
+
+const rootReducer = combineReducers({ cart: cartReducer });
+export const store = configureStore({ reducer: rootReducer });
+`), 'src/Cart.tsx', { dependencies });
+    assert.match(test, /configureStore\(\{ reducer: \{ cart: cartReducer \}, preloadedState \}\)/);
+  });
+
+  it('uses an exported store factory', () => {
+    const test = generate(files(`import { configureStore } from '@reduxjs/toolkit';
+import cart from '../features/cartSlice';
+
+export function setupStore(preloadedState?: object) {
+  return configureStore({ reducer: { cart }, preloadedState });
+}
+`), 'src/Cart.tsx', { dependencies });
+    assert.match(test, /import \{ setupStore \} from '\.\/store';/);
+    assert.match(test, /const store = setupStore\(preloadedState\);/);
+  });
+});
+
+describe('screens', { skip }, () => {
+  it('unmocks the navigation the scaffolded jest-setup stubs', () => {
+    const test = generate({
+      'src/screens/ProfileScreen.tsx': `import React from 'react';
+import { Text, Pressable } from 'react-native';
+import { useNavigation, useRoute } from '@react-navigation/native';
+
+export default function ProfileScreen() {
+  const navigation = useNavigation<any>();
+  const route = useRoute<any>();
+  return (
+    <Pressable onPress={() => navigation.navigate('Settings')}>
+      <Text>{route.params.userId}</Text>
+    </Pressable>
+  );
+}
+`,
+    }, 'src/screens/ProfileScreen.tsx', {
+      dependencies: { '@react-navigation/native': '6.1.17', '@react-navigation/native-stack': '6.9.26' },
+    });
+    assert.match(test, /<NavigationContainer/);
+    assert.match(test, /jest\.unmock\('@react-navigation\/native'\);/);
+  });
+});
+
+describe('default props', { skip }, () => {
+  const button = `import React from 'react';
+import { Pressable, Text } from 'react-native';
+
+export function Button({ title, variant, onPress }) {
+  return (
+    <Pressable onPress={onPress}>
+      <Text>{title}</Text>
+    </Pressable>
+  );
+}
+`;
+
+  it('types the props object in TypeScript tests', () => {
+    const test = generate({
+      'src/Button.tsx': button.replace('({ title, variant, onPress })',
+        "({ title, variant, onPress }: { title: string; variant: 'primary' | 'secondary'; onPress: () => void })"),
+    }, 'src/Button.tsx');
+    assert.match(test, /import type \{ ComponentProps \} from 'react';/);
+    assert.match(test, /const defaultProps: ComponentProps<typeof Button> = \{/);
+  });
+
+  it('leaves the props object untyped in JavaScript tests', () => {
+    const test = generate({ 'src/Button.jsx': button }, 'src/Button.jsx');
+    assert.match(test, /const defaultProps = \{/);
+    assert.doesNotMatch(test, /ComponentProps/);
+  });
+});
+
+describe('generated setup', { skip }, () => {
+  it('declares only the setup the tests use', () => {
+    const test = generate({
+      'src/Toggle.jsx': `import React from 'react';
+import { Switch } from 'react-native';
+
+export function Toggle({ value, onValueChange }) {
+  return <Switch accessibilityLabel="Dark mode" value={value} onValueChange={onValueChange} />;
+}
+`,
+    }, 'src/Toggle.jsx');
+    assert.match(test, /fireEvent\(/);
+    assert.match(test, /^import \{ render, screen, fireEvent \} from '@testing-library\/react-native';$/m);
+    assert.doesNotMatch(test, /userEvent|const user\b/);
+    assert.doesNotMatch(test, /mockCallback/);
+  });
+
+  it('leaves no gap where there are no mocks', () => {
+    const test = generate({ 'src/Title.jsx': "import { Text } from 'react-native';\n\nexport const Title = () => <Text>Hi</Text>;\n" }, 'src/Title.jsx');
+    assert.doesNotMatch(test, /\n\n\n/);
+    assert.match(test, /from '\.\/Title';\n\ndescribe\('Title'/);
+  });
+});
+
+describe('hook context wrappers', { skip }, () => {
+  const hook = `import { useContext } from 'react';
+import { SessionContext } from './SessionContext';
+
+export function useUserName() {
+  const session = useContext(SessionContext);
+  return session.user;
+}
+`;
+  const context = (defaultValue, provider = '') => `import React, { createContext, ReactNode } from 'react';
+
+export const SessionContext = createContext<{ user: string } | null>(${defaultValue});
+${provider}`;
+  const provider = `
+export function SessionProvider({ children }: { children: ReactNode }) {
+  return <SessionContext.Provider value={{ user: 'Ada' }}>{children}</SessionContext.Provider>;
+}
+`;
+
+  it("wraps the hook in the context module's Provider component", () => {
+    const test = generate({ 'src/useUserName.ts': hook, 'src/SessionContext.tsx': context('null', provider) }, 'src/useUserName.ts');
+    assert.match(test, /import \{ SessionProvider \} from '\.\/SessionContext';/);
+    assert.match(test, /<SessionProvider>\{children\}<\/SessionProvider>/);
+    assert.doesNotMatch(test, /TODO: Provide the context value/);
+  });
+
+  it('relies on the createContext default value when there is no Provider component', () => {
+    const test = generate({ 'src/useUserName.ts': hook, 'src/SessionContext.tsx': context("{ user: 'Ada' }") }, 'src/useUserName.ts');
+    assert.doesNotMatch(test, /wrapper/);
+    assert.doesNotMatch(test, /TODO: Provide the context value/);
+  });
+
+  it('falls back to an empty Provider value when neither resolves', () => {
+    const test = generate({ 'src/useUserName.ts': hook, 'src/SessionContext.tsx': context('null') }, 'src/useUserName.ts');
+    assert.match(test, /TODO: Provide the context value the hook expects/);
+    assert.match(test, /<SessionContext\.Provider value=\{\{\}\}>\{children\}<\/SessionContext\.Provider>/);
+  });
+});
+
+describe('merging into an existing test', { skip }, () => {
+  const counter = `import React, { useState } from 'react';
+import { Pressable, Text } from 'react-native';
+
+export function Counter() {
+  const [count, setCount] = useState(0);
+  return (
+    <Pressable onPress={() => setCount(count + 1)}>
+      <Text>{count}</Text>
+    </Pressable>
+  );
+}
+`;
+  const existing = componentPath => `import { render, screen } from '@testing-library/react-native';
+import { Counter } from '${componentPath}';
+
+describe('Counter', () => {
+  describe('rendering', () => {
+    it('renders', () => {
+      render(<Counter />);
+      expect(screen.getByText('0')).toBeOnTheScreen();
+    });
+  });
+});
+`;
+
+  it('adds testing library imports to the existing import', () => {
+    const root = createProject({ 'src/Counter.jsx': counter });
+
+    const generator = new ComponentTestGenerator(path.join(root, 'src/Counter.jsx'), { batch: true, merge: true });
+    generator.validatePath();
+    generator.readComponent();
+    generator.analyzeComponent();
+    const { content, added } = generator.mergeTestContent(existing('./Counter'), path.join(root, 'src/Counter.test.jsx'));
+
+    assert.ok(added.length > 0);
+    assert.match(content, /^import \{ render, screen, userEvent \} from '@testing-library\/react-native';$/m);
+    assert.strictEqual(content.match(/from '@testing-library\/react-native'/g).length, 1);
+  });
+
+  it('merges into a test in __tests__ instead of writing one next to the component', () => {
+    const root = createProject({
+      'src/Counter.jsx': counter,
+      'src/__tests__/Counter.test.jsx': existing('../Counter'),
+    });
+
+    const generator = new ComponentTestGenerator(path.join(root, 'src/Counter.jsx'), { batch: true, merge: true });
+    generator.validatePath();
+    generator.readComponent();
+    generator.analyzeComponent();
+
+    assert.strictEqual(generator.generateTest(), 'merged');
+    assert.strictEqual(generator.outputPath, path.join(root, 'src/__tests__/Counter.test.jsx'));
+    assert.ok(!fs.existsSync(path.join(root, 'src/Counter.test.jsx')));
+    const content = fs.readFileSync(generator.outputPath, 'utf-8');
+    assert.match(content, /userEvent/);
+    assert.doesNotMatch(content, /from '\.\/Counter'/);
+  });
+});
@@ -0,0 +1,330 @@
+/**
+ * Tests for CoverageAnalyzer's coverage reports, change detection,
+ * thresholds, exit codes and history, run against small projects written
+ * to a temporary directory.
+ *
+ * Run with: node --test skills/react-native-testing/scripts/__tests__
+ */
+
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { CoverageAnalyzer, parseThresholds, parseDiffLines, EXIT_CODES } = require('../coverage-analyzer');
+const { createProject, writeFiles, git } = require('./fixtures');
+
+/**
+ * Runs the analyzer quietly and returns its results.
+ */
+function analyze(root, options = {}) {
+  const log = mock.method(console, 'log', () => {});
+  try {
+    return new CoverageAnalyzer(root, options).run();
+  } finally {
+    log.mock.restore();
+  }
+}
+
+const button = `export function Button({ label }) {
+  return label;
+}
+`;
+
+/**
+ * A coverage-summary.json for src/Button.tsx with the given percentages.
+ */
+function coverageSummary(root, { lines, branches = lines }) {
+  const metric = pct => ({ total: 100, covered: pct, skipped: 0, pct });
+  const entry = { lines: metric(lines), statements: metric(lines), functions: metric(lines), branches: metric(branches) };
+  return JSON.stringify({ total: entry, [path.join(root, 'src/Button.tsx')]: entry });
+}
+
+/**
+ * A project whose one component is tested, with a coverage report when
+ * `coverage` is given.
+ */
+function createTestedProject(coverage = null) {
+  const root = createProject({
+    'src/Button.tsx': button,
+    'src/Button.test.tsx': "it('renders', () => {});\n",
+  });
+  if (coverage) writeFiles(root, { 'coverage/coverage-summary.json': coverageSummary(root, coverage) });
+  return root;
+}
+
+describe('coverage reports', () => {
+  const guardedButton = `export function Button({ label, disabled }) {
+  if (disabled) {
+    return null;
+  }
+  return label;
+}
+`;
+
+  const istanbul = root => JSON.stringify({
+    [path.join(root, 'src/Button.tsx')]: {
+      path: path.join(root, 'src/Button.tsx'),
+      statementMap: {
+        0: { start: { line: 2, column: 2 }, end: { line: 4, column: 3 } },
+        1: { start: { line: 3, column: 4 }, end: { line: 3, column: 16 } },
+        2: { start: { line: 5, column: 2 }, end: { line: 5, column: 15 } },
+      },
+      s: { 0: 1, 1: 0, 2: 1 },
+      branchMap: {
+        0: {
+          type: 'if',
+          loc: { start: { line: 2, column: 2 }, end: { line: 4, column: 3 } },
+          locations: [{ start: { line: 2, column: 2 }, end: { line: 4, column: 3 } }, { start: {}, end: {} }],
+        },
+      },
+      b: { 0: [0, 1] },
+      fnMap: { 0: { name: 'Button', decl: { start: { line: 1, column: 16 }, end: { line: 1, column: 22 } } } },
+      f: { 0: 1 },
+    },
+  });
+
+  const lcov = [
+    'TN:',
+    'SF:src/Button.tsx',
+    'FN:1,Button',
+    'FNDA:0,Button',
+    'DA:2,1',
+    'DA:3,0',
+    'DA:5,1',
+    'BRDA:2,0,0,-',
+    'BRDA:2,0,1,1',
+    'end_of_record',
+    '',
+  ].join('\n');
+
+  const twoThirds = (2 / 3) * 100;
+
+  const analyzeButton = reports => {
+    const root = createProject({ 'src/Button.tsx': guardedButton, 'src/Button.test.tsx': "it('renders', () => {});\n" });
+    writeFiles(root, Object.fromEntries(Object.entries(reports).map(([file, report]) => [`coverage/${file}`, report(root)])));
+    return analyze(root).files[0];
+  };
+
+  it("reads metrics and uncovered code from Istanbul's coverage-final.json", () => {
+    const file = analyzeButton({ 'coverage-final.json': istanbul });
+
+    assert.deepStrictEqual(file.coverage, { lines: twoThirds, branches: 50, functions: 100, statements: twoThirds });
+    assert.deepStrictEqual(file.uncovered, {
+      lines: [{ start: 3, end: 3 }],
+      branches: [{ line: 2, column: 3, type: 'if', arm: 0, description: 'if path' }],
+      functions: [],
+    });
+  });
+
+  it('reads metrics and uncovered code from lcov.info, resolving relative paths', () => {
+    const file = analyzeButton({ 'lcov.info': () => lcov });
+
+    assert.deepStrictEqual(file.coverage, { lines: twoThirds, branches: 50, functions: 0, statements: null });
+    assert.deepStrictEqual(file.uncovered, {
+      lines: [{ start: 3, end: 3 }],
+      branches: [{ line: 2, column: null, type: null, arm: 0, description: 'arm 0 of block 0' }],
+      functions: [{ name: 'Button', line: 1, column: null }],
+    });
+  });
+
+  it('prefers coverage-final.json over lcov.info', () => {
+    const file = analyzeButton({ 'coverage-final.json': istanbul, 'lcov.info': () => lcov });
+    assert.strictEqual(file.coverage.functions, 100);
+  });
+});
+
+describe('readChangedLines', () => {
+  it('reads changed lines from the diff and every line of untracked files', () => {
+    const root = createProject({ 'src/Button.tsx': 'export const a = 1;\nexport const b = 2;\n' });
+    git(root, 'init', '-q');
+    git(root, 'add', '-A');
+    git(root, 'commit', '-q', '-m', 'init');
+
+    writeFiles(root, {
+      'src/Button.tsx': 'export const a = 1;\nexport const b = 3;\n',
+      'src/Card.tsx': 'export const c = 1;\n\nexport const d = 2;\n',
+      'notes.md': '# Notes\n',
+    });
+
+    const changed = new CoverageAnalyzer(root).readChangedLines('HEAD');
+
+    assert.deepStrictEqual(changed.get(path.join(root, 'src/Button.tsx')), [2]);
+    assert.deepStrictEqual(changed.get(path.join(root, 'src/Card.tsx')), [1, 2, 3]);
+    assert.ok(!changed.has(path.join(root, 'notes.md')));
+  });
+
+  it('reads files with non-ASCII names', () => {
+    const root = createProject({ 'src/Café.tsx': 'export const a = 1;\n' });
+    git(root, 'init', '-q');
+    git(root, 'add', '-A');
+    git(root, 'commit', '-q', '-m', 'init');
+    writeFiles(root, { 'src/Café.tsx': 'export const a = 2;\n', 'src/Ünïcode.tsx': 'export const b = 1;\n' });
+
+    const changed = new CoverageAnalyzer(root).readChangedLines('HEAD');
+
+    assert.deepStrictEqual(changed.get(path.join(root, 'src/Café.tsx')), [1]);
+    assert.deepStrictEqual(changed.get(path.join(root, 'src/Ünïcode.tsx')), [1]);
+  });
+});
+
+describe('parseDiffLines', () => {
+  it('decodes paths git quotes with C-style escapes', () => {
+    const diff = [
+      'diff --git "a/src/caf\\303\\251.tsx" "b/src/caf\\303\\251.tsx"',
+      '+++ "b/src/caf\\303\\251.tsx"',
+      '@@ -2,0 +3,2 @@',
+      '+++ "b/src/say \\"hi\\"\\t.tsx"',
+      '@@ -1 +1 @@',
+    ].join('\n');
+
+    assert.deepStrictEqual([...parseDiffLines(diff)], [
+      ['src/café.tsx', [3, 4]],
+      ['src/say "hi"\t.tsx', [1]],
+    ]);
+  });
+});
+
+describe('parseThresholds', () => {
+  it('reads metrics, file types and type metrics', () => {
+    assert.deepStrictEqual(parseThresholds('branches=60, hooks=90,screens.functions=50.5'), [
+      { type: null, metric: 'branches', value: 60 },
+      { type: 'hooks', metric: 'lines', value: 90 },
+      { type: 'screens', metric: 'functions', value: 50.5 },
+    ]);
+  });
+
+  it('rejects unknown metrics and file types', () => {
+    assert.throws(() => parseThresholds('branch=60'), /Unknown metric or file type "branch"/);
+    assert.throws(() => parseThresholds('widgets.lines=60'), /Unknown file type "widgets"/);
+    assert.throws(() => parseThresholds('lines=high'), /Invalid threshold "lines=high"/);
+  });
+});
+
+describe('thresholds and exit codes', () => {
+  it('passes when coverage meets the threshold', () => {
+    const results = analyze(createTestedProject({ lines: 90 }));
+    assert.strictEqual(results.status.exitCode, EXIT_CODES.success);
+    assert.ok(results.thresholds.every(check => check.passed && !check.skipped));
+  });
+
+  it('exits with belowThreshold when the report is below --threshold', () => {
+    const results = analyze(createTestedProject({ lines: 40 }));
+    assert.strictEqual(results.status.exitCode, EXIT_CODES.belowThreshold);
+    assert.deepStrictEqual(results.status.failures, ['overall lines coverage 40.0% is below 70%']);
+  });
+
+  it('checks each --thresholds metric against the report', () => {
+    const results = analyze(createTestedProject({ lines: 90, branches: 50 }), {
+      thresholds: parseThresholds('branches=80,components.lines=85'),
+    });
+    assert.strictEqual(results.status.exitCode, EXIT_CODES.belowThreshold);
+    assert.deepStrictEqual(results.status.failures, ['overall branches coverage 50.0% is below 80%']);
+  });
+
+  it('does not enforce the threshold on coverage estimated without a report', () => {
+    const results = analyze(createTestedProject(), { threshold: 100, thresholds: parseThresholds('branches=80') });
+    assert.strictEqual(results.status.exitCode, EXIT_CODES.success);
+    assert.ok(results.thresholds[0].estimated);
+    assert.ok(results.thresholds.every(check => check.skipped && check.passed));
+  });
+
+  it('exits with findings for recommendations at the --fail-on priority', () => {
+    const root = createProject({ 'src/Button.tsx': button });
+    assert.strictEqual(analyze(root, { failOn: 'critical' }).status.exitCode, EXIT_CODES.success);
+    assert.strictEqual(analyze(root, { failOn: 'medium' }).status.exitCode, EXIT_CODES.findings);
+  });
+
+  it('only fails on findings with --fail-on', () => {
+    const complex = [
+      'export async function load() {',
+      ...Array.from({ length: 11 }, (_, i) => `  if (window.flag${i}) return ${i};`),
+      ...Array.from({ length: 200 }, (_, i) => `  // line ${i}`),
+      '}',
+    ].join('\n');
+    const root = createProject({ 'src/Loader.tsx': complex });
+
+    const results = analyze(root, { threshold: 0 });
+    assert.strictEqual(results.recommendations[0].priority, 'critical');
+    assert.strictEqual(results.status.exitCode, EXIT_CODES.success);
+    assert.strictEqual(analyze(root, { threshold: 0, failOn: 'critical' }).status.exitCode, EXIT_CODES.findings);
+  });
+
+  it('exits with belowThreshold for a --ratchet regression at any --fail-on priority', () => {
+    const root = createTestedProject({ lines: 60 });
+    const percentages = { lines: 90, branches: 90, functions: 90, statements: 90 };
+    writeFiles(root, {
+      '.coverage-history.json': JSON.stringify({
+        version: 1,
+        runs: [{ commit: 'abc1234', date: '2026-01-01T00:00:00.000Z', summary: percentages, types: {}, files: {} }],
+      }),
+    });
+
+    const results = analyze(root, { threshold: 50, ratchet: true, failOn: 'high' });
+    assert.ok(results.recommendations.some(rec => rec.category === 'Coverage Regression' && rec.priority === 'high'));
+    assert.strictEqual(results.status.exitCode, EXIT_CODES.belowThreshold);
+  });
+});
+
+describe('coverage history', () => {
+  const readHistory = root => JSON.parse(fs.readFileSync(path.join(root, '.coverage-history.json'), 'utf-8'));
+
+  it('records one run per commit and ratchets against the last run of another commit', () => {
+    const root = createTestedProject({ lines: 90 });
+    git(root, 'init', '-q');
+    git(root, 'add', '-A');
+    git(root, 'commit', '-q', '-m', 'init');
+    const first = git(root, 'rev-parse', 'HEAD').trim();
+
+    analyze(root, { record: true });
+    analyze(root, { record: true });
+    let runs = readHistory(root).runs;
+    assert.strictEqual(runs.length, 1);
+    assert.strictEqual(runs[0].commit, first);
+    assert.strictEqual(runs[0].summary.lines, 90);
+    assert.strictEqual(runs[0].files['src/Button.tsx'].lines, 90);
+
+    git(root, 'commit', '-q', '--allow-empty', '-m', 'next');
+    writeFiles(root, { 'coverage/coverage-summary.json': coverageSummary(root, { lines: 80 }) });
+
+    const regressed = analyze(root, { threshold: 50, ratchet: true, tolerance: 5, record: true });
+    assert.strictEqual(regressed.status.exitCode, EXIT_CODES.belowThreshold);
+    assert.strictEqual(regressed.baseline.commit, first);
+    assert.ok(regressed.regressions.some(r => r.file === 'src/Button.tsx' && r.metric === 'lines' && r.drop === 10));
+    assert.strictEqual(readHistory(root).runs.length, 1);
+
+    const tolerated = analyze(root, { threshold: 50, ratchet: true, tolerance: 10, record: true });
+    assert.strictEqual(tolerated.status.exitCode, EXIT_CODES.success);
+    assert.deepStrictEqual(tolerated.regressions, []);
+    runs = readHistory(root).runs;
+    assert.deepStrictEqual(runs.map(run => run.summary.lines), [90, 80]);
+
+    assert.deepStrictEqual(analyze(root, { threshold: 50, trend: 1 }).trend, runs.slice(1));
+  });
+});
+
+describe('command line', () => {
+  const ANALYZER = path.join(__dirname, '..', 'coverage-analyzer.js');
+  const cli = (...args) => spawnSync(process.execPath, [ANALYZER, createTestedProject(), ...args], { encoding: 'utf-8', timeout: 60000 });
+
+  it('rejects a --trend that is not a positive whole number', () => {
+    ['0', '2.5', 'all', '-1'].forEach(count => {
+      const result = cli('--trend', count);
+      assert.strictEqual(result.status, EXIT_CODES.error);
+      assert.match(result.stderr, /--trend expects a number of runs/);
+    });
+  });
+
+  it('rejects a --tolerance that is missing, negative or not a number', () => {
+    [['abc'], ['-1'], ['Infinity'], []].forEach(value => {
+      const result = cli('--tolerance', ...value);
+      assert.strictEqual(result.status, EXIT_CODES.error);
+      assert.match(result.stderr, /--tolerance expects percentage points/);
+    });
+  });
+
+  it('accepts --trend without a count', () => {
+    const result = cli('--trend', '--json');
+    assert.strictEqual(result.status, EXIT_CODES.success);
+  });
+});
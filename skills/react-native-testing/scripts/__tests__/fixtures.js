@@ -0,0 +1,47 @@
+/**
+ * Fixture projects for the scripts' tests: small projects written to a
+ * temporary directory, removed when the test file finishes.
+ */
+
+const { after } = require('node:test');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const roots = [];
+
+after(() => roots.forEach(root => fs.rmSync(root, { recursive: true, force: true })));
+
+/**
+ * Writes `files` (path -> source) under `root`, creating directories.
+ */
+function writeFiles(root, files) {
+  Object.entries(files).forEach(([file, source]) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), source);
+  });
+}
+
+/**
+ * A new project holding `files`, with a package.json built from
+ * `packageJson`. Returns its real path, as the scripts resolve symlinks.
+ */
+function createProject(files = {}, packageJson = {}) {
+  const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'rn-fixture-')));
+  roots.push(root);
+  writeFiles(root, { 'package.json': JSON.stringify({ name: 'fixture', ...packageJson }, null, 2), ...files });
+  return root;
+}
+
+/**
+ * Runs git in `root` with a fixed identity, for projects that need history.
+ */
+function git(root, ...args) {
+  return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+    cwd: root,
+    encoding: 'utf-8',
+  });
+}
+
+module.exports = { createProject, writeFiles, git };
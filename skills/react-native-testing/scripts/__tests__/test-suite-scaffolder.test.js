@@ -0,0 +1,164 @@
+/**
+ * Tests for the scaffolder's output, running the CLI against projects
+ * written to a temporary directory.
+ *
+ * Run with: node --test skills/react-native-testing/scripts/__tests__
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { createProject } = require('./fixtures');
+
+const SCAFFOLDER = path.join(__dirname, '..', 'test-suite-scaffolder.js');
+
+/**
+ * Writes `files` (path -> source) into a new project and runs the
+ * scaffolder on it with `args`. Returns the project and what was printed.
+ */
+function scaffold(files, args = [], dependencies = {}) {
+  const root = createProject(files, { dependencies: { react: '18.2.0', 'react-native': '0.74.1', ...dependencies } });
+  const output = execFileSync(process.execPath, [SCAFFOLDER, root, ...args], { encoding: 'utf-8', timeout: 60000 });
+  return { root, output };
+}
+
+const read = (root, file) => fs.readFileSync(path.join(root, file), 'utf-8');
+
+describe('module aliases', () => {
+  const tsconfig = JSON.stringify({
+    compilerOptions: { baseUrl: '.', paths: { '@/*': ['src/*'], '@assets/*': ['assets/*'] } },
+  });
+
+  it('adds moduleNameMapper for tsconfig paths to an existing config with --update', () => {
+    const { output } = scaffold({
+      'tsconfig.json': tsconfig,
+      'jest.config.js': "module.exports = {\n  preset: 'react-native',\n};\n",
+    }, ['--update', '--dry-run']);
+
+    assert.match(output, /adding .*moduleNameMapper/);
+    assert.match(output, /^\+ {4}'\^@\/\(\.\*\)\$': '<rootDir>\/src\/\$1',$/m);
+    assert.match(output, /^\+ {4}'\^@assets\/\(\.\*\)\$': '<rootDir>\/assets\/\$1',$/m);
+  });
+
+  it('leaves an existing moduleNameMapper alone', () => {
+    const { output } = scaffold({
+      'tsconfig.json': tsconfig,
+      'jest.config.js': "module.exports = {\n  preset: 'react-native',\n  moduleNameMapper: { '^~/(.*)$': '<rootDir>/app/$1' },\n};\n",
+    }, ['--update', '--dry-run']);
+
+    assert.doesNotMatch(output, /adding .*moduleNameMapper/);
+  });
+});
+
+describe('MSW', () => {
+  const handlers = `import { rest } from 'msw';
+
+export const handlers = [
+  rest.get('https://api.example.com/users/:id', (req, res, ctx) => {
+    return res(ctx.status(200), ctx.json({ id: req.params.id }));
+  }),
+  rest.post('https://api.example.com/login', async (req, res, ctx) => {
+    const { email } = await req.json();
+    return res(ctx.status(401), ctx.json({ email }));
+  }),
+  rest.get('https://api.example.com/slow', (req, res, ctx) => res(ctx.delay(500), ctx.json({}))),
+  rest.get('https://api.example.com/down', (req, res) => res.networkError('offline')),
+];
+`;
+
+  it('migrates a v1 handlers file to the v2 API with --migrate-msw', () => {
+    const { root, output } = scaffold({ 'src/mocks/handlers.js': handlers }, ['--migrate-msw'], { msw: '^1.3.0' });
+
+    assert.strictEqual(read(root, 'src/mocks/handlers.js'), `import { http, HttpResponse } from 'msw';
+
+export const handlers = [
+  http.get('https://api.example.com/users/:id', ({ params }) => {
+    return HttpResponse.json({ id: params.id });
+  }),
+  http.post('https://api.example.com/login', async ({ request }) => {
+    const { email } = await request.json();
+    return HttpResponse.json({ email }, { status: 401 });
+  }),
+  http.get('https://api.example.com/slow', (req, res, ctx) => res(ctx.delay(500), ctx.json({}))),
+  http.get('https://api.example.com/down', () => HttpResponse.error()),
+];
+`);
+    assert.match(output, /line 11: resolver left as v1, migrate it by hand \(uses `res`, `ctx\.delay`, `ctx\.json`\)/);
+    assert.match(output, /npm install --save-dev msw@\^2\.0\.0/);
+    assert.ok(!fs.existsSync(path.join(root, 'jest.config.js')));
+  });
+
+  it('scaffolds handlers for the installed MSW major version', () => {
+    const app = { 'src/App.js': 'export default function App() {}\n' };
+    const v1 = scaffold(app, ['--with-msw'], { msw: '^1.3.0' });
+    const v2 = scaffold(app, ['--with-msw']);
+
+    assert.match(read(v1.root, 'src/mocks/handlers.js'), /^import \{ rest \} from 'msw';$/m);
+    assert.doesNotMatch(read(v1.root, 'src/mocks/handlers.js'), /HttpResponse/);
+    assert.match(read(v2.root, 'src/mocks/handlers.js'), /^import \{ http, HttpResponse \} from 'msw';$/m);
+  });
+});
+
+describe('native mocks', () => {
+  const installed = {
+    '@react-native-async-storage/async-storage': '^1.23.1',
+    'react-native-safe-area-context': '^4.10.1',
+  };
+  const mockedModules = setup => [...setup.matchAll(/^jest\.mock\('([^']+)'/gm)].map(match => match[1])
+    .filter(module => !module.startsWith('react-native/'));
+
+  it('mocks the installed native libraries and nothing else', () => {
+    const { root } = scaffold({}, [], installed);
+    const setup = read(root, 'jest-setup.js');
+
+    assert.deepStrictEqual(mockedModules(setup), Object.keys(installed));
+    assert.doesNotMatch(setup, /react-native-gesture-handler|@react-navigation|react-native-reanimated/);
+    assert.match(setup, /SafeAreaProvider: \(\{ children \}\) => children,/);
+  });
+
+  it('mocks nothing a bare app does not install', () => {
+    const { root } = scaffold({});
+    assert.deepStrictEqual(mockedModules(read(root, 'jest-setup.js')), []);
+  });
+
+  it('types the mocks in TypeScript setup files', () => {
+    const { root } = scaffold({ 'tsconfig.json': '{}' }, [], installed);
+    assert.match(read(root, 'jest-setup.ts'), /SafeAreaProvider: \(\{ children \}: \{ children: React\.ReactNode \}\) => children,/);
+  });
+});
+
+describe('transformIgnorePatterns', () => {
+  const config = "module.exports = {\n  preset: 'jest-expo',\n};\n";
+
+  it('describes the patterns it adds to an Expo config as Expo', () => {
+    const { output } = scaffold({ 'jest.config.js': config }, ['--update', '--dry-run'], { expo: '~51.0.0' });
+    assert.match(output, /^\+ {2}\/\/ Transform configuration for Expo \(untranspiled expo and React Native packages\)$/m);
+  });
+
+  it('describes the patterns it adds to a bare config as React Native', () => {
+    const { output } = scaffold({ 'jest.config.js': config.replace('jest-expo', 'react-native') }, ['--update', '--dry-run']);
+    assert.match(output, /^\+ {2}\/\/ Transform configuration for React Native$/m);
+  });
+});
+
+describe('jest setup', () => {
+  it('points a new config at the generated setup file and console reporter', () => {
+    const { root } = scaffold({});
+    const config = read(root, 'jest.config.js');
+    assert.match(config, /setupFilesAfterEnv: \['<rootDir>\/jest-setup\.js'\]/);
+    assert.match(config, /reporters: \['default', '<rootDir>\/jest-console-reporter\.js'\]/);
+    assert.ok(fs.existsSync(path.join(root, 'jest-console-reporter.js')));
+    assert.ok(fs.existsSync(path.join(root, 'jest-console.js')));
+  });
+
+  it("keeps the project's own setup file and leaves out the reporter it doesn't write", () => {
+    const { root } = scaffold({ 'jest.setup.js': "import '@testing-library/react-native/extend-expect';\n" });
+    const config = read(root, 'jest.config.js');
+    assert.match(config, /setupFilesAfterEnv: \['<rootDir>\/jest\.setup\.js'\]/);
+    assert.doesNotMatch(config, /reporters/);
+    assert.ok(!fs.existsSync(path.join(root, 'jest-console-reporter.js')));
+    assert.ok(!fs.existsSync(path.join(root, 'jest-setup.js')));
+  });
+});
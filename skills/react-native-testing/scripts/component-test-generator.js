@@ -7,17 +7,743 @@
  *
  * Usage:
  *   node component-test-generator.js <component-path> [options]
+ *   node component-test-generator.js <directory|glob>... [options]
+ *
+ * Directories and glob patterns generate tests for every component file they
+ * contain, skipping files that already have a matching test.
+ *
+ * Custom hooks (exported `use*` functions) get renderHook tests instead of
+ * render tests, and context modules (createContext + Provider + consumer
+ * hook) get provider, default value, action and guard tests. Components using
+ * Redux, Zustand or React Query render under a test store / QueryClient.
  *
  * Options:
  *   --output, -o     Output file path (default: <component>.test.tsx)
  *   --verbose, -v    Enable verbose output
  *   --dry-run        Print generated test without writing file
  *   --force, -f      Overwrite existing test file
- *   --with-msw       Include MSW mock setup for async components
+ *   --merge          Add missing describe blocks to an existing test file
+ *   --with-msw       Include MSW handlers for the endpoints async components call
+ *   --component      Only generate tests for the named exported component
+ *
+ * Components are analyzed from their syntax tree using @babel/parser, which is
+ * resolved from the target project (React Native projects already include it).
  */
 
 const fs = require('fs');
 const path = require('path');
+const { CoverageAnalyzer } = require('./coverage-analyzer');
+
+/**
+ * Loads @babel/parser from the analyzed project first (React Native projects
+ * already ship it through Metro/Babel), then from this script's location.
+ */
+function loadBabelParser(fromDir) {
+  try {
+    const parserPath = require.resolve('@babel/parser', {
+      paths: [fromDir, process.cwd(), __dirname],
+    });
+    return require(parserPath);
+  } catch {
+    throw new Error('@babel/parser is required to analyze components. Run: npm install --save-dev @babel/parser');
+  }
+}
+
+const SKIPPED_KEYS = new Set([
+  'loc', 'start', 'end', 'extra', 'range', 'comments', 'tokens',
+  'leadingComments', 'trailingComments', 'innerComments',
+]);
+
+/**
+ * Depth-first walk over a Babel AST. Returning false from the visitor skips
+ * the node's children.
+ */
+function walk(node, visitor, parent = null) {
+  if (!node || typeof node.type !== 'string') return;
+  if (visitor(node, parent) === false) return;
+
+  for (const key of Object.keys(node)) {
+    if (SKIPPED_KEYS.has(key)) continue;
+
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(item => walk(item, visitor, node));
+    } else if (child && typeof child.type === 'string') {
+      walk(child, visitor, node);
+    }
+  }
+}
+
+function isMemberExpression(node) {
+  return node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression';
+}
+
+function getMemberObjectName(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (isMemberExpression(node) && node.property.type === 'Identifier') {
+    return node.property.name;
+  }
+  return '';
+}
+
+/**
+ * Identifiers that declare a name (object keys, member properties, function
+ * and variable names) rather than reference one.
+ */
+function isDeclarationName(node, parent) {
+  if (!parent) return false;
+  if (isMemberExpression(parent) && parent.property === node && !parent.computed) return true;
+  if ((parent.type === 'ObjectProperty' || parent.type === 'ObjectMethod' || parent.type === 'ClassMethod' ||
+    parent.type === 'ClassProperty') && parent.key === node && !parent.computed) return true;
+  if ((parent.type === 'VariableDeclarator' || parent.type === 'FunctionDeclaration' ||
+    parent.type === 'ClassDeclaration') && parent.id === node) return true;
+  return false;
+}
+
+function getLiteralValue(node) {
+  if (!node) return null;
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'JSXExpressionContainer') return getLiteralValue(node.expression);
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis.map(quasi => quasi.value.cooked).join('');
+  }
+  return null;
+}
+
+function getTypeArguments(node, key = 'typeParameters') {
+  const instantiation = node[key] || node.typeArguments || node.superTypeArguments;
+  return instantiation && instantiation.params ? instantiation.params : [];
+}
+
+function getTypeName(typeName) {
+  if (!typeName) return '';
+  if (typeName.type === 'Identifier') return typeName.name;
+  if (typeName.type === 'TSQualifiedName') return typeName.right.name;
+  return '';
+}
+
+function getExportedName(specifier) {
+  const exported = specifier.exported || specifier.local;
+  return exported.name || exported.value;
+}
+
+function isNullishType(type) {
+  return ['TSNullKeyword', 'TSUndefinedKeyword', 'TSVoidKeyword'].includes(type.type);
+}
+
+/**
+ * Whether an expression is missing, `undefined` or `null`, looking through
+ * TypeScript casts such as `undefined as unknown as Theme` or `null!`.
+ */
+function isNullishValue(node) {
+  while (node && ['TSAsExpression', 'TSSatisfiesExpression', 'TSNonNullExpression', 'TSTypeAssertion'].includes(node.type)) {
+    node = node.expression;
+  }
+  if (!node) return true;
+  if (node.type === 'NullLiteral') return true;
+  if (node.type === 'Identifier') return node.name === 'undefined';
+  return node.type === 'UnaryExpression' && node.operator === 'void';
+}
+
+function getLiteralUnionValues(type) {
+  if (!type) return [];
+  if (type.type === 'TSUnionType') return type.types.flatMap(getLiteralUnionValues);
+  if (type.type === 'TSLiteralType' && type.literal.type === 'StringLiteral') return [type.literal.value];
+  return [];
+}
+
+function getLiteralTypeCode(literal) {
+  switch (literal.type) {
+    case 'StringLiteral':
+      return quote(literal.value);
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return String(literal.value);
+    case 'UnaryExpression':
+      return `${literal.operator}${getLiteralTypeCode(literal.argument)}`;
+    case 'TemplateLiteral':
+      return quote(literal.quasis.map(quasi => quasi.value.cooked).join(''));
+    default:
+      return 'undefined';
+  }
+}
+
+function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function formatKey(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : quote(name);
+}
+
+function mergeMembers(base, overrides) {
+  const byName = new Map(base.map(member => [member.name, member]));
+  overrides.forEach(member => byName.set(member.name, member));
+  return [...byName.values()];
+}
+
+/**
+ * Picks a plausible string for a prop based on its name.
+ */
+function sampleString(name) {
+  if (/email/i.test(name)) return 'test@example.com';
+  if (/(url|uri|href|link)$/i.test(name)) return 'https://example.com';
+  if (/phone/i.test(name)) return '555-0100';
+  if (/(^id|Id)$/.test(name)) return `${name}-1`;
+  if (/color$/i.test(name)) return '#000000';
+  if (/date$/i.test(name)) return '2024-01-01';
+
+  const words = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  return `Test ${words}`;
+}
+
+function getDeclaredNames(declaration) {
+  if (!declaration) return [];
+  if (declaration.type === 'VariableDeclaration') {
+    return declaration.declarations
+      .filter(declarator => declarator.id.type === 'Identifier')
+      .map(declarator => declarator.id.name);
+  }
+  return declaration.id && declaration.id.name ? [declaration.id.name] : [];
+}
+
+function containsJsx(node) {
+  let found = false;
+  walk(node, child => {
+    if (found) return false;
+    if (child.type === 'JSXElement' || child.type === 'JSXFragment') {
+      found = true;
+      return false;
+    }
+    return true;
+  });
+  return found;
+}
+
+/**
+ * Returns `{ title, body }` for a `describe('title', () => { ... })` statement.
+ */
+function getDescribeBlock(statement) {
+  if (!statement || statement.type !== 'ExpressionStatement') return null;
+
+  const call = statement.expression;
+  if (call.type !== 'CallExpression') return null;
+
+  const callee = isMemberExpression(call.callee) ? call.callee.object : call.callee;
+  if (callee.type !== 'Identifier' || callee.name !== 'describe') return null;
+
+  const title = getLiteralValue(call.arguments[0]);
+  const callback = call.arguments[1];
+  if (title === null || !callback || !callback.body || callback.body.type !== 'BlockStatement') return null;
+
+  return { title, body: callback.body };
+}
+
+function isFunctionNode(node) {
+  return ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'].includes(node.type);
+}
+
+function getCalleeName(callee) {
+  if (callee.type === 'Identifier') return callee.name;
+  if (isMemberExpression(callee) && callee.property.type === 'Identifier') return callee.property.name;
+  return '';
+}
+
+function getJsxRootName(nameNode) {
+  if (nameNode.type === 'JSXIdentifier') return nameNode.name;
+  if (nameNode.type === 'JSXMemberExpression') return getJsxRootName(nameNode.object);
+  return '';
+}
+
+/**
+ * The text an element renders when all of its children are literals, with
+ * whitespace collapsed the way RNTL's default normalizer does. Null when any
+ * child is dynamic.
+ */
+function getStaticText(node) {
+  const parts = [];
+
+  for (const child of node.children) {
+    if (child.type === 'JSXText') {
+      parts.push(child.value);
+    } else if (child.type === 'JSXExpressionContainer') {
+      if (child.expression.type === 'JSXEmptyExpression') continue;
+      const value = getLiteralValue(child.expression);
+      if (value === null) return null;
+      parts.push(value);
+    } else if (child.type === 'JSXElement') {
+      const nested = getStaticText(child);
+      if (nested === null) return null;
+      parts.push(nested);
+    } else {
+      return null;
+    }
+  }
+
+  const text = parts.join('').replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+function buildElementQuery({ baseName, role, label, accessibleName, attributes, text }) {
+  if (role && accessibleName) {
+    return `screen.getByRole(${quote(role)}, { name: ${quote(accessibleName)} })`;
+  }
+  if (label) {
+    return `screen.getByLabelText(${quote(label)})`;
+  }
+  if (typeof attributes.placeholder === 'string') {
+    return `screen.getByPlaceholderText(${quote(attributes.placeholder)})`;
+  }
+  if (baseName === 'Text' && text) {
+    return `screen.getByText(${quote(text)})`;
+  }
+  if (typeof attributes.testID === 'string') {
+    return `screen.getByTestId(${quote(attributes.testID)})`;
+  }
+  return null;
+}
+
+function getVisibleElements(analysis) {
+  return analysis.elements.filter(element => !element.conditional && element.query);
+}
+
+const SCROLL_EVENT = '{ nativeEvent: { contentOffset: { x: 0, y: 100 }, contentSize: { width: 400, height: 1000 }, layoutMeasurement: { width: 400, height: 800 } } }';
+
+/**
+ * How each React Native handler is triggered from a test. userEvent is used
+ * where RNTL supports it, fireEvent for everything else.
+ */
+const HANDLER_EVENTS = {
+  onPress: { verb: 'pressed', action: el => `await user.press(${el})` },
+  onLongPress: { verb: 'long pressed', action: el => `await user.longPress(${el})` },
+  onPressIn: { verb: 'pressed in', fireEvent: true, action: el => `fireEvent(${el}, 'pressIn')` },
+  onPressOut: { verb: 'released', fireEvent: true, action: el => `fireEvent(${el}, 'pressOut')` },
+  onChangeText: { verb: 'typed into', calledWith: "'test value'", action: el => `await user.type(${el}, 'test value')` },
+  onSubmitEditing: {
+    verb: 'submitted',
+    fireEvent: true,
+    action: el => `fireEvent(${el}, 'submitEditing', { nativeEvent: { text: 'test value' } })`,
+  },
+  onEndEditing: { verb: 'done editing', fireEvent: true, action: el => `fireEvent(${el}, 'endEditing')` },
+  onFocus: { verb: 'focused', fireEvent: true, action: el => `fireEvent(${el}, 'focus')` },
+  onBlur: { verb: 'blurred', fireEvent: true, action: el => `fireEvent(${el}, 'blur')` },
+  onValueChange: { verb: 'toggled', fireEvent: true, calledWith: 'true', action: el => `fireEvent(${el}, 'valueChange', true)` },
+  onScroll: { verb: 'scrolled', fireEvent: true, action: el => `fireEvent.scroll(${el}, ${SCROLL_EVENT})` },
+  onRefresh: { verb: 'refreshed', fireEvent: true, action: el => `fireEvent(${el}, 'refresh')` },
+  onEndReached: { verb: 'scrolled to the end', fireEvent: true, action: el => `fireEvent(${el}, 'endReached')` },
+  onMomentumScrollEnd: { verb: 'done scrolling', fireEvent: true, action: el => `fireEvent(${el}, 'momentumScrollEnd')` },
+  onRequestClose: { verb: 'dismissed', fireEvent: true, action: el => `fireEvent(${el}, 'requestClose')` },
+  onLayout: {
+    verb: 'laid out',
+    fireEvent: true,
+    action: el => `fireEvent(${el}, 'layout', { nativeEvent: { layout: { x: 0, y: 0, width: 400, height: 800 } } })`,
+  },
+};
+
+function getHandlerEvent(handler) {
+  if (HANDLER_EVENTS[handler]) return HANDLER_EVENTS[handler];
+
+  const eventName = handler.charAt(2).toLowerCase() + handler.slice(3);
+  return { verb: `sent ${eventName}`, fireEvent: true, action: el => `fireEvent(${el}, ${quote(eventName)})` };
+}
+
+/**
+ * One interaction test per handler on each rendered element, plus a
+ * placeholder for handlers the element scan could not place.
+ */
+function getInteractionCases(analysis) {
+  const cases = [];
+
+  const navigations = analysis.screen ? analysis.screen.targets.map(target => target.start) : [];
+  const redux = analysis.stateLibraries && analysis.stateLibraries.redux;
+  const covered = new Set();
+
+  analysis.elements.forEach(element => {
+    element.handlers.forEach(handler => {
+      covered.add(handler.name);
+      // Handlers that only navigate are covered by the navigation tests
+      if (handler.callbacks.length === 0 && handler.calls.some(call => navigations.includes(call))) return;
+
+      const event = getHandlerEvent(handler.name);
+      const callback = handler.callbacks[0] || null;
+      const target = element.target || element.name;
+      const stateControlled = element.attributes.value === undefined ||
+        analysis.stateNames.includes(element.valueIdentifier);
+      const dispatches = redux ? redux.dispatches.filter(dispatch => handler.calls.includes(dispatch.start)) : [];
+      const action = dispatches.map(dispatch => dispatch.label).find(Boolean);
+
+      let title = `handles ${handler.name} on ${target}`;
+      if (callback) title = `calls ${callback} when ${target} is ${event.verb}`;
+      else if (action) title = `dispatches ${action} when ${target} is ${event.verb}`;
+
+      cases.push({
+        title,
+        handler: handler.name,
+        event,
+        callback,
+        dispatches,
+        direct: handler.direct,
+        query: element.query,
+        conditional: element.conditional,
+        // Only inputs driven by local state (or uncontrolled) show what was typed
+        showsTypedValue: handler.name === 'onChangeText' && !!element.query && element.isCore && stateControlled,
+      });
+    });
+  });
+
+  analysis.eventHandlers
+    .filter(handler => !covered.has(handler))
+    .forEach(handler => {
+      cases.push({
+        title: `handles ${handler}`,
+        handler,
+        event: getHandlerEvent(handler),
+        callback: null,
+        dispatches: [],
+        query: null,
+      });
+    });
+
+  // Test names must be unique within a describe block
+  const seen = new Map();
+  cases.forEach(testCase => {
+    const count = (seen.get(testCase.title) || 0) + 1;
+    seen.set(testCase.title, count);
+    if (count > 1) testCase.title = `${testCase.title} (${count})`;
+  });
+
+  return cases;
+}
+
+/**
+ * Whether the interaction tests go through userEvent. Events it doesn't
+ * support are sent with fireEvent, which needs no setup.
+ */
+function usesUserEvent(analysis) {
+  return analysis.hasUserInteractions && getInteractionCases(analysis).some(testCase => !testCase.event.fireEvent);
+}
+
+function isHookName(name) {
+  return /^use[A-Z0-9]/.test(name);
+}
+
+/**
+ * A value different from `code` of the same kind, for asserting updates and
+ * rerendering with new arguments. Null when there is no obvious one.
+ */
+function getNextValue(code) {
+  if (code === null || code === undefined) return null;
+  if (code === 'true' || code === 'false') return String(code !== 'true');
+  if (/^-?\d+(\.\d+)?$/.test(code)) return String(Number(code) + 1);
+  if (/^'.*'$/.test(code) || /^".*"$/.test(code)) return quote(`${code.slice(1, -1)}-updated`);
+  return null;
+}
+
+function getImportBindings(analysis) {
+  return analysis.bindings || [{ importName: analysis.importName, name: analysis.componentName }];
+}
+
+function isProviderName(nameNode, contextName) {
+  return nameNode.type === 'JSXMemberExpression' && nameNode.object.type === 'JSXIdentifier' &&
+    nameNode.object.name === contextName && nameNode.property.name === 'Provider';
+}
+
+function rendersProvider(node, contextName) {
+  let found = false;
+  walk(node, child => {
+    if (found) return false;
+    if (child.type === 'JSXOpeningElement' && isProviderName(child.name, contextName)) found = true;
+  });
+  return found;
+}
+
+/**
+ * Whether a Provider component can be rendered with just children: its
+ * props are unused, `props`, or destructured to children and defaults.
+ */
+function takesOnlyChildren(fn) {
+  const param = fn.params[0];
+  if (!param || param.type === 'Identifier') return true;
+  return param.type === 'ObjectPattern' && param.properties.every(property =>
+    property.type === 'ObjectProperty' &&
+    (property.value.type === 'AssignmentPattern' || (property.key.name || property.key.value) === 'children')
+  );
+}
+
+function findVariableInit(ast, name) {
+  for (const statement of ast.program.body) {
+    const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+    if (!declaration || declaration.type !== 'VariableDeclaration') continue;
+    const declarator = declaration.declarations.find(d => d.id.type === 'Identifier' && d.id.name === name);
+    if (declarator) return declarator.init;
+  }
+  return null;
+}
+
+const SCREEN_PROP_TYPES = [
+  'NativeStackScreenProps', 'StackScreenProps', 'BottomTabScreenProps', 'DrawerScreenProps',
+  'MaterialTopTabScreenProps', 'RouteProp',
+];
+
+function sampleParam(name) {
+  if (/^(is|has|show|should)[A-Z]/.test(name)) return 'true';
+  if (/(count|index|page|amount|price|total|quantity)$/i.test(name)) return '1';
+  return quote(sampleString(name));
+}
+
+/**
+ * Whether the code at `position` runs from an effect, and if so whether it
+ * sits behind a condition inside it.
+ */
+function getEffectPlacement(position, root) {
+  const ancestors = [];
+  walk(root, node => {
+    if (node.start > position || node.end < position) return false;
+    ancestors.push(node);
+  });
+
+  const effect = ancestors.findIndex(node => node.type === 'CallExpression' &&
+    ['useEffect', 'useFocusEffect', 'useLayoutEffect'].includes(getCalleeName(node.callee)));
+  if (effect === -1) return { inEffect: false, conditional: false };
+
+  const conditional = ancestors.slice(effect).some(node =>
+    ['IfStatement', 'ConditionalExpression', 'LogicalExpression', 'SwitchCase'].includes(node.type)
+  );
+  return { inEffect: true, conditional };
+}
+
+/**
+ * The names a condition tests, prefixed with `!` when the guarded branch
+ * runs while they are falsy: `isLoading && <Spinner />` gives ['isLoading'].
+ */
+function getConditionNames(test, positive = true) {
+  if (!test) return [];
+  if (test.type === 'UnaryExpression' && test.operator === '!') return getConditionNames(test.argument, !positive);
+  if (test.type === 'LogicalExpression') {
+    return [...getConditionNames(test.left, positive), ...getConditionNames(test.right, positive)];
+  }
+
+  let name = null;
+  if (test.type === 'Identifier') name = test.name;
+  if (isMemberExpression(test) && !test.computed && test.property.type === 'Identifier') name = test.property.name;
+  return name ? [positive ? name : `!${name}`] : [];
+}
+
+function findProjectRoot(fromDir) {
+  let dir = fromDir;
+  while (!fs.existsSync(path.join(dir, 'package.json'))) {
+    const parent = path.dirname(dir);
+    if (parent === dir) return fromDir;
+    dir = parent;
+  }
+  return dir;
+}
+
+/**
+ * The MSW major version a project depends on, read from its package.json.
+ * Defaults to 2, the version the scaffolder installs.
+ */
+function getMswVersion(root) {
+  try {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8'));
+    const range = { ...packageJson.dependencies, ...packageJson.devDependencies }.msw;
+    const major = range && range.match(/\d+/);
+    if (major) return Number(major[0]);
+  } catch (error) {
+    // Unreadable package.json: fall through to the default
+  }
+  return 2;
+}
+
+/**
+ * An MSW request handler answering with a success body, a 500 or a network
+ * failure: `http`/HttpResponse from v2 on, `rest` with res(ctx...) on v1.
+ */
+function buildMswHandler(version, method, url, response, body = '{}') {
+  if (version < 2) {
+    const resolver = {
+      success: `(req, res, ctx) => res(ctx.status(200), ctx.json(${body}))`,
+      serverError: "(req, res, ctx) => res(ctx.status(500), ctx.json({ message: 'Internal server error' }))",
+      networkError: "(req, res) => res.networkError('Failed to connect')",
+    }[response];
+    return `rest.${method}(${url}, ${resolver})`;
+  }
+
+  const resolver = {
+    success: `() => HttpResponse.json(${body})`,
+    serverError: "() => HttpResponse.json({ message: 'Internal server error' }, { status: 500 })",
+    networkError: '() => HttpResponse.error()',
+  }[response];
+  return `http.${method}(${url}, ${resolver})`;
+}
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+// axios takes the request config second for these and after the body otherwise
+const BODYLESS_METHODS = ['get', 'delete', 'head', 'options'];
+
+/**
+ * A URL expression as a string, with dynamic segments written as `:name`
+ * params and known constants inlined: `${API_URL}/users/${id}` gives
+ * 'https://api.example.com/users/:id'. Null when the expression is not
+ * URL-like (a bare variable, a config lookup).
+ */
+function resolveUrlTemplate(node, lookup, substitutions = new Map()) {
+  if (!node) return null;
+  if (['StringLiteral', 'TemplateLiteral', 'LogicalExpression'].includes(node.type) ||
+    (node.type === 'BinaryExpression' && node.operator === '+')) {
+    return resolveUrlPart(node, lookup, substitutions);
+  }
+  if (node.type === 'Identifier') {
+    return substitutions.has(node.name) ? substitutions.get(node.name) : lookup(node.name);
+  }
+  return null;
+}
+
+function resolveUrlPart(node, lookup, substitutions) {
+  switch (node.type) {
+    case 'StringLiteral':
+      return node.value;
+    case 'NumericLiteral':
+      return String(node.value);
+    case 'TemplateLiteral':
+      return node.quasis.map((quasi, index) => quasi.value.cooked +
+        (index < node.expressions.length ? resolveUrlPart(node.expressions[index], lookup, substitutions) : '')).join('');
+    case 'BinaryExpression':
+      return resolveUrlPart(node.left, lookup, substitutions) + resolveUrlPart(node.right, lookup, substitutions);
+    case 'LogicalExpression':
+      // process.env.API_URL || 'https://api.example.com'
+      return node.right.type === 'StringLiteral' ? node.right.value : resolveUrlPart(node.left, lookup, substitutions);
+    case 'CallExpression':
+      // encodeURIComponent(id), String(id)
+      return node.arguments[0] ? resolveUrlPart(node.arguments[0], lookup, substitutions) : ':param';
+    case 'Identifier':
+      if (substitutions.has(node.name)) return substitutions.get(node.name);
+      return lookup(node.name) || `:${node.name}`;
+    default:
+      if (isMemberExpression(node) && !node.computed && node.property.type === 'Identifier') return `:${node.property.name}`;
+      return ':param';
+  }
+}
+
+/**
+ * An endpoint as MSW matches it. Paths without a known origin get a `*`
+ * prefix so they match any origin, and query params are listed separately
+ * because MSW ignores the query string when matching.
+ */
+function toEndpoint(method, url, query = [], baseURL = null) {
+  let [pathname, search = ''] = url.split('?');
+  if (baseURL && !/^(https?:)?\/\//.test(pathname) && !pathname.startsWith(':')) {
+    pathname = `${baseURL.replace(/\/$/, '')}/${pathname.replace(/^\//, '')}`;
+  }
+
+  // An unknown base URL (an env var, a config value) matches any origin
+  pathname = pathname.replace(/^:\w+/, '*');
+  if (!/^(\*|https?:\/\/)/.test(pathname)) pathname = `*/${pathname.replace(/^\//, '')}`;
+  if (pathname === '*' || pathname === '*/') return null;
+
+  const names = [...query, ...search.split('&').map(pair => pair.split('=')[0])].filter(name => /^\w+$/.test(name));
+  return { method: method.toLowerCase(), path: pathname, query: [...new Set(names)] };
+}
+
+function getObjectProperty(node, key) {
+  if (!node || node.type !== 'ObjectExpression') return null;
+  const property = node.properties.find(p => p.type === 'ObjectProperty' && !p.computed &&
+    (p.key.name === key || p.key.value === key));
+  return property ? property.value : null;
+}
+
+function getRequestMethod(config) {
+  const method = getLiteralValue(getObjectProperty(config, 'method'));
+  return method ? method.toLowerCase() : null;
+}
+
+/**
+ * The data a request function resolves with, from its declared return type
+ * with Promise<...> and AxiosResponse<...> unwrapped.
+ */
+function getResponseType(fn) {
+  let type = fn.returnType ? fn.returnType.typeAnnotation : null;
+  while (type && type.type === 'TSTypeReference' && ['Promise', 'AxiosResponse'].includes(getTypeName(type.typeName))) {
+    type = getTypeArguments(type)[0] || null;
+  }
+  if (!type || ['TSVoidKeyword', 'TSAnyKeyword', 'TSUnknownKeyword'].includes(type.type)) return null;
+  return type.type === 'TSTypeReference' && getTypeName(type.typeName) === 'Response' ? null : type;
+}
+
+// Stands in for a request helper's path argument while its URL is resolved
+const PATH_PLACEHOLDER = '\u0000';
+
+/**
+ * Whether the variable `name` is the whole path of a URL expression, with
+ * only a base URL and a slash before it: `${API_URL}${path}` or
+ * BASE_URL + '/' + path, but not `${API_URL}/users/${id}`.
+ */
+function isWholePath(node, name) {
+  const parts = [];
+  const collect = part => {
+    if (part.type === 'TemplateLiteral') {
+      part.quasis.forEach((quasi, index) => {
+        if (quasi.value.cooked) parts.push(quasi.value.cooked);
+        if (index < part.expressions.length) collect(part.expressions[index]);
+      });
+    } else if (part.type === 'BinaryExpression' && part.operator === '+') {
+      collect(part.left);
+      collect(part.right);
+    } else if (part.type === 'StringLiteral') {
+      if (part.value) parts.push(part.value);
+    } else {
+      parts.push(part);
+    }
+  };
+  if (node) collect(node);
+
+  const last = parts[parts.length - 1];
+  return !!last && last.type === 'Identifier' && last.name === name &&
+    parts.slice(0, -1).every(part => typeof part !== 'string' || part === '/');
+}
+
+function getObjectKeys(node) {
+  if (!node || node.type !== 'ObjectExpression') return [];
+  return node.properties
+    .filter(property => property.type === 'ObjectProperty' && !property.computed)
+    .map(property => property.key.name || property.key.value);
+}
+
+const QUERY_SOURCES = ['@tanstack/react-query', 'react-query'];
+const DATA_QUERY_HOOKS = ['useQuery', 'useInfiniteQuery', 'useSuspenseQuery'];
+const STORE_FACTORY_NAMES = ['setupStore', 'makeStore', 'createStore', 'createAppStore', 'createTestStore'];
+
+// Store lookups scan the whole project, so batch runs share the result
+const reduxStores = new Map();
+
+/**
+ * The elements a component shows while its query loads and when it fails,
+ * read from the conditions they render under.
+ */
+function getQueryStateElements(analysis) {
+  const find = (pattern, fallback = () => false) => analysis.elements.find(element => element.query &&
+    (element.conditions.some(name => pattern.test(name)) || fallback(element)));
+
+  return {
+    loading: find(/^(is)?(loading|pending|fetching)$/i, element => element.name === 'ActivityIndicator'),
+    error: find(/^(is)?error$/i),
+  };
+}
+
+function usesQueryStates(analysis) {
+  const state = analysis.stateLibraries;
+  return !!(state && state.query && state.query.hooks.some(hook => DATA_QUERY_HOOKS.includes(hook)));
+}
+
+function getInitialStoreName(store) {
+  return `initial${store.name.replace(/^use/, '')}State`;
+}
+
+function usesStateProviders(analysis) {
+  const state = analysis.stateLibraries;
+  return !!(state && (state.redux || state.query));
+}
 
 class ComponentTestGenerator {
   constructor(componentPath, options = {}) {
@@ -26,6 +752,8 @@ class ComponentTestGenerator {
     this.componentName = '';
     this.componentContent = '';
     this.analysis = {};
+    this.analyses = [];
+    this.mswVersion = getMswVersion(findProjectRoot(path.dirname(this.componentPath)));
   }
 
   run() {
@@ -39,291 +767,3677 @@ class ComponentTestGenerator {
       this.generateTest();
 
       console.log('✅ Test generation completed!');
-      return { success: true, ...this.analysis };
+      return { success: true, ...this.analysis, components: this.analyses };
     } catch (error) {
       console.error(`❌ Error: ${error.message}`);
       process.exit(1);
     }
   }
 
-  validatePath() {
-    if (!fs.existsSync(this.componentPath)) {
-      throw new Error(`Component file not found: ${this.componentPath}`);
-    }
+  validatePath() {
+    if (!fs.existsSync(this.componentPath)) {
+      throw new Error(`Component file not found: ${this.componentPath}`);
+    }
+
+    const ext = path.extname(this.componentPath);
+    if (!['.tsx', '.jsx', '.ts', '.js'].includes(ext)) {
+      throw new Error('Component must be a TypeScript or JavaScript file');
+    }
+
+    this.componentName = path.basename(this.componentPath, ext);
+
+    if (this.options.verbose) {
+      console.log(`📁 Component: ${this.componentName}`);
+      console.log(`📂 Path: ${this.componentPath}`);
+    }
+  }
+
+  readComponent() {
+    this.componentContent = fs.readFileSync(this.componentPath, 'utf-8');
+
+    if (this.options.verbose) {
+      console.log(`📄 Read ${this.componentContent.length} characters`);
+    }
+  }
+
+  analyzeComponent() {
+    if (!this.options.batch) {
+      console.log('\n📊 Analyzing component...');
+    }
+
+    this.loadModule();
+
+    // A context's provider and consumer hook are tested together
+    const absorbed = new Set(this.contextModules.flatMap(module => [module.provider.node, module.hook && module.hook.node]));
+    let components = [
+      ...this.contextModules,
+      ...[...this.exportedComponents, ...this.exportedHooks].filter(component => !absorbed.has(component.node)),
+    ];
+    if (components.length === 0) {
+      // Nothing recognisable is exported; fall back to the file's own component
+      const primary = this.syntax.components.find(c => c.name === this.componentName) || this.syntax.components[0];
+      components = [primary
+        ? { ...primary, importName: primary.name }
+        : { name: this.componentName, importName: this.componentName, node: null, params: [], propsType: null }];
+    }
+
+    if (this.options.component) {
+      const available = components.map(component => component.name);
+      components = components.filter(component =>
+        component.name === this.options.component || component.importName === this.options.component
+      );
+
+      if (components.length === 0) {
+        throw new Error(
+          `Component "${this.options.component}" is not exported from ${path.basename(this.componentPath)}. ` +
+          `Found: ${available.join(', ') || 'none'}`
+        );
+      }
+    }
+
+    this.analyses = components.map(component => {
+      if (component.kind === 'hook') return this.analyzeHook(component);
+      if (component.kind === 'context') return this.analyzeContext(component);
+      return (component.analyzer || this).analyzeExport(component);
+    });
+    this.analysis = this.analyses[0];
+
+    if (this.options.verbose) {
+      this.analyses.forEach(analysis => {
+        console.log(`\n📋 Analysis Results (${analysis.componentName}):`);
+        Object.entries(analysis).forEach(([key, value]) => {
+          if (typeof value === 'boolean') {
+            console.log(`  ${key}: ${value ? '✓' : '✗'}`);
+          } else if (Array.isArray(value)) {
+            const items = value.map(item => (typeof item === 'object' ? item.name : item));
+            console.log(`  ${key}: [${items.join(', ')}]`);
+          }
+        });
+      });
+    }
+  }
+
+  /**
+   * Parses the file and indexes its exported components. Also used on the
+   * target modules of barrel re-exports.
+   */
+  loadModule() {
+    this.ast = this.parseSource(this.componentContent, this.componentPath);
+    this.syntax = this.collectSyntax(this.ast);
+    this.exportedComponents = this.findExportedComponents();
+    this.exportedHooks = this.findExportedHooks();
+    this.contextModules = this.findContextModules();
+  }
+
+  analyzeExport(component) {
+    const syntax = component.node
+      ? this.collectSyntax(this.ast, this.getComponentScope(component))
+      : this.syntax;
+
+    const screen = component.node ? this.detectScreen(component) : null;
+    let props = this.resolveProps(component);
+    let hasProps = this.detectProps(syntax, component);
+    if (screen) {
+      // The navigator passes these; the test only supplies the rest
+      props = props.filter(prop => !['navigation', 'route'].includes(prop.name));
+      hasProps = props.some(prop => !prop.optional || prop.isFunction);
+    }
+
+    return {
+      componentName: component.name,
+      importName: component.importName,
+      hasProps,
+      hasState: this.detectState(syntax),
+      hasEffects: this.detectEffects(syntax),
+      hasAsyncOperations: this.detectAsyncOperations(syntax),
+      hasUserInteractions: this.detectUserInteractions(syntax),
+      hasNavigation: this.detectNavigation(syntax),
+      hasForms: this.detectForms(syntax),
+      hasLists: this.detectLists(syntax),
+      hasModals: this.detectModals(syntax),
+      accessibleElements: this.detectAccessibleElements(syntax),
+      eventHandlers: this.extractEventHandlers(syntax),
+      props,
+      elements: component.node ? this.collectElements(component, syntax) : [],
+      screen,
+      stateLibraries: this.detectStateLibraries(component, syntax),
+      endpoints: this.findEndpoints(component),
+      stateNames: [...syntax.stateNames],
+    };
+  }
+
+  /**
+   * A component's own declaration plus the module-level code it may share
+   * with others (helpers, constants), excluding sibling components.
+   */
+  getComponentScope(component) {
+    const componentStatements = new Set(this.syntax.components.map(c => c.statement));
+    this.exportedComponents.forEach(c => componentStatements.add(c.statement));
+
+    const shared = this.ast.program.body.filter(statement =>
+      statement.type !== 'ImportDeclaration' && !componentStatements.has(statement)
+    );
+
+    return [component.node, ...shared];
+  }
+
+  parseSource(content, filePath) {
+    const parser = loadBabelParser(path.dirname(filePath));
+    const ext = path.extname(filePath);
+    const plugins = ['decorators-legacy'];
+
+    if (ext === '.ts') {
+      plugins.push('typescript');
+    } else if (ext === '.tsx') {
+      plugins.push('typescript', 'jsx');
+    } else {
+      plugins.push('jsx', 'flow');
+    }
+
+    try {
+      return parser.parse(content, {
+        sourceType: 'module',
+        allowReturnOutsideFunction: true,
+        errorRecovery: true,
+        plugins,
+      });
+    } catch (error) {
+      throw new Error(`Failed to parse ${path.basename(filePath)}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Walks the syntax tree once and records the facts the detectors rely on:
+   * imported symbols, rendered JSX elements and their attributes, hook calls,
+   * member calls and async constructs. Names are resolved through imports so
+   * `import { Modal as Sheet } from 'react-native'` is recorded as `Modal`.
+   */
+  collectSyntax(ast, roots = [ast.program]) {
+    const syntax = {
+      imports: new Map(),
+      references: new Set(),
+      jsxElements: new Set(),
+      jsxAttributes: [],
+      hookCalls: new Set(),
+      calls: new Set(),
+      memberCalls: new Set(),
+      thisMembers: new Set(),
+      classMethods: new Set(),
+      stateNames: new Set(),
+      components: [],
+      hasAwait: false,
+      hasAsyncFunction: false,
+      hasPromiseChain: false,
+    };
+
+    ast.program.body.forEach(statement => {
+      if (statement.type !== 'ImportDeclaration' || statement.importKind === 'type') return;
+
+      statement.specifiers.forEach(specifier => {
+        if (specifier.importKind === 'type') return;
+
+        let imported = specifier.local.name;
+        if (specifier.type === 'ImportSpecifier') {
+          imported = specifier.imported.name || specifier.imported.value;
+        } else if (specifier.type === 'ImportNamespaceSpecifier') {
+          imported = '*';
+        }
+
+        syntax.imports.set(specifier.local.name, { source: statement.source.value, imported });
+      });
+    });
+
+    syntax.components = this.findComponents(ast);
+
+    const visit = (node, parent) => {
+      switch (node.type) {
+        case 'ImportDeclaration':
+          return false;
+
+        case 'Identifier':
+          if (!isDeclarationName(node, parent)) {
+            syntax.references.add(node.name);
+          }
+          break;
+
+        case 'JSXOpeningElement': {
+          const name = this.resolveJsxName(node.name, syntax.imports);
+          syntax.jsxElements.add(name);
+
+          node.attributes.forEach(attribute => {
+            if (attribute.type !== 'JSXAttribute') return;
+            syntax.jsxAttributes.push({
+              element: name,
+              name: attribute.name.name,
+              value: getLiteralValue(attribute.value),
+            });
+          });
+          break;
+        }
+
+        case 'JSXIdentifier':
+          if (parent && parent.type !== 'JSXAttribute') {
+            syntax.references.add(node.name);
+          }
+          break;
+
+        case 'CallExpression':
+        case 'OptionalCallExpression': {
+          const callee = node.callee;
+          if (callee.type === 'Identifier') {
+            const name = this.resolveName(callee.name, syntax.imports);
+            syntax.calls.add(name);
+            if (/^use[A-Z0-9]/.test(name)) syntax.hookCalls.add(name);
+          } else if (isMemberExpression(callee) && !callee.computed && callee.property.type === 'Identifier') {
+            const property = callee.property.name;
+            const object = getMemberObjectName(callee.object);
+
+            syntax.memberCalls.add(`${object}.${property}`);
+            if (property === 'then') syntax.hasPromiseChain = true;
+            if (/^use[A-Z0-9]/.test(property)) syntax.hookCalls.add(property);
+            if (callee.object.type === 'Identifier') {
+              syntax.calls.add(this.resolveName(callee.object.name, syntax.imports));
+            }
+          }
+          break;
+        }
+
+        case 'MemberExpression':
+        case 'OptionalMemberExpression':
+          if (node.object.type === 'ThisExpression' && node.property.type === 'Identifier') {
+            syntax.thisMembers.add(node.property.name);
+          }
+          break;
+
+        case 'AwaitExpression':
+          syntax.hasAwait = true;
+          break;
+
+        case 'VariableDeclarator':
+          // const [value, setValue] = useState(...)
+          if (node.id.type === 'ArrayPattern' && node.init && node.init.type === 'CallExpression' &&
+            /^(useState|useReducer)$/.test(getCalleeName(node.init.callee)) &&
+            node.id.elements[0] && node.id.elements[0].type === 'Identifier') {
+            syntax.stateNames.add(node.id.elements[0].name);
+          }
+          break;
+
+        case 'FunctionDeclaration':
+        case 'FunctionExpression':
+        case 'ArrowFunctionExpression':
+          if (node.async) syntax.hasAsyncFunction = true;
+          break;
+
+        case 'ClassMethod':
+          if (node.async) syntax.hasAsyncFunction = true;
+          if (node.key.type === 'Identifier') syntax.classMethods.add(node.key.name);
+          break;
+
+        default:
+          break;
+      }
+
+      return true;
+    };
+
+    roots.forEach(root => walk(root, visit));
+
+    return syntax;
+  }
+
+  /**
+   * Finds top-level component declarations: PascalCase functions rendering
+   * JSX, arrow functions (optionally wrapped in memo/forwardRef) and classes
+   * extending Component or PureComponent. Each entry carries the props type
+   * annotation when one is declared.
+   */
+  findComponents(ast) {
+    const components = [];
+
+    const visitDeclaration = (declaration, statement) => {
+      if (!declaration) return;
+
+      if (declaration.type === 'FunctionDeclaration' && declaration.id) {
+        const component = this.createFunctionComponent(declaration.id.name, declaration, null, statement);
+        if (component) components.push(component);
+      } else if (declaration.type === 'VariableDeclaration') {
+        declaration.declarations.forEach(declarator => {
+          if (declarator.id.type !== 'Identifier') return;
+          const { fn, propsType } = this.unwrapComponentCall(declarator.init);
+          const component = this.createFunctionComponent(
+            declarator.id.name,
+            fn,
+            this.getComponentTypeArgument(declarator.id) || propsType,
+            statement
+          );
+          if (component) components.push(component);
+        });
+      } else if (declaration.type === 'ClassDeclaration' && declaration.id) {
+        const component = this.createClassComponent(declaration.id.name, declaration, statement);
+        if (component) components.push(component);
+      }
+    };
+
+    ast.program.body.forEach(statement => {
+      if (statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration') {
+        visitDeclaration(statement.declaration, statement);
+      } else {
+        visitDeclaration(statement, statement);
+      }
+    });
+
+    return components;
+  }
+
+  createFunctionComponent(name, fn, fallbackPropsType, statement) {
+    if (!name || !/^[A-Z]/.test(name) || !fn || !containsJsx(fn)) return null;
+
+    const firstParam = fn.params[0];
+    const paramNode = firstParam && firstParam.type === 'AssignmentPattern' ? firstParam.left : firstParam;
+    const paramType = paramNode && paramNode.typeAnnotation ? paramNode.typeAnnotation.typeAnnotation : null;
+
+    return {
+      name,
+      kind: 'function',
+      node: fn,
+      statement,
+      params: fn.params,
+      propsType: paramType || fallbackPropsType,
+    };
+  }
+
+  createClassComponent(name, declaration, statement) {
+    if (!declaration.superClass) return null;
+
+    const superName = isMemberExpression(declaration.superClass)
+      ? declaration.superClass.property.name
+      : declaration.superClass.name;
+    if (!['Component', 'PureComponent'].includes(superName)) return null;
+
+    const typeArgs = getTypeArguments(declaration, 'superTypeParameters');
+    return {
+      name,
+      kind: 'class',
+      node: declaration,
+      statement,
+      params: [],
+      propsType: typeArgs[0] || null,
+    };
+  }
+
+  /**
+   * Strips memo()/forwardRef() wrappers, returning the inner function and any
+   * props type passed as a type argument.
+   */
+  unwrapComponentCall(init) {
+    let current = init;
+    let propsType = null;
+
+    while (current && current.type === 'CallExpression') {
+      const calleeName = isMemberExpression(current.callee)
+        ? current.callee.property.name
+        : current.callee.name;
+      if (!['memo', 'forwardRef'].includes(calleeName)) return {};
+
+      // forwardRef<RefType, PropsType>(...) and memo<PropsType>(...)
+      const typeArgs = getTypeArguments(current);
+      if (typeArgs.length > 0 && !propsType) {
+        propsType = calleeName === 'forwardRef' ? typeArgs[1] || null : typeArgs[0];
+      }
+      current = current.arguments[0];
+    }
+
+    if (current && ['ArrowFunctionExpression', 'FunctionExpression'].includes(current.type)) {
+      return { fn: current, propsType };
+    }
+    return {};
+  }
+
+  /**
+   * Maps the module's exports to component declarations, following
+   * memo/forwardRef/HOC wrappers and barrel re-exports. `importName` is the
+   * name the test imports (`default` for the default export).
+   */
+  findExportedComponents() {
+    const declared = new Map(this.syntax.components.map(component => [component.name, component]));
+    const exported = [];
+
+    const add = (component, importName, name = component.name) => {
+      const duplicate = exported.some(existing =>
+        existing.node === component.node && (existing.analyzer || this) === (component.analyzer || this)
+      );
+      if (!duplicate) exported.push({ ...component, name, importName });
+    };
+
+    this.ast.program.body.forEach(statement => {
+      if (statement.type === 'ExportNamedDeclaration') {
+        if (statement.source) {
+          this.findReExportedComponents(statement.source.value, statement.specifiers)
+            .forEach(component => add(component, component.importName, component.name));
+          return;
+        }
+
+        getDeclaredNames(statement.declaration).forEach(name => {
+          if (declared.has(name)) add(declared.get(name), name);
+        });
+
+        statement.specifiers.forEach(specifier => {
+          const component = declared.get(specifier.local.name);
+          const exportedName = getExportedName(specifier);
+          if (component) add(component, exportedName, exportedName === 'default' ? component.name : exportedName);
+        });
+      } else if (statement.type === 'ExportAllDeclaration') {
+        this.findReExportedComponents(statement.source.value, null)
+          .forEach(component => add(component, component.importName, component.name));
+      } else if (statement.type === 'ExportDefaultDeclaration') {
+        const component = this.resolveDefaultExport(statement.declaration, declared, statement);
+        if (component) add(component, 'default');
+      }
+    });
+
+    return exported;
+  }
+
+  /**
+   * Exported custom hooks (`use*` functions), which get renderHook tests
+   * instead of render tests.
+   */
+  findExportedHooks() {
+    const hooks = [];
+    const add = (name, importName, node) => {
+      if (node && isFunctionNode(node) && !hooks.some(hook => hook.node === node)) {
+        hooks.push({ kind: 'hook', name, importName, node, params: node.params });
+      }
+    };
+
+    this.ast.program.body.forEach(statement => {
+      if (statement.type === 'ExportNamedDeclaration' && !statement.source) {
+        getDeclaredNames(statement.declaration)
+          .filter(isHookName)
+          .forEach(name => add(name, name, this.findTopLevelFunction(name)));
+
+        statement.specifiers.forEach(specifier => {
+          const exportedName = getExportedName(specifier);
+          if (isHookName(specifier.local.name)) {
+            add(specifier.local.name, exportedName, this.findTopLevelFunction(specifier.local.name));
+          }
+        });
+      } else if (statement.type === 'ExportDefaultDeclaration') {
+        const declaration = statement.declaration;
+        if (declaration.type === 'Identifier' && isHookName(declaration.name)) {
+          add(declaration.name, 'default', this.findTopLevelFunction(declaration.name));
+        } else if (isFunctionNode(declaration)) {
+          const name = declaration.id ? declaration.id.name : this.componentName;
+          if (isHookName(name)) add(name, 'default', declaration);
+        }
+      }
+    });
+
+    return hooks;
+  }
+
+  /**
+   * Contexts created in this module that an exported component provides,
+   * with the exported hook that reads them, if any.
+   */
+  findContextModules() {
+    const modules = [];
+
+    this.ast.program.body.forEach(statement => {
+      const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+      if (!declaration || declaration.type !== 'VariableDeclaration') return;
+
+      declaration.declarations.forEach(declarator => {
+        const init = declarator.init;
+        if (declarator.id.type !== 'Identifier' || !init || init.type !== 'CallExpression' ||
+          getCalleeName(init.callee) !== 'createContext') return;
+
+        const name = declarator.id.name;
+        const provider = this.exportedComponents.find(component =>
+          !component.analyzer && component.node && isFunctionNode(component.node) && rendersProvider(component.node, name)
+        );
+        if (!provider) return;
+
+        const hook = this.exportedHooks.find(candidate =>
+          this.getFunctionScope(candidate.node).contextNames.includes(name)
+        );
+        const importName = this.findExportName(name);
+        // Without the hook or the context itself nothing can consume it
+        if (!hook && !importName) return;
+
+        modules.push({
+          kind: 'context',
+          name: provider.name,
+          importName: provider.importName,
+          provider,
+          hook: hook || null,
+          context: { name, importName, defaultValue: init.arguments[0] || null },
+        });
+      });
+    });
+
+    return modules;
+  }
+
+  findExportName(localName, ast = this.ast) {
+    for (const statement of ast.program.body) {
+      if (statement.type === 'ExportNamedDeclaration' && !statement.source) {
+        if (getDeclaredNames(statement.declaration).includes(localName)) return localName;
+        const specifier = statement.specifiers.find(candidate => candidate.local.name === localName);
+        if (specifier) return getExportedName(specifier);
+      } else if (statement.type === 'ExportDefaultDeclaration' &&
+        statement.declaration.type === 'Identifier' && statement.declaration.name === localName) {
+        return 'default';
+      }
+    }
+    return null;
+  }
+
+  findTopLevelFunction(name) {
+    for (const statement of this.ast.program.body) {
+      const declaration = statement.type.startsWith('Export') && statement.declaration
+        ? statement.declaration
+        : statement;
+
+      if (declaration.type === 'FunctionDeclaration' && declaration.id && declaration.id.name === name) {
+        return declaration;
+      }
+      if (declaration.type === 'VariableDeclaration') {
+        const declarator = declaration.declarations.find(d => d.id.type === 'Identifier' && d.id.name === name);
+        if (declarator && declarator.init) return declarator.init;
+      }
+    }
+    return null;
+  }
+
+  resolveDefaultExport(node, declared, statement) {
+    if (!node) return null;
+
+    switch (node.type) {
+      case 'Identifier':
+        return declared.get(node.name) || null;
+
+      case 'FunctionDeclaration':
+      case 'ClassDeclaration':
+        if (node.id) return declared.get(node.id.name) || null;
+        return node.type === 'ClassDeclaration'
+          ? this.createClassComponent(this.getDefaultExportName(), node, statement)
+          : this.createFunctionComponent(this.getDefaultExportName(), node, null, statement);
+
+      case 'ArrowFunctionExpression':
+      case 'FunctionExpression':
+        return this.createFunctionComponent(
+          node.id ? node.id.name : this.getDefaultExportName(), node, null, statement
+        );
+
+      case 'TSAsExpression':
+      case 'TSSatisfiesExpression':
+      case 'TypeCastExpression':
+        return this.resolveDefaultExport(node.expression, declared, statement);
+
+      case 'CallExpression': {
+        const { fn, propsType } = this.unwrapComponentCall(node);
+        if (fn) {
+          const name = fn.id ? fn.id.name : this.getDefaultExportName();
+          return this.createFunctionComponent(name, fn, propsType, statement);
+        }
+
+        // memo(Button), forwardRef wrappers around declared components and
+        // HOCs such as connect(mapState)(Button)
+        const candidates = [...node.arguments];
+        if (node.callee.type === 'CallExpression') candidates.push(node.callee);
+        for (const candidate of candidates) {
+          const component = this.resolveDefaultExport(candidate, declared, statement);
+          if (component) return component;
+        }
+        return null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  getDefaultExportName() {
+    const base = this.componentName === 'index'
+      ? path.basename(path.dirname(this.componentPath))
+      : this.componentName;
+
+    return base
+      .split(/[^A-Za-z0-9]+/)
+      .filter(Boolean)
+      .map(part => part[0].toUpperCase() + part.slice(1))
+      .join('') || 'Component';
+  }
+
+  /**
+   * Components re-exported from another module (`export * from './Button'`,
+   * `export { default as Button } from './Button'`). They are analyzed in
+   * their own module but imported through this one.
+   */
+  findReExportedComponents(source, specifiers) {
+    const depth = this.options.reExportDepth || 0;
+    const targetPath = this.resolveModulePath(source, this.componentPath);
+    if (!targetPath || targetPath.endsWith('.d.ts') || depth >= 3) return [];
+
+    const target = new ComponentTestGenerator(targetPath, {
+      ...this.options,
+      verbose: false,
+      component: null,
+      reExportDepth: depth + 1,
+    });
+
+    try {
+      target.validatePath();
+      target.readComponent();
+      target.loadModule();
+    } catch {
+      return [];
+    }
+
+    const components = target.exportedComponents.map(component => ({ analyzer: target, ...component }));
+
+    if (!specifiers) {
+      return components.filter(component => component.importName !== 'default');
+    }
+
+    return specifiers.flatMap(specifier => {
+      const exportedName = getExportedName(specifier);
+      const component = components.find(c => c.importName === specifier.local.name);
+      if (!component) return [];
+
+      return [{
+        ...component,
+        importName: exportedName,
+        name: exportedName === 'default' ? component.name : exportedName,
+      }];
+    });
+  }
+
+  /**
+   * Reads `Props` from annotations like `const Button: React.FC<Props> = ...`.
+   */
+  getComponentTypeArgument(identifier) {
+    const annotation = identifier.typeAnnotation && identifier.typeAnnotation.typeAnnotation;
+    if (!annotation || annotation.type !== 'TSTypeReference') return null;
+
+    const typeName = getTypeName(annotation.typeName);
+    if (!['FC', 'FunctionComponent', 'VFC', 'VoidFunctionComponent', 'ComponentType'].includes(typeName)) {
+      return null;
+    }
+
+    return getTypeArguments(annotation)[0] || null;
+  }
+
+  resolveName(localName, imports) {
+    const binding = imports.get(localName);
+    if (!binding || binding.imported === '*' || binding.imported === 'default') {
+      return localName;
+    }
+    return binding.imported;
+  }
+
+  resolveJsxName(nameNode, imports) {
+    if (nameNode.type === 'JSXIdentifier') {
+      return this.resolveName(nameNode.name, imports);
+    }
+
+    if (nameNode.type === 'JSXMemberExpression') {
+      const object = nameNode.object;
+      // `<RN.Modal>` with `import * as RN from 'react-native'` renders Modal
+      if (object.type === 'JSXIdentifier' && imports.get(object.name)?.imported === '*') {
+        return nameNode.property.name;
+      }
+      return `${this.resolveJsxName(object, imports)}.${nameNode.property.name}`;
+    }
+
+    if (nameNode.type === 'JSXNamespacedName') {
+      return `${nameNode.namespace.name}:${nameNode.name.name}`;
+    }
+
+    return '';
+  }
+
+  rendersElement(syntax, names) {
+    return [...syntax.jsxElements].some(element => {
+      const lastSegment = element.split('.').pop();
+      return names.includes(element) || names.includes(lastSegment);
+    });
+  }
+
+  hasAttribute(syntax, names, value) {
+    return syntax.jsxAttributes.some(attribute =>
+      names.includes(attribute.name) && (value === undefined || attribute.value === value)
+    );
+  }
+
+  detectProps(syntax, component) {
+    return syntax.thisMembers.has('props') || component.params.length > 0 || !!component.propsType;
+  }
+
+  detectState(syntax) {
+    const { hookCalls, thisMembers } = syntax;
+    return hookCalls.has('useState') || hookCalls.has('useReducer') ||
+      thisMembers.has('state') || thisMembers.has('setState');
+  }
+
+  detectEffects(syntax) {
+    const { hookCalls, classMethods } = syntax;
+    return hookCalls.has('useEffect') || hookCalls.has('useLayoutEffect') ||
+      classMethods.has('componentDidMount') || classMethods.has('componentDidUpdate');
+  }
+
+  // React Query hooks get their own query state tests (detectQueries)
+  detectAsyncOperations(syntax) {
+    return syntax.hasAwait || syntax.hasAsyncFunction || syntax.hasPromiseChain ||
+      syntax.calls.has('fetch') || syntax.calls.has('axios');
+  }
+
+  detectUserInteractions(syntax) {
+    return this.extractEventHandlers(syntax).length > 0;
+  }
+
+  detectNavigation(syntax) {
+    if (syntax.hookCalls.has('useNavigation')) return true;
+    if (['navigation.navigate', 'navigation.goBack'].some(call => syntax.memberCalls.has(call))) return true;
+
+    // Any symbol imported from React Navigation that is actually used
+    return [...syntax.imports].some(([local, binding]) =>
+      binding.source.startsWith('@react-navigation/') && syntax.references.has(local)
+    );
+  }
+
+  detectForms(syntax) {
+    return this.rendersElement(syntax, ['TextInput', 'form', 'Formik']) ||
+      this.hasAttribute(syntax, ['onSubmit']) ||
+      syntax.hookCalls.has('useForm');
+  }
+
+  detectLists(syntax) {
+    return this.rendersElement(syntax, ['FlatList', 'SectionList', 'VirtualizedList', 'ScrollView']);
+  }
+
+  detectModals(syntax) {
+    return this.rendersElement(syntax, ['Modal', 'BottomSheet', 'BottomSheetModal', 'ActionSheet']) ||
+      this.hasAttribute(syntax, ['role'], 'dialog');
+  }
+
+  detectAccessibleElements(syntax) {
+    const elements = [];
+    const roles = ['button', 'heading', 'link', 'checkbox', 'switch', 'alert', 'dialog'];
+
+    roles.forEach(role => {
+      if (this.hasAttribute(syntax, ['role'], role)) elements.push(role);
+    });
+    if (this.hasAttribute(syntax, ['aria-label', 'accessibilityLabel'])) elements.push('labeled');
+    if (this.rendersElement(syntax, ['TextInput'])) elements.push('textbox');
+
+    return elements;
+  }
+
+  extractEventHandlers(syntax) {
+    const handlers = syntax.jsxAttributes
+      .map(attribute => attribute.name)
+      .filter(name => typeof name === 'string' && /^on[A-Z]\w+$/.test(name));
+
+    return [...new Set(handlers)];
+  }
+
+  /**
+   * Screen details for components that read route params or navigate:
+   * the route name, sample params and every navigate()/goBack() call with
+   * a literal target. Null for anything else.
+   */
+  detectScreen(component) {
+    const routeNames = new Set();
+    const paramsNames = new Set();
+    const navigationNames = new Set(['navigation']);
+    const paramKeys = new Set();
+    const calls = [];
+
+    const param = component.params[0];
+    if (param && param.type === 'ObjectPattern') {
+      param.properties.forEach(property => {
+        if (property.type !== 'ObjectProperty' || property.key.type !== 'Identifier') return;
+        if (property.key.name === 'route' && property.value.type === 'Identifier') routeNames.add(property.value.name);
+        if (property.key.name === 'navigation' && property.value.type === 'Identifier') {
+          navigationNames.add(property.value.name);
+        }
+      });
+    }
+
+    const isProps = node => (node.type === 'Identifier' && param && param.type === 'Identifier' && node.name === param.name) ||
+      (isMemberExpression(node) && node.object.type === 'ThisExpression' && node.property.name === 'props');
+    const isCall = (node, name) => node.type === 'CallExpression' && getCalleeName(node.callee) === name;
+    const isRoute = node => (node.type === 'Identifier' && routeNames.has(node.name)) || isCall(node, 'useRoute') ||
+      (isMemberExpression(node) && node.property.name === 'route' && isProps(node.object));
+    const isParams = node => (node.type === 'Identifier' && paramsNames.has(node.name)) ||
+      (isMemberExpression(node) && node.property.name === 'params' && isRoute(node.object));
+    const isNavigation = node => (node.type === 'Identifier' && navigationNames.has(node.name)) ||
+      (isMemberExpression(node) && node.property.name === 'navigation' && isProps(node.object));
+    const addKeys = pattern => pattern.properties.forEach(property => {
+      if (property.type === 'ObjectProperty' && property.key.type === 'Identifier') paramKeys.add(property.key.name);
+    });
+
+    walk(component.node, node => {
+      if (node.type === 'VariableDeclarator' && node.init) {
+        const init = node.init;
+        if (node.id.type === 'Identifier') {
+          if (isCall(init, 'useRoute')) routeNames.add(node.id.name);
+          if (isCall(init, 'useNavigation')) navigationNames.add(node.id.name);
+          if (isParams(init)) paramsNames.add(node.id.name);
+        } else if (node.id.type === 'ObjectPattern') {
+          if (isParams(init)) addKeys(node.id);
+          if (isRoute(init)) {
+            node.id.properties.forEach(property => {
+              if (property.type !== 'ObjectProperty' || property.key.name !== 'params') return;
+              if (property.value.type === 'Identifier') paramsNames.add(property.value.name);
+              if (property.value.type === 'ObjectPattern') addKeys(property.value);
+            });
+          }
+          if (isProps(init)) {
+            node.id.properties.forEach(property => {
+              if (property.type !== 'ObjectProperty' || property.value.type !== 'Identifier') return;
+              if (property.key.name === 'route') routeNames.add(property.value.name);
+              if (property.key.name === 'navigation') navigationNames.add(property.value.name);
+            });
+          }
+        }
+      } else if (isMemberExpression(node) && node.property.type === 'Identifier' && isParams(node.object)) {
+        paramKeys.add(node.property.name);
+      } else if ((node.type === 'CallExpression' || node.type === 'OptionalCallExpression') &&
+        isMemberExpression(node.callee) && isNavigation(node.callee.object)) {
+        calls.push(node);
+      }
+    });
+
+    const targets = calls.map(call => this.describeNavigateCall(call, { isParams, paramsNames, paramKeys }))
+      .filter(Boolean);
+    if (paramKeys.size === 0 && paramsNames.size === 0 && targets.length === 0) return null;
+
+    const route = this.findScreenRoute(component);
+    const params = this.buildRouteParams(route, [...paramKeys]);
+
+    return {
+      routeName: route ? route.name : component.name,
+      params,
+      targets: targets.map(target => ({ ...target, ...getEffectPlacement(target.start, component.node) })),
+    };
+  }
+
+  describeNavigateCall(call, scope) {
+    const method = call.callee.property.name;
+    if (['goBack', 'pop', 'popToTop'].includes(method)) {
+      return { back: true, route: null, params: null, start: call.start };
+    }
+    if (!['navigate', 'push', 'replace'].includes(method)) return null;
+
+    let [target, params] = call.arguments;
+    if (target && target.type === 'ObjectExpression') {
+      const find = key => target.properties.find(p => p.type === 'ObjectProperty' && p.key.name === key);
+      params = find('params') && find('params').value;
+      target = find('name') && find('name').value;
+    }
+
+    const route = target ? getLiteralValue(target) : null;
+    if (!route) return null;
+
+    return { back: false, route, params: params ? this.describeExpectedParams(params, scope) : null, start: call.start };
+  }
+
+  /**
+   * The params a navigate() call is expected to send, as source for a
+   * toMatchObject() matcher. Route params forwarded from this screen refer
+   * to the routeParams the test renders it with.
+   */
+  describeExpectedParams(node, scope) {
+    const describe = value => {
+      if (['StringLiteral', 'NumericLiteral', 'BooleanLiteral', 'NullLiteral'].includes(value.type)) {
+        return this.componentContent.slice(value.start, value.end);
+      }
+      if (value.type === 'Identifier' && scope.paramKeys.has(value.name)) return `routeParams.${value.name}`;
+      if (isMemberExpression(value) && value.property.type === 'Identifier' && scope.isParams(value.object)) {
+        return `routeParams.${value.property.name}`;
+      }
+      return 'expect.anything()';
+    };
+
+    if (scope.isParams(node)) return 'routeParams';
+    if (node.type !== 'ObjectExpression') return 'expect.anything()';
+
+    const entries = node.properties
+      .filter(property => property.type === 'ObjectProperty' && property.key.type === 'Identifier')
+      .map(property => `${property.key.name}: ${describe(property.value)}`);
+    return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+  }
+
+  /**
+   * The route a screen is registered under and its param list type, read
+   * from NativeStackScreenProps<ParamList, 'Route'> style annotations.
+   */
+  findScreenRoute(component) {
+    const context = this.getTypeContext(this.componentPath, this.ast);
+    const candidates = [];
+    const collect = root => walk(root, node => {
+      if (node.type !== 'TSTypeReference') return;
+      const args = getTypeArguments(node);
+      if (SCREEN_PROP_TYPES.includes(getTypeName(node.typeName)) && args.length >= 2 &&
+        args[1].type === 'TSLiteralType' && args[1].literal.type === 'StringLiteral') {
+        candidates.push({ name: args[1].literal.value, list: args[0] });
+      }
+    });
+
+    collect(component.node);
+    if (component.propsType) {
+      collect(component.propsType);
+      if (component.propsType.type === 'TSTypeReference') {
+        const found = this.findTypeDeclaration(getTypeName(component.propsType.typeName), context);
+        if (found && found.node.type === 'TSTypeAliasDeclaration') collect(found.node.typeAnnotation);
+      }
+    }
+
+    const route = candidates[0];
+    if (!route) return null;
+
+    let params = null;
+    if (route.list.type === 'TSTypeReference') {
+      const found = this.findTypeDeclaration(getTypeName(route.list.typeName), context);
+      const declaration = found && (found.node.type === 'TSTypeAliasDeclaration' ? found.node.typeAnnotation : found.node);
+      const member = declaration && this.getTypeMembers(declaration, found.context).find(m => m.name === route.name);
+      if (member && member.type && !isNullishType(member.type)) {
+        params = this.getTypeMembers(member.type, member.context);
+      }
+    }
+
+    return { name: route.name, params };
+  }
+
+  buildRouteParams(route, usedKeys) {
+    const entries = new Map();
+
+    (route && route.params ? route.params : []).forEach(member => {
+      if (member.optional && !usedKeys.includes(member.name)) return;
+      const value = this.buildPlaceholder(member.name, member.type, member.context, '    ');
+      entries.set(member.name, value);
+    });
+
+    usedKeys.filter(key => !entries.has(key)).forEach(key => {
+      entries.set(key, { code: sampleParam(key) });
+    });
+
+    return [...entries].map(([name, value]) => ({ name, code: value.code, note: value.note || null }));
+  }
+
+  /**
+   * Redux, Zustand and React Query usage the test has to provide for: the
+   * store to render under and the action each dispatch() sends, the Zustand
+   * stores to reset, and the query function to mock. Null when the
+   * component uses none of them.
+   */
+  detectStateLibraries(component, syntax) {
+    const root = component.node || this.ast.program;
+    const redux = this.detectRedux(root, syntax);
+    const zustand = this.detectZustandStores(syntax);
+    const query = this.detectQueries(root, syntax);
+
+    return redux || zustand.length > 0 || query ? { redux, zustand, query } : null;
+  }
+
+  detectRedux(root, syntax) {
+    const hooks = [...syntax.hookCalls].filter(name => /^use(App|Typed)?(Selector|Dispatch)$/.test(name));
+    // connect() wraps the export, so it only shows up at module level
+    const connected = [...this.syntax.imports].some(([local, binding]) =>
+      binding.source === 'react-redux' && binding.imported === 'connect' && this.syntax.references.has(local)
+    );
+    if (hooks.length === 0 && !connected) return null;
+
+    const dispatchNames = new Set();
+    walk(root, node => {
+      if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init &&
+        node.init.type === 'CallExpression' && /^use\w*Dispatch$/.test(getCalleeName(node.init.callee))) {
+        dispatchNames.add(node.id.name);
+      }
+    });
+
+    const dispatches = [];
+    walk(root, node => {
+      if (node.type === 'CallExpression' && node.callee.type === 'Identifier' && dispatchNames.has(node.callee.name)) {
+        dispatches.push({ start: node.start, ...this.describeDispatchedAction(node.arguments[0], syntax) });
+      }
+    });
+
+    return { store: this.findReduxStore(), dispatches };
+  }
+
+  /**
+   * The matcher for what a dispatch() call sends. Imported action creators
+   * are called again in the test, thunks can only be matched as functions,
+   * and actions built locally fall back to toHaveBeenCalled().
+   */
+  describeDispatchedAction(action, syntax) {
+    const source = node => this.componentContent.slice(node.start, node.end);
+
+    if (action && action.type === 'CallExpression') {
+      const callee = action.callee;
+      const rootNode = isMemberExpression(callee) ? callee.object : callee;
+      const binding = rootNode.type === 'Identifier' ? syntax.imports.get(rootNode.name) : null;
+
+      if (binding) {
+        const creator = source(callee);
+        const file = this.resolveModulePath(binding.source, this.componentPath);
+        if (callee === rootNode && file &&
+          new RegExp(`\\b${binding.imported}\\s*=\\s*createAsyncThunk\\b`).test(fs.readFileSync(file, 'utf-8'))) {
+          return { label: creator, matcher: 'toHaveBeenCalledWith(expect.any(Function))', imports: [] };
+        }
+
+        const literal = action.arguments.every(arg =>
+          ['StringLiteral', 'NumericLiteral', 'BooleanLiteral', 'NullLiteral'].includes(arg.type)
+        );
+        return {
+          label: creator,
+          matcher: literal
+            ? `toHaveBeenCalledWith(${creator}(${action.arguments.map(source).join(', ')}))`
+            : `toHaveBeenCalledWith(expect.objectContaining({ type: ${creator}.type }))`,
+          imports: [this.resolveContextImport(rootNode.name)],
+        };
+      }
+    }
+
+    if (action && action.type === 'ObjectExpression') {
+      const type = action.properties.find(property =>
+        property.type === 'ObjectProperty' && !property.computed && property.key.name === 'type'
+      );
+      const value = type ? getLiteralValue(type.value) : null;
+      if (value) {
+        return { label: value, matcher: `toHaveBeenCalledWith(expect.objectContaining({ type: ${quote(value)} }))`, imports: [] };
+      }
+    }
+
+    return { label: null, matcher: 'toHaveBeenCalled()', imports: [] };
+  }
+
+  /**
+   * The app's store setup, so the test store is built the same way: an
+   * exported factory (`setupStore(preloadedState)`), the root reducer, or
+   * the reducers an exported `configureStore()` store is built from. Null
+   * when the project has none of them.
+   */
+  findReduxStore() {
+    const root = findProjectRoot(path.dirname(this.componentPath));
+    if (reduxStores.has(root)) return reduxStores.get(root);
+
+    const analyzer = new CoverageAnalyzer(root);
+    const dirs = ['src', 'app', 'store', 'redux'].map(dir => path.join(root, dir)).filter(dir => fs.existsSync(dir));
+    const files = (dirs.length > 0 ? dirs : [root]).flatMap(dir => analyzer.findSourceFiles(dir));
+    const factoryPattern = new RegExp(`export\\s+(?:const|function)\\s+(${STORE_FACTORY_NAMES.join('|')})\\b`);
+
+    let store = null;
+    for (const file of files) {
+      const content = fs.readFileSync(file, 'utf-8');
+      if (!/\b(configureStore|createStore|combineReducers)\(/.test(content)) continue;
+
+      // index files are imported through their directory
+      const source = /^index\.\w+$/.test(path.basename(file)) ? path.dirname(file) : file;
+      const factory = content.match(factoryPattern);
+      if (factory) {
+        store = { kind: 'factory', name: factory[1], bindings: [{ name: factory[1], imported: factory[1], source }] };
+        break;
+      }
+      if (store) continue;
+
+      const reducer = content.match(/export\s+const\s+(rootReducer|reducer)\b/);
+      if (reducer) {
+        store = { kind: 'reducer', reducer: reducer[1], bindings: [{ name: reducer[1], imported: reducer[1], source }] };
+      } else if (/export\s+const\s+\w+\s*=\s*configureStore\(/.test(content)) {
+        store = this.findStoreReducers(file, source);
+      }
+    }
+
+    reduxStores.set(root, store);
+    return store;
+  }
+
+  /**
+   * The reducer an exported `configureStore({ reducer })` store is built
+   * from, as code for the test store and the imports it needs: the slice
+   * reducers of a `{ cart, user }` map or a combineReducers() call, or an
+   * imported root reducer. Null when a reducer is not importable.
+   */
+  findStoreReducers(file, source) {
+    const info = this.getModuleInfo(file);
+    if (!info.ast) return null;
+
+    const declarations = new Map();
+    let config = null;
+    info.ast.program.body.forEach(statement => {
+      const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+      if (!declaration || declaration.type !== 'VariableDeclaration') return;
+      declaration.declarations.forEach(declarator => {
+        if (declarator.id.type !== 'Identifier' || !declarator.init) return;
+        declarations.set(declarator.id.name, { init: declarator.init, exported: declaration !== statement });
+        if (statement.type === 'ExportNamedDeclaration' && declarator.init.type === 'CallExpression' &&
+          getCalleeName(declarator.init.callee) === 'configureStore') {
+          config = config || declarator.init.arguments[0];
+        }
+      });
+    });
+
+    const toBinding = name => {
+      const imported = info.imports.get(name);
+      if (imported) {
+        const target = imported.source.startsWith('.') ? this.resolveModulePath(imported.source, file) : imported.source;
+        return target && imported.imported !== '*' ? { name, imported: imported.imported, source: target } : null;
+      }
+      const local = declarations.get(name);
+      return local && local.exported ? { name, imported: name, source } : null;
+    };
+
+    let reducer = getObjectProperty(config, 'reducer');
+    if (reducer && reducer.type === 'Identifier' && !toBinding(reducer.name) && declarations.has(reducer.name)) {
+      // const rootReducer = combineReducers({ ... }) kept private to the store module
+      const init = declarations.get(reducer.name).init;
+      if (init.type === 'CallExpression' && getCalleeName(init.callee) === 'combineReducers') reducer = init.arguments[0];
+    }
+
+    if (reducer && reducer.type === 'Identifier') {
+      const binding = toBinding(reducer.name);
+      return binding ? { kind: 'reducer', reducer: reducer.name, bindings: [binding] } : null;
+    }
+    if (!reducer || reducer.type !== 'ObjectExpression') return null;
+
+    const entries = [];
+    const bindings = [];
+    for (const property of reducer.properties) {
+      if (property.type !== 'ObjectProperty' || property.computed || property.value.type !== 'Identifier') return null;
+      const binding = toBinding(property.value.name);
+      if (!binding) return null;
+
+      const key = property.key.name || property.key.value;
+      entries.push(key === binding.name ? key : `${formatKey(key)}: ${binding.name}`);
+      bindings.push(binding);
+    }
+    return { kind: 'reducer', reducer: `{ ${entries.join(', ')} }`, bindings };
+  }
+
+  /**
+   * Zustand store hooks the component reads, found by following its local
+   * imports to modules that call zustand's create().
+   */
+  detectZustandStores(syntax) {
+    return [...syntax.imports]
+      .filter(([local, binding]) => isHookName(local) && binding.source.startsWith('.') && syntax.references.has(local))
+      .filter(([local, binding]) => {
+        const file = this.resolveModulePath(binding.source, this.componentPath);
+        const content = file ? fs.readFileSync(file, 'utf-8') : '';
+        if (!/from\s+['"]zustand(\/\w+)?['"]/.test(content)) return false;
+        return binding.imported === 'default' || new RegExp(`\\b${binding.imported}\\s*=\\s*create\\b`).test(content);
+      })
+      .map(([local]) => this.resolveContextImport(local));
+  }
+
+  /**
+   * React Query hooks the component calls and the imported function its
+   * query fetches with, which the query state tests mock.
+   */
+  detectQueries(root, syntax) {
+    const binding = [...syntax.imports].find(([local, { source }]) =>
+      QUERY_SOURCES.includes(source) && syntax.references.has(local)
+    );
+    if (!binding) return null;
+
+    const hooks = [...syntax.hookCalls].filter(hook =>
+      [...DATA_QUERY_HOOKS, 'useMutation', 'useQueryClient'].includes(hook)
+    );
+
+    let queryFn = null;
+    walk(root, node => {
+      if (queryFn || node.type !== 'CallExpression') return;
+      if (!DATA_QUERY_HOOKS.includes(this.resolveName(getCalleeName(node.callee), syntax.imports))) return;
+
+      const [first, second] = node.arguments;
+      const option = first && first.type === 'ObjectExpression'
+        ? first.properties.find(property => property.type === 'ObjectProperty' && property.key.name === 'queryFn')
+        : null;
+      // v3 also accepts useQuery(key, queryFn)
+      const fn = option ? option.value : second;
+      if (fn) queryFn = this.findQueryFunction(fn, syntax);
+    });
+
+    return { source: binding[1].source, hooks, queryFn };
+  }
+
+  /**
+   * The imported function a queryFn calls (`queryFn: fetchUsers` or
+   * `() => api.getUser(id)`), with the source the test refers to it by.
+   */
+  findQueryFunction(fn, syntax) {
+    const fromImport = callee => {
+      const rootNode = isMemberExpression(callee) ? callee.object : callee;
+      if (rootNode.type !== 'Identifier') return null;
+
+      // Only the app's own modules; library calls are left to MSW
+      const binding = syntax.imports.get(rootNode.name);
+      if (!binding || !/^(\.|@\/|~\/)/.test(binding.source)) return null;
+      return {
+        ...this.resolveContextImport(rootNode.name),
+        code: this.componentContent.slice(callee.start, callee.end),
+        file: this.resolveModulePath(binding.source, this.componentPath),
+      };
+    };
+
+    if (!isFunctionNode(fn)) return fromImport(fn);
+
+    let found = null;
+    walk(fn.body, node => {
+      if (found) return false;
+      if (node.type === 'CallExpression') found = fromImport(node.callee);
+    });
+    return found;
+  }
+
+  /**
+   * The HTTP endpoints a component requests, directly or through the hooks
+   * and service modules it imports: fetch(), axios, axios instances and API
+   * clients (`api.get('/users')`), and request() style helpers around them.
+   */
+  findEndpoints(component) {
+    const info = this.getModuleInfo(this.componentPath);
+    const roots = component.node ? this.getComponentScope(component) : [this.ast.program];
+    const seen = new Set();
+    const requests = roots.flatMap(root => this.collectRequests(root, info, seen));
+
+    // The same endpoint called from several places gets one handler
+    const endpoints = new Map();
+    requests.forEach(request => {
+      const endpoint = toEndpoint(request.method, request.url, request.query, request.baseURL);
+      if (!endpoint) return;
+
+      const key = `${endpoint.method} ${endpoint.path}`;
+      const existing = endpoints.get(key);
+      if (existing) {
+        existing.query = [...new Set([...existing.query, ...endpoint.query])];
+        existing.response = existing.response || request.response;
+      } else {
+        endpoints.set(key, { ...endpoint, response: request.response });
+      }
+    });
+
+    return [...endpoints.values()];
+  }
+
+  /**
+   * Requests made from `root`, following calls into functions declared in
+   * the same module or a relative import (hooks, services) a few levels deep.
+   */
+  collectRequests(root, info, seen, depth = 0) {
+    const requests = [];
+
+    walk(root, node => {
+      // Request helpers are only meaningful with the path their callers pass
+      if (isFunctionNode(node) && this.getRequestWrapper(node, info)) return false;
+      if (node.type !== 'CallExpression') return;
+
+      const request = this.describeRequest(node, info);
+      if (request) {
+        requests.push(request);
+        return;
+      }
+
+      const target = depth < 4 ? this.resolveCalledFunction(node.callee, info) : null;
+      if (!target || seen.has(target.fn)) return;
+
+      const wrapper = this.getRequestWrapper(target.fn, target.info);
+      if (wrapper) {
+        const wrapped = this.describeWrapperCall(node, wrapper, info);
+        if (wrapped) requests.push(wrapped);
+        return;
+      }
+
+      seen.add(target.fn);
+      const found = this.collectRequests(target.fn.body, target.info, seen, depth + 1);
+      // A service function's return type describes what its request responds with
+      const responseType = getResponseType(target.fn);
+      if (found.length === 1 && !found[0].response && responseType) {
+        found[0].response = { type: responseType, info: target.info };
+      }
+      requests.push(...found);
+    });
+
+    return requests;
+  }
+
+  /**
+   * The request a fetch(), axios or API client call makes, or null when the
+   * call is none of these. `explicitMethod` is false when the method is left
+   * to the caller, as in fetch(url, options) inside a request helper.
+   */
+  describeRequest(call, info, substitutions = new Map()) {
+    const callee = call.callee;
+    const [first, second, third] = call.arguments;
+
+    const request = (method, urlNode, params, baseURL = null) => {
+      // A helper's parameter is only the caller's path when it is the whole
+      // path; inside one, as in `/users/${id}`, it is a route param
+      const paths = new Map([...substitutions].filter(([name]) => isWholePath(urlNode, name)));
+      const url = resolveUrlTemplate(urlNode, name => this.lookupConstant(info, name), paths);
+      if (url === null) return null;
+
+      const [responseType] = getTypeArguments(call);
+      return {
+        method: method || 'get',
+        explicitMethod: !!method,
+        url,
+        query: getObjectKeys(params),
+        baseURL,
+        response: responseType ? { type: responseType, info } : null,
+      };
+    };
+
+    if (callee.type === 'Identifier' && callee.name === 'fetch' && !info.functions.has('fetch')) {
+      return request(getRequestMethod(second), first, null);
+    }
+
+    // axios(url, config) and axios({ url, method, params })
+    if (callee.type === 'Identifier' && this.isAxios(callee.name, info)) {
+      return first && first.type === 'ObjectExpression'
+        ? request(getRequestMethod(first), getObjectProperty(first, 'url'), getObjectProperty(first, 'params'))
+        : request(getRequestMethod(second), first, getObjectProperty(second, 'params'));
+    }
+
+    if (isMemberExpression(callee) && !callee.computed && callee.object.type === 'Identifier' &&
+      callee.property.type === 'Identifier') {
+      const method = callee.property.name;
+      if (!HTTP_METHODS.includes(method) && method !== 'request') return null;
+
+      const client = this.resolveClient(callee.object.name, info);
+      if (!client) return null;
+
+      if (method === 'request') {
+        return request(getRequestMethod(first), getObjectProperty(first, 'url'), getObjectProperty(first, 'params'), client.baseURL);
+      }
+      const config = BODYLESS_METHODS.includes(method) ? second : third;
+      return request(method, first, getObjectProperty(config, 'params'), client.baseURL);
+    }
+
+    return null;
+  }
+
+  /**
+   * A request() style helper: a function whose first parameter is the whole
+   * path of the URL it requests. Returns that request with a placeholder where the
+   * caller's path goes, or null. Cached per function.
+   */
+  getRequestWrapper(fn, info) {
+    this.requestWrappers = this.requestWrappers || new Map();
+    if (this.requestWrappers.has(fn)) return this.requestWrappers.get(fn);
+    this.requestWrappers.set(fn, null);
+
+    const param = fn.params && fn.params[0];
+    let wrapper = null;
+    if (param && param.type === 'Identifier') {
+      const substitutions = new Map([[param.name, PATH_PLACEHOLDER]]);
+      walk(fn.body, node => {
+        if (wrapper) return false;
+        if (node.type !== 'CallExpression') return;
+
+        const request = this.describeRequest(node, info, substitutions);
+        if (request && request.url.includes(PATH_PLACEHOLDER)) wrapper = request;
+      });
+    }
+
+    this.requestWrappers.set(fn, wrapper);
+    return wrapper;
+  }
+
+  describeWrapperCall(call, wrapper, info) {
+    const [pathArgument, options] = call.arguments;
+    const requestPath = resolveUrlTemplate(pathArgument, name => this.lookupConstant(info, name));
+    if (requestPath === null) return null;
+
+    const [responseType] = getTypeArguments(call);
+    return {
+      ...wrapper,
+      method: wrapper.explicitMethod ? wrapper.method : getRequestMethod(options) || 'get',
+      explicitMethod: true,
+      url: wrapper.url.replace(PATH_PLACEHOLDER, requestPath),
+      query: [...wrapper.query, ...getObjectKeys(getObjectProperty(options, 'params'))],
+      response: responseType ? { type: responseType, info } : null,
+    };
+  }
+
+  /**
+   * The function a call runs when it is declared in the same module or a
+   * relative import: `fetchUser()`, `api.getUser()`, or `users.fetch()` on
+   * a namespace import.
+   */
+  resolveCalledFunction(callee, info) {
+    let name = null;
+    let member = null;
+    if (callee.type === 'Identifier') {
+      name = callee.name;
+    } else if (isMemberExpression(callee) && !callee.computed && callee.object.type === 'Identifier' &&
+      callee.property.type === 'Identifier') {
+      name = callee.object.name;
+      member = callee.property.name;
+    }
+    if (!name) return null;
+
+    const local = info.functions.get(member ? `${name}.${member}` : name);
+    if (local) return { fn: local, info };
+
+    const binding = info.imports.get(name);
+    const file = binding ? this.resolveModulePath(binding.source, info.file) : null;
+    if (!file) return null;
+
+    const target = this.getModuleInfo(file);
+    const exported = binding.imported === '*' ? member : binding.imported;
+    if (!exported) return null;
+
+    const suffix = binding.imported !== '*' && member ? `.${member}` : '';
+    const fn = target.functions.get(`${target.exports.get(exported) || exported}${suffix}`);
+    return fn ? { fn, info: target } : null;
+  }
+
+  /**
+   * What endpoint extraction needs from a module: its imports, string
+   * constants (base URLs), axios instances with their baseURL, and
+   * top-level functions including the methods of API objects. Cached per
+   * file.
+   */
+  getModuleInfo(file) {
+    this.moduleInfos = this.moduleInfos || new Map();
+    if (this.moduleInfos.has(file)) return this.moduleInfos.get(file);
+
+    const info = {
+      file,
+      ast: null,
+      imports: new Map(),
+      constants: new Map(),
+      clients: new Map(),
+      functions: new Map(),
+      exports: new Map(),
+    };
+    this.moduleInfos.set(file, info);
+
+    try {
+      info.ast = file === this.componentPath ? this.ast : this.parseSource(fs.readFileSync(file, 'utf-8'), file);
+    } catch {
+      return info;
+    }
+
+    info.ast.program.body.forEach(statement => {
+      if (statement.type === 'ImportDeclaration') {
+        statement.specifiers.forEach(specifier => {
+          let imported = 'default';
+          if (specifier.type === 'ImportSpecifier') imported = specifier.imported.name || specifier.imported.value;
+          if (specifier.type === 'ImportNamespaceSpecifier') imported = '*';
+          info.imports.set(specifier.local.name, { source: statement.source.value, imported });
+        });
+        return;
+      }
+
+      let declaration = statement;
+      if (statement.type === 'ExportNamedDeclaration') {
+        declaration = statement.declaration;
+        if (!statement.source) {
+          statement.specifiers.forEach(specifier => info.exports.set(getExportedName(specifier), specifier.local.name));
+        }
+      } else if (statement.type === 'ExportDefaultDeclaration') {
+        declaration = statement.declaration;
+        if (declaration.type === 'Identifier' || declaration.id) {
+          info.exports.set('default', declaration.type === 'Identifier' ? declaration.name : declaration.id.name);
+        } else {
+          this.addModuleValue(info, 'default', declaration);
+        }
+      }
+      if (!declaration) return;
+
+      if (declaration.type === 'FunctionDeclaration' && declaration.id) {
+        info.functions.set(declaration.id.name, declaration);
+      } else if (declaration.type === 'VariableDeclaration') {
+        declaration.declarations.forEach(declarator => {
+          if (declarator.id.type === 'Identifier' && declarator.init) {
+            this.addModuleValue(info, declarator.id.name, declarator.init);
+          }
+        });
+      }
+    });
+
+    return info;
+  }
+
+  addModuleValue(info, name, init) {
+    if (isFunctionNode(init)) {
+      info.functions.set(name, init);
+    } else if (init.type === 'ObjectExpression') {
+      init.properties.forEach(property => {
+        const key = property.key && (property.key.name || property.key.value);
+        if (property.type === 'ObjectMethod') info.functions.set(`${name}.${key}`, property);
+        if (property.type === 'ObjectProperty' && isFunctionNode(property.value)) {
+          info.functions.set(`${name}.${key}`, property.value);
+        }
+      });
+    } else if (init.type === 'CallExpression' && isMemberExpression(init.callee) && getCalleeName(init.callee) === 'create' &&
+      init.callee.object.type === 'Identifier' && this.isAxios(init.callee.object.name, info)) {
+      const baseURL = resolveUrlTemplate(getObjectProperty(init.arguments[0], 'baseURL'), key => this.lookupConstant(info, key));
+      info.clients.set(name, { baseURL });
+    } else {
+      const value = resolveUrlTemplate(init, key => this.lookupConstant(info, key));
+      if (value !== null) info.constants.set(name, value);
+    }
+  }
+
+  lookupConstant(info, name, depth = 0) {
+    if (info.constants.has(name)) return info.constants.get(name);
+
+    const binding = info.imports.get(name);
+    const file = binding && depth < 3 ? this.resolveModulePath(binding.source, info.file) : null;
+    if (!file) return null;
+
+    const target = this.getModuleInfo(file);
+    return this.lookupConstant(target, target.exports.get(binding.imported) || binding.imported, depth + 1);
+  }
+
+  isAxios(name, info) {
+    const binding = info.imports.get(name);
+    return !!binding && binding.source === 'axios';
+  }
+
+  /**
+   * The axios instance or API client `name` refers to: axios itself, a local
+   * or imported axios.create() result, or an object named like a client
+   * (api, client, http). Null for anything else.
+   */
+  resolveClient(name, info, depth = 0) {
+    if (this.isAxios(name, info)) return { baseURL: null };
+    if (info.clients.has(name)) return info.clients.get(name);
+
+    const binding = info.imports.get(name);
+    const file = binding && depth < 3 ? this.resolveModulePath(binding.source, info.file) : null;
+    if (file) {
+      const target = this.getModuleInfo(file);
+      const client = this.resolveClient(target.exports.get(binding.imported) || binding.imported, target, depth + 1);
+      if (client) return client;
+    }
+
+    return /^(api|apiClient|client|http|httpClient|instance|axiosInstance)$/i.test(name) ? { baseURL: null } : null;
+  }
+
+  /**
+   * Lists the JSX elements a component renders with the query that finds
+   * them, following the priority order in references/query_strategies.md:
+   * role + name, label, placeholder, text, then testID. Elements behind a
+   * condition, inside a nested function (renderItem, map callbacks) or inside
+   * a modal are marked `conditional` because they may not be on screen after
+   * the initial render.
+   */
+  collectElements(component, syntax) {
+    const elements = [];
+    const bindings = this.getComponentBindings(component);
+    let hasEarlyReturn = false;
+
+    // `conditions` holds the names tested on the way to an element, so
+    // query tests can tell loading and error states apart
+    const visit = (node, conditional, isRoot = false, conditions = []) => {
+      if (!node || typeof node.type !== 'string') return;
+
+      if (isFunctionNode(node) || node.type === 'ClassMethod' || node.type === 'ObjectMethod') {
+        const isRender = node.type === 'ClassMethod' && node.key.name === 'render';
+        visit(node.body, isRoot || isRender ? conditional : true, false, conditions);
+        return;
+      }
+
+      switch (node.type) {
+        case 'IfStatement':
+          visit(node.test, conditional, false, conditions);
+          if (containsJsx(node.consequent) || (node.alternate && containsJsx(node.alternate))) {
+            hasEarlyReturn = true;
+          }
+          visit(node.consequent, true, false, [...conditions, ...getConditionNames(node.test)]);
+          visit(node.alternate, true, false, [...conditions, ...getConditionNames(node.test, false)]);
+          return;
+        case 'ConditionalExpression':
+          visit(node.test, conditional, false, conditions);
+          visit(node.consequent, true, false, [...conditions, ...getConditionNames(node.test)]);
+          visit(node.alternate, true, false, [...conditions, ...getConditionNames(node.test, false)]);
+          return;
+        case 'LogicalExpression':
+          visit(node.left, conditional, false, conditions);
+          visit(node.right, true, false, [...conditions, ...getConditionNames(node.left, node.operator === '&&')]);
+          return;
+        case 'SwitchCase':
+          visitChildren(node, true, conditions);
+          return;
+        case 'JSXElement': {
+          const element = this.describeElement(node, syntax, bindings);
+          elements.push({ ...element, conditional, conditions });
+          // Modal content is only on screen once the modal is opened
+          visitChildren(node, conditional || element.isModal, conditions);
+          return;
+        }
+        default:
+          visitChildren(node, conditional, conditions);
+      }
+    };
+
+    const visitChildren = (node, conditional, conditions = []) => {
+      if (!node) return;
+      for (const key of Object.keys(node)) {
+        if (SKIPPED_KEYS.has(key)) continue;
+        const child = node[key];
+        if (Array.isArray(child)) {
+          child.forEach(item => visit(item, conditional, false, conditions));
+        } else if (child && typeof child.type === 'string') {
+          visit(child, conditional, false, conditions);
+        }
+      }
+    };
+
+    if (component.node.type === 'ClassDeclaration') {
+      visitChildren(component.node.body, false);
+    } else {
+      visit(component.node, false, true);
+    }
+
+    // With an early `if (...) return <Loading />` the main tree is not
+    // guaranteed to be the first thing rendered
+    if (hasEarlyReturn) {
+      elements.forEach(element => { element.conditional = true; });
+    }
+
+    // <Pressable><Text>Log in</Text></Pressable> is already covered by the
+    // pressable's role query, so the inner Text doesn't need its own
+    const namedByText = new Set(elements
+      .filter(element => element.query && element.query.startsWith('screen.getByRole(') && element.text)
+      .map(element => element.text));
+    elements.forEach(element => {
+      if (element.query && element.query.startsWith('screen.getByText(') && namedByText.has(element.text)) {
+        element.query = null;
+      }
+    });
+
+    // A getBy* query matching several elements throws, so drop repeats
+    const counts = new Map();
+    elements.forEach(element => {
+      if (element.query) counts.set(element.query, (counts.get(element.query) || 0) + 1);
+    });
+    elements.forEach(element => {
+      if (element.query && counts.get(element.query) > 1) element.query = null;
+    });
+
+    return elements;
+  }
+
+  describeElement(node, syntax, bindings) {
+    const opening = node.openingElement;
+    const name = this.resolveJsxName(opening.name, syntax.imports);
+    const rootName = getJsxRootName(opening.name);
+    const binding = syntax.imports.get(rootName);
+    const isCore = !!binding && binding.source === 'react-native';
+
+    const attributes = {};
+    const handlers = [];
+    let valueIdentifier = null;
+    opening.attributes.forEach(attribute => {
+      if (attribute.type !== 'JSXAttribute' || typeof attribute.name.name !== 'string') return;
+      attributes[attribute.name.name] = attribute.value ? getLiteralValue(attribute.value) : true;
+      if (attribute.name.name === 'value' && attribute.value && attribute.value.type === 'JSXExpressionContainer' &&
+        attribute.value.expression.type === 'Identifier') {
+        valueIdentifier = attribute.value.expression.name;
+      }
+      if (/^on[A-Z]/.test(attribute.name.name) && attribute.value && attribute.value.type === 'JSXExpressionContainer') {
+        const expression = attribute.value.expression;
+        handlers.push({
+          name: attribute.name.name,
+          callbacks: this.resolveCallbacks(expression, bindings),
+          calls: this.getReachableCalls(expression, bindings).map(call => call.start),
+          // onChangeText={onChangeText} receives exactly what the event sends
+          direct: !!this.getPropName(expression, bindings),
+        });
+      }
+    });
+
+    const baseName = name.split('.').pop();
+    const target = attributes.accessibilityLabel || attributes['aria-label'] ||
+      (baseName === 'Button' ? attributes.title : null) || attributes.placeholder || getStaticText(node) ||
+      attributes.testID || null;
+    const role = attributes.role || attributes.accessibilityRole || (isCore && baseName === 'Button' ? 'button' : null);
+    const label = attributes.accessibilityLabel || attributes['aria-label'] || null;
+    const text = getStaticText(node);
+    const accessibleName = label || (isCore && baseName === 'Button' ? attributes.title : text) || null;
+
+    return {
+      name,
+      isCore,
+      isModal: ['Modal', 'BottomSheet', 'BottomSheetModal', 'ActionSheet'].includes(baseName),
+      attributes,
+      handlers,
+      valueIdentifier,
+      target: typeof target === 'string' ? target : null,
+      text,
+      query: isCore ? buildElementQuery({ baseName, role, label, accessibleName, attributes, text }) : null,
+    };
+  }
+
+  /**
+   * Names the component receives as props and the local functions it defines,
+   * so handlers like onPress={handleSubmit} can be traced back to the callback
+   * prop they end up calling.
+   */
+  getComponentBindings(component) {
+    const bindings = { propNames: new Set(), propsName: null, functions: new Map() };
+    const param = component.params[0];
+    const addPattern = pattern => pattern.properties.forEach(property => {
+      if (property.type === 'ObjectProperty' && property.key.type === 'Identifier') {
+        bindings.propNames.add(property.key.name);
+      }
+    });
+
+    if (param && param.type === 'ObjectPattern') addPattern(param);
+    if (param && param.type === 'AssignmentPattern' && param.left.type === 'ObjectPattern') addPattern(param.left);
+    if (param && param.type === 'Identifier') bindings.propsName = param.name;
+
+    walk(component.node, node => {
+      if (node.type === 'VariableDeclarator' && node.init) {
+        if (node.id.type === 'ObjectPattern' && this.isPropsObject(node.init, bindings)) {
+          addPattern(node.id);
+        } else if (node.id.type === 'Identifier') {
+          const init = node.init.type === 'CallExpression' && getCalleeName(node.init.callee) === 'useCallback'
+            ? node.init.arguments[0]
+            : node.init;
+          if (init && isFunctionNode(init)) bindings.functions.set(node.id.name, init);
+        }
+      } else if (node.type === 'FunctionDeclaration' && node !== component.node && node.id) {
+        bindings.functions.set(node.id.name, node);
+      } else if ((node.type === 'ClassMethod' || node.type === 'ClassProperty') && node.key.type === 'Identifier') {
+        const fn = node.type === 'ClassMethod' ? node : node.value;
+        if (fn && (fn === node || isFunctionNode(fn))) bindings.functions.set(`this.${node.key.name}`, fn);
+      }
+    });
+
+    return bindings;
+  }
+
+  isPropsObject(node, bindings) {
+    if (node.type === 'Identifier') return node.name === bindings.propsName;
+    return isMemberExpression(node) && node.object.type === 'ThisExpression' &&
+      node.property.type === 'Identifier' && node.property.name === 'props';
+  }
+
+  getPropName(node, bindings) {
+    if (node.type === 'Identifier' && bindings.propNames.has(node.name)) return node.name;
+    if (isMemberExpression(node) && node.property.type === 'Identifier' && this.isPropsObject(node.object, bindings)) {
+      return node.property.name;
+    }
+    return null;
+  }
+
+  /**
+   * Callback props a handler expression ends up calling, following local
+   * functions and class methods.
+   */
+  resolveCallbacks(expression, bindings) {
+    const propName = this.getPropName(expression, bindings);
+    if (propName) return [propName];
+
+    const callbacks = this.getReachableCalls(expression, bindings)
+      .map(call => this.getPropName(call.callee, bindings))
+      .filter(Boolean);
+    return [...new Set(callbacks)];
+  }
+
+  /**
+   * Every call a handler expression makes, including inside the local
+   * functions and class methods it calls.
+   */
+  getReachableCalls(expression, bindings, seen = new Set()) {
+    let fn = null;
+    if (isFunctionNode(expression)) {
+      fn = expression;
+    } else if (expression.type === 'Identifier') {
+      fn = bindings.functions.get(expression.name);
+    } else if (isMemberExpression(expression) && expression.object.type === 'ThisExpression' &&
+      expression.property.type === 'Identifier') {
+      fn = bindings.functions.get(`this.${expression.property.name}`);
+    }
+    if (!fn || seen.has(fn)) return [];
+    seen.add(fn);
+
+    const calls = [];
+    walk(fn.body, node => {
+      if (node.type !== 'CallExpression' && node.type !== 'OptionalCallExpression') return;
+      calls.push(node);
+      if (!this.getPropName(node.callee, bindings)) {
+        calls.push(...this.getReachableCalls(node.callee, bindings, seen));
+      }
+    });
+
+    return calls;
+  }
+
+  /**
+   * Describes a custom hook: its arguments, what it returns (values and the
+   * functions that update them) and the contexts it reads, which the tests
+   * need to provide through a wrapper.
+   */
+  analyzeHook(hook) {
+    const typeContext = this.getTypeContext(this.componentPath, this.ast);
+    const scope = this.getFunctionScope(hook.node);
+    scope.params = hook.node.params.map((param, index) => this.buildArgument(param, typeContext, index));
+    scope.typeContext = typeContext;
+
+    return {
+      kind: 'hook',
+      componentName: hook.name,
+      importName: hook.importName,
+      params: scope.params,
+      returns: this.describeHookReturn(scope.returned, scope),
+      contexts: scope.contextNames.map(name => this.resolveContextValue(this.resolveContextImport(name))),
+    };
+  }
+
+  /**
+   * How a hook's test can provide a context: through the Provider component
+   * its module exports, or, when createContext() has a default value, not
+   * at all. Looks in the module declaring the context.
+   */
+  resolveContextValue(context) {
+    const binding = this.syntax.imports.get(context.name);
+    const file = binding ? this.resolveModulePath(binding.source, this.componentPath) : this.componentPath;
+    const info = file ? this.getModuleInfo(file) : null;
+    if (!info || !info.ast) return { ...context, provider: null, hasDefault: false };
+
+    const ast = info.ast;
+    const localName = binding ? info.exports.get(binding.imported) || binding.imported : context.name;
+    const declaration = findVariableInit(ast, localName);
+    const hasDefault = !!declaration && declaration.type === 'CallExpression' &&
+      getCalleeName(declaration.callee) === 'createContext' && !isNullishValue(declaration.arguments[0]);
+
+    let provider = null;
+    ast.program.body.forEach(statement => {
+      const node = statement.type.startsWith('Export') && statement.declaration ? statement.declaration : statement;
+      const candidates = node.type === 'VariableDeclaration'
+        ? node.declarations.filter(d => d.id.type === 'Identifier' && d.init).map(d => ({ name: d.id.name, fn: d.init }))
+        : [{ name: node.id && node.id.name, fn: node }];
+
+      candidates.forEach(({ name, fn }) => {
+        if (provider || !name || !isFunctionNode(fn) || !takesOnlyChildren(fn) || !rendersProvider(fn, localName)) return;
+        const imported = this.findExportName(name, ast);
+        if (imported) {
+          provider = { name: imported === 'default' ? name : imported, imported, source: binding ? context.source : this.componentPath };
+        }
+      });
+    });
+
+    return { ...context, provider, hasDefault };
+  }
+
+  /**
+   * Describes a context module: the value its provider exposes (values and
+   * actions), the context's default value and whether the consumer hook
+   * guards against being used outside the provider.
+   */
+  analyzeContext(module) {
+    const { provider, hook, context } = module;
+    const typeContext = this.getTypeContext(this.componentPath, this.ast);
+    const scope = this.getFunctionScope(provider.node);
+    const param = provider.node.params[0];
+
+    // Defaults of destructured provider props, e.g. { initialTheme = 'light' }
+    scope.params = param && param.type === 'ObjectPattern'
+      ? param.properties
+        .filter(property => property.type === 'ObjectProperty' && property.key.type === 'Identifier' &&
+          property.value.type === 'AssignmentPattern')
+        .map(property => ({
+          name: property.key.name,
+          code: this.componentContent.slice(property.value.right.start, property.value.right.end),
+          note: null,
+        }))
+      : [];
+    scope.typeContext = typeContext;
+
+    const value = this.findProviderValue(provider.node, context.name, scope);
+    const returns = value && value.type === 'ObjectExpression'
+      ? this.describeHookReturn(value, scope)
+      : { shape: 'value', entries: [] };
+
+    // The hook can only throw outside the provider when the default is empty
+    const throws = hook && isNullishValue(context.defaultValue) ? this.getFunctionScope(hook.node).throws : [];
+    const guard = throws.length > 0 ? { message: throws[0] } : null;
+    const contextCall = context.importName ? `useContext(${context.name})` : null;
+    const consumerCall = hook ? `${hook.name}()` : contextCall;
+    // A guarded hook throws outside the provider, so read the context directly
+    const defaultCall = hook && !guard ? `${hook.name}()` : contextCall;
+
+    const bindings = [{ importName: provider.importName, name: provider.name }];
+    if (hook) bindings.push({ importName: hook.importName, name: hook.name });
+    if ([consumerCall, defaultCall].includes(contextCall) && contextCall) {
+      bindings.push({ importName: context.importName, name: context.name });
+    }
+
+    return {
+      kind: 'context',
+      componentName: provider.name,
+      importName: provider.importName,
+      bindings,
+      contextName: context.name,
+      hookName: hook ? hook.name : null,
+      consumerCall,
+      defaultCall,
+      defaultAssertions: defaultCall ? this.buildDefaultValueAssertions(context.defaultValue) : [],
+      guard,
+      providerProps: this.resolveProps(provider)
+        .filter(prop => !prop.optional && prop.name !== 'children')
+        .map(prop => ` ${prop.name}={${prop.value}}`)
+        .join(''),
+      params: [],
+      returns,
+    };
+  }
+
+  /**
+   * The expression passed as `value` to `<Context.Provider>`, following a
+   * local variable or useMemo() to the object it builds.
+   */
+  findProviderValue(providerNode, contextName, scope) {
+    let value = null;
+    walk(providerNode, node => {
+      if (value || node.type !== 'JSXOpeningElement' || !isProviderName(node.name, contextName)) return;
+      const attribute = node.attributes.find(a => a.type === 'JSXAttribute' && a.name.name === 'value');
+      if (attribute && attribute.value && attribute.value.type === 'JSXExpressionContainer') {
+        value = attribute.value.expression;
+      }
+    });
+
+    for (let depth = 0; value && depth < 3; depth++) {
+      if (value.type === 'TSAsExpression' || value.type === 'TSSatisfiesExpression') {
+        value = value.expression;
+      } else if (value.type === 'Identifier' && scope.variables.has(value.name)) {
+        value = scope.variables.get(value.name);
+      } else if (value.type === 'CallExpression' && getCalleeName(value.callee) === 'useMemo' &&
+        value.arguments[0] && isFunctionNode(value.arguments[0])) {
+        value = this.getFunctionScope(value.arguments[0]).returned;
+      } else {
+        break;
+      }
+    }
+
+    return value;
+  }
+
+  buildDefaultValueAssertions(node) {
+    if (!node) return ['expect(result.current).toBeUndefined();'];
+
+    const literal = this.getInitialValue(node, { params: [] });
+    if (literal !== null) {
+      const matcher = /^[[{]/.test(literal) ? 'toEqual' : 'toBe';
+      return [`expect(result.current).${matcher}(${literal});`];
+    }
+
+    if (node.type !== 'ObjectExpression') return [];
+
+    return node.properties
+      .filter(property => (property.type === 'ObjectProperty' || property.type === 'ObjectMethod') &&
+        property.key.type === 'Identifier')
+      .map(property => {
+        const access = `result.current.${property.key.name}`;
+        if (property.type === 'ObjectMethod' || isFunctionNode(property.value)) {
+          return `expect(${access}).toEqual(expect.any(Function));`;
+        }
+        const value = this.getInitialValue(property.value, { params: [] });
+        if (value === null) return null;
+        return `expect(${access}).${/^[[{]/.test(value) ? 'toEqual' : 'toBe'}(${value});`;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * The state, local functions and variables declared directly in a hook or
+   * component body (not in nested functions), plus what it returns, the
+   * contexts it reads and the errors it throws.
+   */
+  getFunctionScope(fn) {
+    const scope = {
+      state: new Map(),
+      setters: new Map(),
+      functions: new Map(),
+      variables: new Map(),
+      contextNames: [],
+      throws: [],
+      returned: fn.body.type === 'BlockStatement' ? null : fn.body,
+    };
+
+    walk(fn.body, node => {
+      if (node !== fn.body && isFunctionNode(node)) {
+        if (node.type === 'FunctionDeclaration' && node.id) scope.functions.set(node.id.name, node);
+        return false;
+      }
+
+      if (node.type === 'ReturnStatement' && node.argument) {
+        scope.returned = node.argument;
+      } else if (node.type === 'ThrowStatement') {
+        const error = node.argument;
+        const message = error && error.type === 'NewExpression' ? getLiteralValue(error.arguments[0]) : null;
+        scope.throws.push(message);
+      } else if (node.type === 'VariableDeclarator' && node.init) {
+        const init = node.init;
+        const callee = init.type === 'CallExpression' ? getCalleeName(init.callee) : '';
+
+        if (node.id.type === 'ArrayPattern' && callee === 'useState') {
+          const [value, setter] = node.id.elements;
+          if (value && value.type === 'Identifier') {
+            scope.state.set(value.name, init.arguments[0] || null);
+            if (setter && setter.type === 'Identifier') scope.setters.set(setter.name, value.name);
+          }
+        } else if (node.id.type === 'Identifier') {
+          const body = callee === 'useCallback' ? init.arguments[0] : init;
+          if (body && isFunctionNode(body)) {
+            scope.functions.set(node.id.name, body);
+          } else {
+            scope.variables.set(node.id.name, init);
+          }
+        }
+      } else if (node.type === 'CallExpression' && getCalleeName(node.callee) === 'useContext' &&
+        node.arguments[0] && node.arguments[0].type === 'Identifier' &&
+        !scope.contextNames.includes(node.arguments[0].name)) {
+        scope.contextNames.push(node.arguments[0].name);
+      }
+    });
+
+    return scope;
+  }
+
+  /**
+   * A sample value for a function parameter, from its type annotation when
+   * there is one.
+   */
+  buildArgument(param, typeContext, index, indent = '  ') {
+    let node = param;
+    let fallback = null;
+    if (node.type === 'AssignmentPattern') {
+      fallback = this.componentContent.slice(node.right.start, node.right.end);
+      node = node.left;
+    }
+
+    const name = node.type === 'Identifier' ? node.name : (index === 0 ? 'options' : `arg${index + 1}`);
+    const type = node.typeAnnotation && node.typeAnnotation.typeAnnotation;
+
+    if (type) {
+      const placeholder = this.buildPlaceholder(name, type, typeContext, indent);
+      return { name, code: placeholder.code, note: placeholder.note || null };
+    }
+    if (fallback) return { name, code: fallback, note: null };
+    if (node.type === 'ObjectPattern') return { name, code: '{}', note: `TODO: provide ${name}` };
+    return { name, code: 'undefined', note: `TODO: provide a value for ${name}` };
+  }
+
+  describeHookReturn(node, scope) {
+    if (!node) return { shape: 'none', entries: [] };
+
+    if (node.type === 'ObjectExpression') {
+      const entries = node.properties
+        .filter(property => (property.type === 'ObjectProperty' || property.type === 'ObjectMethod') &&
+          property.key.type === 'Identifier')
+        .map(property => this.describeHookValue(
+          property.key.name,
+          `result.current.${property.key.name}`,
+          property.type === 'ObjectMethod' ? property : property.value,
+          scope
+        ));
+      return { shape: 'object', entries };
+    }
+
+    if (node.type === 'ArrayExpression') {
+      const entries = node.elements
+        .map((element, index) => element && this.describeHookValue(
+          element.type === 'Identifier' ? element.name : `result.current[${index}]`,
+          `result.current[${index}]`,
+          element,
+          scope
+        ))
+        .filter(Boolean);
+      return { shape: 'array', entries };
+    }
+
+    return { shape: 'value', entries: [this.describeHookValue('value', 'result.current', node, scope)] };
+  }
+
+  describeHookValue(name, access, node, scope) {
+    const entry = { name, access, isUpdater: false, isAsync: false, args: [], stateName: null, initial: null, next: null };
+
+    let fn = null;
+    if (isFunctionNode(node) || node.type === 'ObjectMethod') {
+      fn = node;
+    } else if (node.type === 'Identifier') {
+      if (scope.setters.has(node.name)) {
+        // A state setter returned as is
+        const stateName = scope.setters.get(node.name);
+        const initial = this.getInitialValue(scope.state.get(stateName), scope);
+        const next = getNextValue(initial);
+        return {
+          ...entry,
+          isUpdater: true,
+          stateName,
+          args: [{ name: 'value', code: next || 'undefined', note: next ? null : `TODO: new ${stateName}` }],
+          next,
+        };
+      }
+      if (scope.state.has(node.name)) {
+        return { ...entry, stateName: node.name, initial: this.getInitialValue(scope.state.get(node.name), scope) };
+      }
+      fn = scope.functions.get(node.name) || null;
+    }
+
+    if (!fn) return entry;
+
+    const update = this.findStateUpdate(fn, scope);
+    return {
+      ...entry,
+      isUpdater: true,
+      isAsync: !!fn.async,
+      args: fn.params.map((param, index) => this.buildArgument(param, scope.typeContext, index, '        ')),
+      stateName: update ? update.stateName : null,
+      next: update ? update.next : null,
+    };
+  }
+
+  /**
+   * The expected initial value of a useState variable as source code, or
+   * null when it can't be known statically.
+   */
+  getInitialValue(init, scope) {
+    if (!init) return 'undefined';
+
+    if (['StringLiteral', 'NumericLiteral', 'BooleanLiteral', 'NullLiteral'].includes(init.type)) {
+      return this.componentContent.slice(init.start, init.end);
+    }
+    if (init.type === 'Identifier' && init.name === 'undefined') return 'undefined';
+    if (init.type === 'ArrayExpression' && init.elements.length === 0) return '[]';
+    if (init.type === 'ObjectExpression' && init.properties.length === 0) return '{}';
+    if (init.type === 'Identifier') {
+      // useState(initialValue) starts from the hook's own argument
+      const param = scope.params.find(p => p.name === init.name);
+      if (param && !param.note) return param.code;
+    }
+    return null;
+  }
+
+  /**
+   * For an updater that calls a single state setter with a predictable value
+   * (`setOpen(true)`, `setCount(c => c + 1)`), the state it changes and the
+   * value it will hold afterwards.
+   */
+  findStateUpdate(fn, scope) {
+    const calls = [];
+    walk(fn.body, node => {
+      if (node.type === 'CallExpression' && node.callee.type === 'Identifier' && scope.setters.has(node.callee.name)) {
+        calls.push(node);
+      }
+    });
+    if (calls.length !== 1) return null;
+
+    const stateName = scope.setters.get(calls[0].callee.name);
+    const initial = this.getInitialValue(scope.state.get(stateName), scope);
+    const arg = calls[0].arguments[0];
+    let next = null;
+
+    if (arg && ['StringLiteral', 'NumericLiteral', 'BooleanLiteral', 'NullLiteral'].includes(arg.type)) {
+      next = this.componentContent.slice(arg.start, arg.end);
+    } else if (arg && isFunctionNode(arg) && arg.params[0] && arg.params[0].type === 'Identifier' && initial !== null) {
+      const previous = arg.params[0].name;
+      const body = arg.body;
+      if (body.type === 'UnaryExpression' && body.operator === '!' &&
+        body.argument.type === 'Identifier' && body.argument.name === previous && /^(true|false)$/.test(initial)) {
+        next = String(initial !== 'true');
+      } else if (body.type === 'BinaryExpression' && ['+', '-'].includes(body.operator) &&
+        body.left.type === 'Identifier' && body.left.name === previous &&
+        body.right.type === 'NumericLiteral' && /^-?\d+(\.\d+)?$/.test(initial)) {
+        next = String(body.operator === '+' ? Number(initial) + body.right.value : Number(initial) - body.right.value);
+      }
+    }
+
+    return { stateName, next };
+  }
+
+  /**
+   * Where a context read with useContext() comes from, so the test can
+   * import it for the wrapper's Provider.
+   */
+  resolveContextImport(name) {
+    const binding = this.syntax.imports.get(name);
+    if (binding) {
+      const source = binding.source.startsWith('.')
+        ? path.resolve(path.dirname(this.componentPath), binding.source)
+        : binding.source;
+      return { name, source, imported: binding.imported };
+    }
+
+    const exported = this.ast.program.body.some(statement =>
+      statement.type === 'ExportNamedDeclaration' && !statement.source &&
+      (getDeclaredNames(statement.declaration).includes(name) ||
+        statement.specifiers.some(specifier => specifier.local.name === name))
+    );
+    return exported
+      ? { name, source: this.componentPath, imported: name }
+      : { name, source: null, imported: null };
+  }
+
+  /**
+   * Resolves a component's props type (local or imported interface, type
+   * alias, intersection or union) into prop descriptors with placeholder
+   * values for the generated defaultProps.
+   */
+  resolveProps(component) {
+    if (!component.propsType) return [];
+
+    const context = this.getTypeContext(this.componentPath, this.ast);
+    const members = this.getTypeMembers(component.propsType, context);
+
+    return members.map(member => {
+      const isFunction = this.isFunctionType(member.type, member.context);
+      const placeholder = this.buildPlaceholder(member.name, member.type, member.context, '    ');
+      return {
+        name: member.name,
+        optional: member.optional,
+        isFunction,
+        value: placeholder.code,
+        note: placeholder.note || null,
+      };
+    });
+  }
+
+  /**
+   * Indexes a file's top-level type declarations, imports and re-exports so
+   * type names can be followed across modules.
+   */
+  getTypeContext(filePath, ast) {
+    this.typeContexts = this.typeContexts || new Map();
+    if (this.typeContexts.has(filePath)) return this.typeContexts.get(filePath);
+
+    const context = {
+      filePath,
+      declarations: new Map(),
+      imports: new Map(),
+      exportAliases: new Map(),
+      reExports: [],
+    };
+    this.typeContexts.set(filePath, context);
+
+    ast.program.body.forEach(statement => {
+      let declaration = statement;
+
+      if (statement.type === 'ImportDeclaration') {
+        statement.specifiers.forEach(specifier => {
+          const imported = specifier.type === 'ImportSpecifier'
+            ? specifier.imported.name || specifier.imported.value
+            : 'default';
+          context.imports.set(specifier.local.name, { source: statement.source.value, imported });
+        });
+        return;
+      }
+
+      if (statement.type === 'ExportAllDeclaration') {
+        context.reExports.push({ source: statement.source.value, specifiers: null });
+        return;
+      }
+
+      if (statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration') {
+        declaration = statement.declaration;
+
+        if (statement.source) {
+          context.reExports.push({ source: statement.source.value, specifiers: statement.specifiers });
+        } else if (statement.specifiers) {
+          statement.specifiers.forEach(specifier => {
+            context.exportAliases.set(getExportedName(specifier), specifier.local.name);
+          });
+        }
+
+        if (statement.type === 'ExportDefaultDeclaration' && declaration && declaration.id) {
+          context.exportAliases.set('default', declaration.id.name);
+        }
+      }
+
+      if (declaration && declaration.id &&
+        ['TSInterfaceDeclaration', 'TSTypeAliasDeclaration', 'TSEnumDeclaration'].includes(declaration.type)) {
+        context.declarations.set(declaration.id.name, declaration);
+      }
+    });
+
+    return context;
+  }
+
+  loadTypeContext(filePath) {
+    if (!filePath) return null;
+    if (this.typeContexts && this.typeContexts.has(filePath)) return this.typeContexts.get(filePath);
+
+    try {
+      const ast = this.parseSource(fs.readFileSync(filePath, 'utf-8'), filePath);
+      return this.getTypeContext(filePath, ast);
+    } catch {
+      return null;
+    }
+  }
+
+  resolveModulePath(source, fromFile) {
+    if (!source.startsWith('.')) return null;
+
+    const base = path.resolve(path.dirname(fromFile), source);
+    const candidates = [
+      base,
+      ...['.ts', '.tsx', '.d.ts', '.js', '.jsx'].map(ext => `${base}${ext}`),
+      ...['index.ts', 'index.tsx', 'index.d.ts', 'index.js'].map(file => path.join(base, file)),
+    ];
+
+    return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+  }
+
+  findTypeDeclaration(name, context, depth = 0) {
+    if (!context || depth > 5) return null;
+
+    if (context.declarations.has(name)) {
+      return { node: context.declarations.get(name), context };
+    }
+
+    const binding = context.imports.get(name);
+    if (binding) {
+      const target = this.loadTypeContext(this.resolveModulePath(binding.source, context.filePath));
+      return this.findExportedType(binding.imported, target, depth + 1);
+    }
+
+    return null;
+  }
+
+  findExportedType(name, context, depth = 0) {
+    if (!context || depth > 5) return null;
+
+    const found = this.findTypeDeclaration(context.exportAliases.get(name) || name, context, depth);
+    if (found) return found;
+
+    for (const reExport of context.reExports) {
+      let importedName = name;
+
+      if (reExport.specifiers) {
+        const specifier = reExport.specifiers.find(s => getExportedName(s) === name);
+        if (!specifier) continue;
+        importedName = specifier.local.name;
+      }
+
+      const target = this.loadTypeContext(this.resolveModulePath(reExport.source, context.filePath));
+      const result = this.findExportedType(importedName, target, depth + 1);
+      if (result) return result;
+    }
+
+    return null;
+  }
+
+  /**
+   * Flattens a props type into its members. Interfaces include the members of
+   * the types they extend; unions use their first object member.
+   */
+  getTypeMembers(type, context, depth = 0) {
+    if (!type || depth > 5) return [];
+
+    switch (type.type) {
+      case 'TSParenthesizedType':
+        return this.getTypeMembers(type.typeAnnotation, context, depth);
+
+      case 'TSTypeLiteral':
+        return this.readTypeMembers(type.members, context);
+
+      case 'TSInterfaceDeclaration': {
+        const inherited = (type.extends || []).reduce((members, heritage) => mergeMembers(
+          members,
+          this.getTypeMembers({
+            type: 'TSTypeReference',
+            typeName: heritage.expression,
+            typeParameters: heritage.typeParameters || heritage.typeArguments,
+          }, context, depth + 1)
+        ), []);
+        return mergeMembers(inherited, this.readTypeMembers(type.body.body, context));
+      }
+
+      case 'TSIntersectionType':
+        return type.types.reduce(
+          (members, part) => mergeMembers(members, this.getTypeMembers(part, context, depth + 1)),
+          []
+        );
+
+      case 'TSUnionType':
+        return this.getTypeMembers(type.types.find(part => !isNullishType(part)), context, depth + 1);
+
+      case 'TSTypeReference': {
+        const name = getTypeName(type.typeName);
+        const [target, keys] = getTypeArguments(type);
+
+        if (['Readonly', 'PropsWithChildren'].includes(name)) {
+          return this.getTypeMembers(target, context, depth + 1);
+        }
+        if (name === 'Partial' || name === 'Required') {
+          return this.getTypeMembers(target, context, depth + 1)
+            .map(member => ({ ...member, optional: name === 'Partial' }));
+        }
+        if (name === 'Pick' || name === 'Omit') {
+          const selected = getLiteralUnionValues(keys);
+          return this.getTypeMembers(target, context, depth + 1)
+            .filter(member => selected.includes(member.name) === (name === 'Pick'));
+        }
+
+        const found = this.findTypeDeclaration(name, context);
+        if (!found) return [];
+        if (found.node.type === 'TSInterfaceDeclaration') {
+          return this.getTypeMembers(found.node, found.context, depth + 1);
+        }
+        if (found.node.type === 'TSTypeAliasDeclaration') {
+          return this.getTypeMembers(found.node.typeAnnotation, found.context, depth + 1);
+        }
+        return [];
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  readTypeMembers(members, context) {
+    return members.flatMap(member => {
+      if (!['TSPropertySignature', 'TSMethodSignature'].includes(member.type) || member.computed) {
+        return [];
+      }
+
+      const name = member.key.type === 'Identifier' ? member.key.name : member.key.value;
+      if (typeof name !== 'string') return [];
+
+      const type = member.type === 'TSMethodSignature'
+        ? { type: 'TSFunctionType' }
+        : member.typeAnnotation && member.typeAnnotation.typeAnnotation;
+
+      return [{ name, optional: !!member.optional, type, context }];
+    });
+  }
+
+  isFunctionType(type, context, depth = 0) {
+    if (!type || depth > 5) return false;
+
+    switch (type.type) {
+      case 'TSFunctionType':
+      case 'TSConstructorType':
+        return true;
+      case 'TSParenthesizedType':
+        return this.isFunctionType(type.typeAnnotation, context, depth + 1);
+      case 'TSUnionType':
+        return type.types.some(part => this.isFunctionType(part, context, depth + 1));
+      case 'TSTypeReference': {
+        const name = getTypeName(type.typeName);
+        if (['Function', 'VoidFunction', 'Dispatch'].includes(name)) return true;
+
+        const found = this.findTypeDeclaration(name, context);
+        if (found && found.node.type === 'TSTypeAliasDeclaration') {
+          return this.isFunctionType(found.node.typeAnnotation, found.context, depth + 1);
+        }
+        return !found && /(Handler|Callback|Listener)$/.test(name);
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Produces a source snippet with a realistic value for a prop of the given
+   * type. Returns `{ code, note }`; `note` flags values that need a human.
+   */
+  buildPlaceholder(name, type, context, indent, depth = 0) {
+    if (!type) return { code: 'undefined', note: 'TODO: untyped prop' };
+    if (this.isFunctionType(type, context)) return { code: 'jest.fn()' };
+
+    switch (type.type) {
+      case 'TSParenthesizedType':
+        return this.buildPlaceholder(name, type.typeAnnotation, context, indent, depth);
+      case 'TSStringKeyword':
+        return { code: quote(sampleString(name)) };
+      case 'TSNumberKeyword':
+        return { code: /(price|amount|cost|total)/i.test(name) ? '9.99' : '1' };
+      case 'TSBooleanKeyword':
+        return { code: 'false' };
+      case 'TSBigIntKeyword':
+        return { code: '1n' };
+      case 'TSNullKeyword':
+        return { code: 'null' };
+      case 'TSUndefinedKeyword':
+      case 'TSVoidKeyword':
+        return { code: 'undefined' };
+      case 'TSLiteralType':
+        return { code: getLiteralTypeCode(type.literal) };
+      case 'TSArrayType':
+      case 'TSTupleType':
+        return { code: '[]' };
+      case 'TSUnionType': {
+        const first = type.types.find(part => !isNullishType(part)) || type.types[0];
+        return this.buildPlaceholder(name, first, context, indent, depth + 1);
+      }
+      case 'TSTypeLiteral':
+      case 'TSIntersectionType':
+        return this.buildObjectPlaceholder(this.getTypeMembers(type, context), indent, depth);
+      case 'TSTypeReference':
+        return this.buildReferencePlaceholder(name, type, context, indent, depth);
+      case 'TSAnyKeyword':
+      case 'TSUnknownKeyword':
+        return { code: 'undefined', note: `TODO: provide a value for ${name}` };
+      default:
+        return { code: '{}', note: `TODO: provide a value for ${name}` };
+    }
+  }
+
+  buildReferencePlaceholder(name, type, context, indent, depth) {
+    const typeName = getTypeName(type.typeName);
+
+    if (['ReactNode', 'ReactElement', 'ReactChild', 'Element'].includes(typeName)) return { code: 'null' };
+    if (typeName === 'Date') return { code: "new Date('2024-01-01T00:00:00.000Z')" };
+    if (['Array', 'ReadonlyArray'].includes(typeName)) return { code: '[]' };
+    if (typeName === 'Set' || typeName === 'Map') return { code: `new ${typeName}()` };
+    if (typeName === 'Promise') return { code: 'Promise.resolve()' };
+    if (['Record', 'StyleProp', 'ViewStyle', 'TextStyle', 'ImageStyle'].includes(typeName)) return { code: '{}' };
+    if (['ImageSourcePropType', 'ImageURISource'].includes(typeName)) {
+      return { code: "{ uri: 'https://example.com/image.png' }" };
+    }
+    if (['Partial', 'Required', 'Readonly', 'Pick', 'Omit', 'PropsWithChildren'].includes(typeName)) {
+      return this.buildObjectPlaceholder(this.getTypeMembers(type, context), indent, depth);
+    }
+
+    const found = this.findTypeDeclaration(typeName, context);
+    if (!found) {
+      return { code: '{}', note: `TODO: provide a ${typeName}` };
+    }
+
+    if (found.node.type === 'TSInterfaceDeclaration') {
+      return this.buildObjectPlaceholder(this.getTypeMembers(found.node, found.context), indent, depth);
+    }
+    if (found.node.type === 'TSTypeAliasDeclaration' && depth < 5) {
+      return this.buildPlaceholder(name, found.node.typeAnnotation, found.context, indent, depth + 1);
+    }
+    if (found.node.type === 'TSEnumDeclaration') {
+      const members = found.node.members || (found.node.body && found.node.body.members) || [];
+      const first = members[0];
+      if (!first) return { code: '0' };
+
+      const memberName = first.id.name || first.id.value;
+      const code = first.initializer ? getLiteralTypeCode(first.initializer) : '0';
+      return { code, note: `${typeName}.${memberName}` };
+    }
+
+    return { code: '{}', note: `TODO: provide a ${typeName}` };
+  }
+
+  buildObjectPlaceholder(members, indent, depth) {
+    const required = members.filter(member => !member.optional);
+    if (required.length === 0 || depth >= 3) return { code: '{}' };
+
+    const innerIndent = `${indent}  `;
+    const lines = required.map(member => {
+      const value = this.buildPlaceholder(member.name, member.type, member.context, innerIndent, depth + 1);
+      return `${innerIndent}${formatKey(member.name)}: ${value.code},${value.note ? ` // ${value.note}` : ''}`;
+    });
+
+    return { code: `{\n${lines.join('\n')}\n${indent}}` };
+  }
+
+  /**
+   * Writes the test file and returns what happened: 'written', 'merged',
+   * 'unchanged' or 'dry-run'.
+   */
+  generateTest() {
+    const outputPath = this.getOutputPath();
+    this.outputPath = outputPath;
+
+    if (this.options.merge && fs.existsSync(outputPath)) {
+      return this.mergeTest(outputPath);
+    }
+
+    const testContent = this.buildTestContent();
+
+    if (this.options.dryRun) {
+      // Batch runs only list what would be written unless --verbose is set
+      if (!this.options.batch || this.options.verbose) {
+        console.log(`\n📝 Generated Test (dry-run)${this.options.batch ? `: ${outputPath}` : ''}:\n`);
+        console.log(testContent);
+      }
+      return 'dry-run';
+    }
+
+    if (fs.existsSync(outputPath) && !this.options.force) {
+      throw new Error(`Test file already exists: ${outputPath}. Use --force to overwrite or --merge to add missing tests.`);
+    }
+
+    fs.writeFileSync(outputPath, testContent, 'utf-8');
+    if (!this.options.batch) {
+      console.log(`\n📝 Test written to: ${outputPath}`);
+    }
+    return 'written';
+  }
+
+  mergeTest(outputPath) {
+    const existingContent = fs.readFileSync(outputPath, 'utf-8');
+    const { content, added } = this.mergeTestContent(existingContent, outputPath);
+    this.mergedBlocks = added;
+
+    if (added.length === 0) {
+      if (!this.options.batch) {
+        console.log(`\n✓ ${path.basename(outputPath)} already has every generated describe block`);
+      }
+      return 'unchanged';
+    }
+
+    if (this.options.dryRun) {
+      if (!this.options.batch || this.options.verbose) {
+        console.log(`\n📝 Merged Test (dry-run): adds ${added.join(', ')}\n`);
+        console.log(content);
+      }
+      return 'dry-run';
+    }
+
+    fs.writeFileSync(outputPath, content, 'utf-8');
+    if (!this.options.batch) {
+      console.log(`\n📝 Merged into ${outputPath}: ${added.join(', ')}`);
+    }
+    return 'merged';
+  }
+
+  /**
+   * Adds the describe blocks, setup variables, imports and mocks missing from
+   * an existing test file. Every change is an insertion, so the existing code
+   * stays byte-for-byte intact.
+   */
+  mergeTestContent(existingContent, testPath) {
+    const ast = this.parseSource(existingContent, testPath);
+    const edits = [];
+    const added = [];
+    const insertedCode = [];
+
+    const describes = new Map();
+    ast.program.body.forEach(statement => {
+      const describe = getDescribeBlock(statement);
+      if (describe && !describes.has(describe.title)) describes.set(describe.title, describe.body);
+    });
+
+    this.analyses.forEach(analysis => {
+      const body = describes.get(analysis.componentName);
+
+      if (!body) {
+        const block = this.buildDescribeBlock(analysis);
+        const separator = existingContent.endsWith('\n') ? '\n' : '\n\n';
+        edits.push({ pos: existingContent.length, text: `${separator}${block}\n` });
+        insertedCode.push(block);
+        added.push(`describe('${analysis.componentName}')`);
+        return;
+      }
+
+      const existingTitles = new Set(body.body.map(getDescribeBlock).filter(Boolean).map(d => d.title));
+      const missing = this.buildTestSections(analysis).filter(section => !existingTitles.has(section.name));
+      if (missing.length === 0) return;
+
+      const code = missing.map(section => section.code).join('\n\n');
+      const declared = new Set(body.body.flatMap(statement => getDeclaredNames(
+        statement.type === 'VariableDeclaration' ? statement : null
+      )));
+
+      const setup = [];
+      if (analysis.kind === 'hook' || analysis.kind === 'context') {
+        this.buildHookSetup(analysis)
+          .filter(entry => new RegExp(`\\b${entry.name}\\b`).test(code) && !declared.has(entry.name))
+          .forEach(entry => setup.push(entry.code));
+      }
+      if (analysis.stateLibraries) {
+        // renderScreen() renders through renderWithProviders() as well
+        const screenCode = analysis.screen && /\brenderScreen\(/.test(code) ? 'renderWithProviders' : '';
+        this.buildStateSetup(analysis)
+          .filter(entry => new RegExp(`\\b${entry.name}\\b`).test(code + screenCode) && !declared.has(entry.name))
+          .forEach(entry => setup.push(entry.code));
+      }
+      if (/\bapiHandlers\b/.test(code) && !declared.has('apiHandlers')) {
+        setup.push(this.buildApiHandlers(analysis));
+      }
+      if (analysis.screen && /\brenderScreen\(/.test(code)) {
+        // renderScreen() depends on the other screen helpers
+        this.buildScreenSetup(analysis)
+          .filter(entry => !declared.has(entry.name))
+          .forEach(entry => setup.push(entry.code));
+      }
+      if (/\buser\./.test(code) && !declared.has('user')) {
+        setup.push('  const user = userEvent.setup();');
+      }
+      if (/\bdefaultProps\b/.test(code) && !declared.has('defaultProps')) {
+        setup.push(`  ${this.buildDefaultPropsObject(analysis)}`);
+      }
+      if (/\bmockCallback\b/.test(code) && !declared.has('mockCallback')) {
+        setup.push('  const mockCallback = jest.fn();');
+      }
+
+      if (setup.length > 0) {
+        edits.push({ pos: body.start + 1, text: `\n${setup.join('\n\n')}\n` });
+      }
+      edits.push({ pos: body.end - 1, text: `\n${code}\n` });
+      insertedCode.push(...setup, code);
+      added.push(...missing.map(section => `${analysis.componentName} > ${section.name}`));
+    });
+
+    if (added.length > 0) {
+      const { header, imports } = this.buildMergeHeader(ast, insertedCode.join('\n'));
+      edits.push(...imports);
+      if (header) {
+        const lastImport = ast.program.body.filter(statement => statement.type === 'ImportDeclaration').pop();
+        edits.push(lastImport
+          ? { pos: lastImport.end, text: `\n${header}` }
+          : { pos: 0, text: `${header}\n\n` });
+      }
+    }
+
+    // Apply from the end of the file so earlier positions stay valid
+    const content = edits
+      .map((edit, index) => ({ ...edit, index }))
+      .sort((a, b) => b.pos - a.pos || b.index - a.index)
+      .reduce((result, edit) => result.slice(0, edit.pos) + edit.text + result.slice(edit.pos), existingContent);
+
+    return { content, added };
+  }
+
+  /**
+   * Imports and module mocks needed by the inserted code that the existing
+   * test file does not already have. Named imports from a module the file
+   * already imports from are added to that import as edits instead.
+   */
+  buildMergeHeader(ast, insertedCode) {
+    const bound = new Set();
+    const mocked = new Set();
+
+    ast.program.body.forEach(statement => {
+      if (statement.type === 'ImportDeclaration') {
+        statement.specifiers.forEach(specifier => bound.add(specifier.local.name));
+      }
+
+      const call = statement.type === 'ExpressionStatement' ? statement.expression : null;
+      if (call && call.type === 'CallExpression' && isMemberExpression(call.callee) &&
+        call.callee.object.name === 'jest' && ['mock', 'unmock'].includes(call.callee.property.name) &&
+        call.arguments[0] && call.arguments[0].type === 'StringLiteral') {
+        mocked.add(call.arguments[0].value);
+      }
+    });
+
+    const uses = name => new RegExp(`\\b${name}\\b`).test(insertedCode) && !bound.has(name);
+    const lines = [];
+
+    const testingLibrary = this.getTestingLibraryImports().filter(uses);
+    if (testingLibrary.length > 0) {
+      lines.push(`import { ${testingLibrary.join(', ')} } from '@testing-library/react-native';`);
+    }
+
+    if (this.analyses.flatMap(getImportBindings).some(binding => uses(binding.name))) {
+      lines.push(this.buildComponentImport(this.analyses, uses));
+    }
+
+    this.buildExtraImports().forEach(line => {
+      const named = line.match(/\{\s*([^}]+)\s*\}/);
+      const names = named
+        ? named[1].split(',').map(name => name.trim().split(/\s+as\s+/).pop())
+        : [line.match(/^import\s+(?:\*\s+as\s+)?(\w+)/)[1]];
+      if (names.some(uses)) lines.push(line);
+    });
+
+    const imports = [];
+    const declarations = ast.program.body.filter(statement => statement.type === 'ImportDeclaration');
+    const newLines = lines.filter(line => {
+      const named = line.match(/^import (type )?\{ ([^}]+) \} from '([^']+)';$/);
+      const existing = named && declarations.find(declaration =>
+        declaration.source.value === named[3] && (declaration.importKind === 'type') === !!named[1] &&
+        declaration.specifiers.some(specifier => specifier.type === 'ImportSpecifier')
+      );
+      if (!existing) return true;
+
+      const last = existing.specifiers.filter(specifier => specifier.type === 'ImportSpecifier').pop();
+      imports.push({ pos: last.end, text: `, ${named[2]}` });
+      return false;
+    });
+
+    const mocks = this.buildMockEntries().filter(mock => !mocked.has(mock.module));
+
+    return { header: [...newLines, ...mocks.map(mock => `\n${mock.code}`)].join('\n'), imports };
+  }
+
+  getOutputPath() {
+    if (this.options.output) {
+      return path.resolve(this.options.output);
+    }
+
+    const dir = path.dirname(this.componentPath);
+    if (this.options.merge) {
+      // Merge into the test that already exists, next to the component or in __tests__
+      const analyzer = new CoverageAnalyzer(dir);
+      const existingTest = analyzer.findMatchingTest(this.componentPath, analyzer.findTestFiles(dir));
+      if (existingTest) return existingTest;
+    }
+
+    let ext = path.extname(this.componentPath);
+    if (ext === '.ts' && this.analyses.some(analysis => this.usesWrapper(analysis))) {
+      // Context wrappers are JSX
+      ext = '.tsx';
+    }
+    return path.join(dir, `${this.componentName}.test${ext}`);
+  }
+
+  buildTestContent() {
+    const imports = this.buildImports();
+    const mocks = this.buildMocks();
+    const describeBlocks = this.analyses.map(analysis => this.buildDescribeBlock(analysis));
+
+    return `${[imports, mocks, ...describeBlocks].filter(Boolean).join('\n\n')}\n`;
+  }
+
+  buildDescribeBlock(analysis) {
+    if (analysis.kind === 'hook' || analysis.kind === 'context') {
+      return this.buildHookDescribeBlock(analysis);
+    }
+
+    const testCases = this.buildTestCases(analysis);
+
+    const setup = [];
+    if (usesUserEvent(analysis)) setup.push('  const user = userEvent.setup();');
+    if (analysis.hasProps) setup.push(`  ${this.buildDefaultPropsObject(analysis)}`);
+    if (/\bmockCallback\b/.test(testCases)) setup.push('  const mockCallback = jest.fn();');
+    if (analysis.stateLibraries) setup.push(...this.buildStateSetup(analysis).map(entry => entry.code));
+    if (this.usesApiHandlers(analysis)) setup.push(this.buildApiHandlers(analysis));
+    if (analysis.screen) setup.push(...this.buildScreenSetup(analysis).map(entry => entry.code));
+
+    const beforeEach = ['    jest.clearAllMocks();'];
+    if (analysis.stateLibraries) beforeEach.push(...this.buildStateReset(analysis));
+
+    return `describe('${analysis.componentName}', () => {
+${setup.length > 0 ? `${setup.join('\n\n')}\n\n` : ''}  beforeEach(() => {
+${beforeEach.join('\n')}
+  });
+
+${testCases}
+});`;
+  }
+
+  /**
+   * Contexts the hook reads that the test wraps it in: through their
+   * Provider component, or the context itself when it can be imported.
+   * Contexts with a default value work without a wrapper.
+   */
+  getWrapperContexts(analysis) {
+    if (analysis.kind !== 'hook') return [];
+    return analysis.contexts.filter(context => context.provider || (context.source && !context.hasDefault));
+  }
+
+  usesWrapper(analysis) {
+    return analysis.kind === 'context' || this.getWrapperContexts(analysis).length > 0;
+  }
+
+  /**
+   * Describe-level declarations for a hook: one constant per argument and
+   * the context wrapper.
+   */
+  buildHookSetup(analysis) {
+    const childrenType = /\.tsx?$/.test(this.componentPath) ? ': { children: ReactNode }' : '';
+
+    if (analysis.kind === 'context') {
+      return [{
+        name: 'wrapper',
+        code: `  const wrapper = ({ children }${childrenType}) => (
+    <${analysis.componentName}${analysis.providerProps}>{children}</${analysis.componentName}>
+  );`,
+      }];
+    }
+
+    const setup = analysis.params.map(param => ({
+      name: param.name,
+      code: `  const ${param.name} = ${param.code};${param.note ? ` // ${param.note}` : ''}`,
+    }));
+
+    const hidden = analysis.contexts.filter(context => !context.source && !context.provider && !context.hasDefault);
+    const contexts = this.getWrapperContexts(analysis);
+    const todo = hidden.map(context =>
+      `  // TODO: ${context.name} is not exported, so the test can't provide it\n`
+    ).join('');
+
+    if (contexts.length > 0) {
+      const children = contexts.reduceRight(
+        (inner, context) => (context.provider
+          ? `<${context.provider.name}>${inner}</${context.provider.name}>`
+          : `<${context.name}.Provider value={{}}>${inner}</${context.name}.Provider>`),
+        '{children}'
+      );
+      const valueTodo = contexts.some(context => !context.provider)
+        ? '  // TODO: Provide the context value the hook expects\n'
+        : '';
+
+      setup.push({
+        name: 'wrapper',
+        code: `${todo}${valueTodo}  const wrapper = ({ children }${childrenType}) => (
+    ${children}
+  );`,
+      });
+    } else if (todo) {
+      setup.push({ name: 'wrapper', code: todo.trimEnd() });
+    }
+
+    return setup;
+  }
+
+  buildHookDescribeBlock(analysis) {
+    const setup = this.buildHookSetup(analysis).map(entry => entry.code);
+    const sections = this.buildHookSections(analysis).map(section => section.code);
+
+    return `describe('${analysis.componentName}', () => {
+${setup.length > 0 ? `${setup.join('\n\n')}\n\n` : ''}${sections.join('\n\n')}
+});`;
+  }
+
+  buildHookSections(analysis) {
+    if (analysis.kind === 'context') {
+      return this.buildContextSections(analysis);
+    }
+
+    const sections = [{ name: 'initial value', code: this.buildHookInitialTest(analysis) }];
+
+    if (analysis.returns.entries.some(entry => entry.isUpdater)) {
+      sections.push({ name: 'updates', code: this.buildHookUpdateTests(analysis) });
+    }
+
+    if (analysis.params.length > 0) {
+      sections.push({ name: 'arguments', code: this.buildHookRerenderTest(analysis) });
+    }
+
+    return sections;
+  }
+
+  buildRenderHookCall(analysis) {
+    const call = analysis.kind === 'context'
+      ? analysis.consumerCall
+      : `${analysis.componentName}(${analysis.params.map(param => param.name).join(', ')})`;
+    const options = this.usesWrapper(analysis) ? ', { wrapper }' : '';
+    return `renderHook(() => ${call}${options})`;
+  }
+
+  buildHookInitialTest(analysis) {
+    const { shape, entries } = analysis.returns;
+    const assertions = [];
+
+    if (shape === 'none') {
+      assertions.push('      expect(result.current).toBeUndefined();');
+    }
+    entries.forEach(entry => {
+      if (entry.isUpdater && shape === 'object') {
+        assertions.push(`      expect(${entry.access}).toEqual(expect.any(Function));`);
+      } else if (!entry.isUpdater && entry.initial !== null) {
+        const matcher = /^[[{]/.test(entry.initial) ? 'toEqual' : 'toBe';
+        assertions.push(`      expect(${entry.access}).${matcher}(${entry.initial});`);
+      }
+    });
+
+    if (assertions.length === 0) {
+      assertions.push(`      // TODO: Assert the initial value
+      // expect(result.current).toEqual(...);`);
+    }
+
+    return `  describe('initial value', () => {
+    it('returns the initial value', () => {
+      const { result } = ${this.buildRenderHookCall(analysis)};
+
+${assertions.join('\n')}
+    });
+  });`;
+  }
+
+  buildHookUpdateTests(analysis, title = 'updates') {
+    const entries = analysis.returns.entries;
+
+    const tests = entries.filter(entry => entry.isUpdater).map(entry => {
+      const stateEntry = entries.find(other => !other.isUpdater && other.stateName && other.stateName === entry.stateName);
+      // Setting a value to what it already was proves nothing
+      const canAssert = stateEntry && entry.next !== null && entry.next !== stateEntry.initial;
+      const title = canAssert ? `updates ${entry.stateName} when ${entry.name} is called` : `calls ${entry.name}`;
+      const notes = entry.args.filter(arg => arg.note).map(arg => `      // ${arg.note}\n`).join('');
+      const call = `${entry.access}(${entry.args.map(arg => arg.code).join(', ')})`;
+
+      const act = entry.isAsync
+        ? `      await act(async () => {
+        await ${call};
+      });`
+        : `      act(() => {
+        ${call};
+      });`;
+
+      const assertion = canAssert
+        ? `      expect(${stateEntry.access}).toBe(${entry.next});`
+        : `      // TODO: Assert the result of ${entry.name}`;
+
+      return `    it(${quote(title)}, ${entry.isAsync ? 'async ' : ''}() => {
+      const { result } = ${this.buildRenderHookCall(analysis)};
+
+${notes}${act}
+
+${assertion}
+    });`;
+    });
+
+    return `  describe('${title}', () => {
+${tests.join('\n\n')}
+  });`;
+  }
+
+  buildContextSections(analysis) {
+    const sections = [];
 
-    const ext = path.extname(this.componentPath);
-    if (!['.tsx', '.jsx', '.ts', '.js'].includes(ext)) {
-      throw new Error('Component must be a TypeScript or JavaScript file');
+    if (analysis.consumerCall) {
+      sections.push({ name: 'provider', code: this.buildContextConsumerTest(analysis) });
     }
 
-    this.componentName = path.basename(this.componentPath, ext);
+    if (analysis.defaultCall) {
+      const assertions = analysis.defaultAssertions.length > 0
+        ? analysis.defaultAssertions.map(line => `      ${line}`).join('\n')
+        : `      // TODO: Assert the default value
+      // expect(result.current).toEqual(...);`;
 
-    if (this.options.verbose) {
-      console.log(`📁 Component: ${this.componentName}`);
-      console.log(`📂 Path: ${this.componentPath}`);
-    }
-  }
+      sections.push({
+        name: 'default value',
+        code: `  describe('default value', () => {
+    it('returns the default value outside the provider', () => {
+      const { result } = renderHook(() => ${analysis.defaultCall});
 
-  readComponent() {
-    this.componentContent = fs.readFileSync(this.componentPath, 'utf-8');
+${assertions}
+    });
+  });`,
+      });
+    }
 
-    if (this.options.verbose) {
-      console.log(`📄 Read ${this.componentContent.length} characters`);
+    if (analysis.consumerCall && analysis.returns.entries.some(entry => entry.isUpdater)) {
+      sections.push({ name: 'actions', code: this.buildHookUpdateTests(analysis, 'actions') });
     }
-  }
 
-  analyzeComponent() {
-    console.log('\n📊 Analyzing component...');
-
-    this.analysis = {
-      componentName: this.componentName,
-      hasProps: this.detectProps(),
-      hasState: this.detectState(),
-      hasEffects: this.detectEffects(),
-      hasAsyncOperations: this.detectAsyncOperations(),
-      hasUserInteractions: this.detectUserInteractions(),
-      hasNavigation: this.detectNavigation(),
-      hasForms: this.detectForms(),
-      hasLists: this.detectLists(),
-      hasModals: this.detectModals(),
-      accessibleElements: this.detectAccessibleElements(),
-      eventHandlers: this.extractEventHandlers(),
-    };
+    if (analysis.guard) {
+      const expected = analysis.guard.message ? quote(analysis.guard.message) : '';
+      sections.push({
+        name: 'guard',
+        code: `  describe('guard', () => {
+    it('throws when ${analysis.hookName} is used outside ${analysis.componentName}', () => {
+      // React logs the error thrown during render
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
 
-    if (this.options.verbose) {
-      console.log('\n📋 Analysis Results:');
-      Object.entries(this.analysis).forEach(([key, value]) => {
-        if (typeof value === 'boolean') {
-          console.log(`  ${key}: ${value ? '✓' : '✗'}`);
-        } else if (Array.isArray(value)) {
-          console.log(`  ${key}: [${value.join(', ')}]`);
-        }
+      expect(() => renderHook(() => ${analysis.hookName}())).toThrow(${expected});
+
+      consoleError.mockRestore();
+    });
+  });`,
       });
     }
-  }
 
-  detectProps() {
-    return /props\s*[:\)]|:\s*\{[^}]*\}\s*\)|Props\s*[=<]|interface\s+\w*Props/i.test(this.componentContent);
+    return sections;
   }
 
-  detectState() {
-    return /useState\s*[<(]|this\.state/i.test(this.componentContent);
-  }
+  /**
+   * Renders a component reading the context under the provider and checks
+   * that it sees the provided value.
+   */
+  buildContextConsumerTest(analysis) {
+    const shown = analysis.returns.entries.find(entry =>
+      !entry.isUpdater && entry.initial !== null && !/^[[{]/.test(entry.initial)
+    );
 
-  detectEffects() {
-    return /useEffect\s*\(|componentDidMount|componentDidUpdate/i.test(this.componentContent);
-  }
+    let consumer;
+    let text;
+    if (shown) {
+      consumer = `const { ${shown.name} } = ${analysis.consumerCall};
+        return <Text>${shown.name}: {String(${shown.name})}</Text>;`;
+      text = `${shown.name}: ${/^['"]/.test(shown.initial) ? shown.initial.slice(1, -1) : shown.initial}`;
+    } else {
+      consumer = `const value = ${analysis.consumerCall};
+        return <Text>{value ? 'provided' : 'missing'}</Text>;`;
+      text = 'provided';
+    }
 
-  detectAsyncOperations() {
-    return /async\s+|await\s+|\.then\s*\(|fetch\s*\(|axios|useMutation|useQuery/i.test(this.componentContent);
-  }
+    return `  describe('provider', () => {
+    it('provides the context value to consumers', () => {
+      function Consumer() {
+        ${consumer}
+      }
 
-  detectUserInteractions() {
-    return /onPress|onClick|onSubmit|onChangeText|onFocus|onBlur|onLongPress/i.test(this.componentContent);
-  }
+      render(
+        <${analysis.componentName}${analysis.providerProps}>
+          <Consumer />
+        </${analysis.componentName}>
+      );
 
-  detectNavigation() {
-    return /useNavigation|navigation\.navigate|navigation\.goBack|@react-navigation/i.test(this.componentContent);
+      expect(screen.getByText(${quote(text)})).toBeOnTheScreen();
+    });
+  });`;
   }
 
-  detectForms() {
-    return /TextInput|<form|onSubmit|useForm|Formik/i.test(this.componentContent);
-  }
+  buildHookRerenderTest(analysis) {
+    const names = analysis.params.map(param => param.name);
+    const options = [`initialProps: { ${names.join(', ')} }`];
+    if (this.getWrapperContexts(analysis).length > 0) options.push('wrapper');
+
+    const changed = analysis.params.map(param => {
+      const next = getNextValue(param.code);
+      return next ? `${param.name}: ${next}` : param.name;
+    });
+    const todo = changed.every((value, index) => value === names[index])
+      ? '      // TODO: Pass different arguments\n'
+      : '';
+
+    return `  describe('arguments', () => {
+    it('updates when the arguments change', () => {
+      const { result, rerender } = renderHook(
+        ({ ${names.join(', ')} }) => ${analysis.componentName}(${names.join(', ')}),
+        { ${options.join(', ')} }
+      );
 
-  detectLists() {
-    return /FlatList|SectionList|VirtualizedList|ScrollView/i.test(this.componentContent);
+${todo}      rerender({ ${changed.join(', ')} });
+
+      // TODO: Assert the result reflects the new arguments
+      // expect(result.current).toEqual(...);
+    });
+  });`;
   }
 
-  detectModals() {
-    return /Modal|role="dialog"|BottomSheet|ActionSheet/i.test(this.componentContent);
+  buildImports() {
+    const imports = [
+      `import { ${this.getTestingLibraryImports().join(', ')} } from '@testing-library/react-native';`,
+      this.buildComponentImport(this.analyses),
+      ...this.buildExtraImports(),
+    ];
+
+    return imports.join('\n');
   }
 
-  detectAccessibleElements() {
-    const elements = [];
+  getTestingLibraryImports() {
+    const names = [];
+    const anyAnalysis = key => this.analyses.some(analysis => analysis[key]);
+    const hooks = this.analyses.filter(analysis => analysis.kind === 'hook' || analysis.kind === 'context');
 
-    if (/role="button"/i.test(this.componentContent)) elements.push('button');
-    if (/role="heading"/i.test(this.componentContent)) elements.push('heading');
-    if (/role="link"/i.test(this.componentContent)) elements.push('link');
-    if (/role="checkbox"/i.test(this.componentContent)) elements.push('checkbox');
-    if (/role="switch"/i.test(this.componentContent)) elements.push('switch');
-    if (/role="alert"/i.test(this.componentContent)) elements.push('alert');
-    if (/role="dialog"/i.test(this.componentContent)) elements.push('dialog');
-    if (/aria-label|accessibilityLabel/i.test(this.componentContent)) elements.push('labeled');
-    if (/TextInput/i.test(this.componentContent)) elements.push('textbox');
+    if (this.analyses.some(analysis => analysis.kind !== 'hook')) {
+      names.push('render', 'screen');
+    }
 
-    return elements;
-  }
+    if (anyAnalysis('hasUserInteractions')) {
+      const events = this.analyses
+        .filter(analysis => analysis.hasUserInteractions)
+        .flatMap(analysis => getInteractionCases(analysis).map(testCase => testCase.event));
+      if (events.some(event => event.fireEvent)) names.push('fireEvent');
+      if (this.analyses.some(usesUserEvent)) names.push('userEvent');
+    }
 
-  extractEventHandlers() {
-    const handlers = [];
-    const handlerRegex = /on([A-Z]\w+)\s*=\s*\{/g;
-    let match;
+    if (anyAnalysis('hasAsyncOperations')) {
+      names.push('waitFor', 'waitForElementToBeRemoved');
+    } else {
+      if (this.analyses.some(analysis => analysis.screen && analysis.screen.targets.some(target => target.inEffect && !target.conditional))) {
+        names.push('waitFor');
+      }
+      if (this.analyses.some(analysis => usesQueryStates(analysis) && analysis.stateLibraries.query.queryFn &&
+        getQueryStateElements(analysis).loading)) {
+        names.push('waitForElementToBeRemoved');
+      }
+    }
 
-    while ((match = handlerRegex.exec(this.componentContent)) !== null) {
-      handlers.push(`on${match[1]}`);
+    if (hooks.length > 0) {
+      names.push('renderHook');
+      if (hooks.some(hook => hook.returns.entries.some(entry => entry.isUpdater))) names.push('act');
     }
 
-    return [...new Set(handlers)];
+    return names;
   }
 
-  generateTest() {
-    const testContent = this.buildTestContent();
-    const outputPath = this.getOutputPath();
+  buildExtraImports() {
+    const imports = [];
 
-    if (this.options.dryRun) {
-      console.log('\n📝 Generated Test (dry-run):\n');
-      console.log(testContent);
-      return;
+    if (this.options.withMsw && this.analyses.some(analysis => analysis.hasAsyncOperations || this.usesApiHandlers(analysis))) {
+      imports.push("import { server } from '@/mocks/server';");
+      imports.push(this.mswVersion < 2 ? "import { rest } from 'msw';" : "import { http, HttpResponse } from 'msw';");
     }
 
-    if (fs.existsSync(outputPath) && !this.options.force) {
-      throw new Error(`Test file already exists: ${outputPath}. Use --force to overwrite.`);
+    if (this.analyses.some(analysis => analysis.screen)) {
+      imports.push("import { NavigationContainer, createNavigationContainerRef } from '@react-navigation/native';");
+      imports.push("import { createNativeStackNavigator } from '@react-navigation/native-stack';");
     }
 
-    fs.writeFileSync(outputPath, testContent, 'utf-8');
-    console.log(`\n📝 Test written to: ${outputPath}`);
-  }
-
-  getOutputPath() {
-    if (this.options.output) {
-      return path.resolve(this.options.output);
+    const contextModules = this.analyses.filter(analysis => analysis.kind === 'context');
+    if (contextModules.some(analysis => [analysis.consumerCall, analysis.defaultCall].some(call => /^useContext\(/.test(call)))) {
+      imports.push("import { useContext } from 'react';");
+    }
+    if (this.analyses.some(analysis => this.usesWrapper(analysis)) && /\.tsx?$/.test(this.componentPath)) {
+      imports.push("import type { ReactNode } from 'react';");
     }
+    if (this.analyses.some(analysis => analysis.hasProps) && /\.tsx?$/.test(this.componentPath)) {
+      imports.push("import type { ComponentProps } from 'react';");
+    }
+    if (contextModules.some(analysis => analysis.consumerCall)) {
+      imports.push("import { Text } from 'react-native';");
+    }
+    imports.push(...this.buildStateImports());
 
-    const dir = path.dirname(this.componentPath);
-    const ext = path.extname(this.componentPath);
-    return path.join(dir, `${this.componentName}.test${ext}`);
+    const contexts = this.analyses.flatMap(analysis => this.getWrapperContexts(analysis))
+      .map(context => context.provider || context);
+    contexts
+      .filter((context, index) => contexts.findIndex(c => c.name === context.name) === index)
+      .forEach(context => {
+        const source = path.isAbsolute(context.source) ? this.getImportPath(context.source) : context.source;
+        const clause = context.imported === 'default'
+          ? context.name
+          : `{ ${context.imported === context.name ? context.name : `${context.imported} as ${context.name}`} }`;
+        imports.push(`import ${clause} from '${source}';`);
+      });
+
+    return imports;
   }
 
-  buildTestContent() {
-    const { analysis } = this;
-    const imports = this.buildImports();
-    const mocks = this.buildMocks();
-    const testCases = this.buildTestCases();
+  /**
+   * Imports for the state library helpers: the providers, the app's store
+   * setup, Zustand stores, and the action creators and query functions the
+   * tests refer to, one line per module.
+   */
+  buildStateImports() {
+    const analyses = this.analyses.filter(analysis => analysis.stateLibraries);
+    const lines = [];
+    const bindings = [];
+
+    const reduxStates = analyses.map(analysis => analysis.stateLibraries.redux).filter(Boolean);
+    if (reduxStates.some(redux => !redux.store || redux.store.kind === 'reducer')) {
+      lines.push("import { configureStore } from '@reduxjs/toolkit';");
+    }
+    if (reduxStates.length > 0) {
+      lines.push("import { Provider } from 'react-redux';");
+    }
+    reduxStates.filter(redux => redux.store).forEach(({ store }) => bindings.push(...store.bindings));
 
-    return `${imports}
+    const querySources = analyses.map(analysis => analysis.stateLibraries.query).filter(Boolean).map(query => query.source);
+    [...new Set(querySources)].forEach(source => {
+      lines.push(`import { QueryClient, QueryClientProvider } from '${source}';`);
+    });
+    if (analyses.some(usesStateProviders) && /\.tsx?$/.test(this.componentPath)) {
+      lines.push("import type { ReactElement } from 'react';");
+    }
 
-${mocks}
+    analyses.forEach(analysis => {
+      const { zustand, query } = analysis.stateLibraries;
+      bindings.push(...zustand);
+      if (!analysis.screen && analysis.hasUserInteractions) {
+        getInteractionCases(analysis).forEach(testCase => testCase.dispatches.forEach(dispatch => bindings.push(...dispatch.imports)));
+      }
+      if (usesQueryStates(analysis) && query.queryFn) bindings.push(query.queryFn);
+    });
 
-describe('${analysis.componentName}', () => {
-  ${analysis.hasUserInteractions ? 'const user = userEvent.setup();\n  ' : ''}${this.buildDefaultProps()}
+    const bySource = new Map();
+    bindings
+      .filter((binding, index) => bindings.findIndex(other => other.name === binding.name) === index)
+      .forEach(binding => {
+        const source = path.isAbsolute(binding.source) ? this.getImportPath(binding.source) : binding.source;
+        if (!bySource.has(source)) bySource.set(source, []);
+        bySource.get(source).push(binding);
+      });
 
-  beforeEach(() => {
-    jest.clearAllMocks();
-  });
+    bySource.forEach((list, source) => {
+      const namespace = list.find(binding => binding.imported === '*');
+      const defaultBinding = list.find(binding => binding.imported === 'default');
+      const named = list
+        .filter(binding => binding.imported !== '*' && binding.imported !== 'default')
+        .map(binding => (binding.imported === binding.name ? binding.name : `${binding.imported} as ${binding.name}`));
 
-${testCases}
-});
-`;
+      if (namespace) lines.push(`import * as ${namespace.name} from '${source}';`);
+      const clauses = [defaultBinding && defaultBinding.name, named.length > 0 && `{ ${named.join(', ')} }`].filter(Boolean);
+      if (clauses.length > 0) lines.push(`import ${clauses.join(', ')} from '${source}';`);
+    });
+
+    return lines;
   }
 
-  buildImports() {
-    const imports = ["import { render, screen"];
+  /**
+   * `import Default, { Named } from './File'` for the given components,
+   * relative to where the test file is written.
+   */
+  buildComponentImport(analyses, include = () => true) {
+    const bindings = analyses.flatMap(getImportBindings).filter(binding => include(binding.name));
+    const defaultExport = bindings.find(binding => binding.importName === 'default');
+    const named = bindings
+      .filter(binding => binding.importName !== 'default')
+      .map(binding => (binding.importName === binding.name ? binding.name : `${binding.importName} as ${binding.name}`));
 
-    if (this.analysis.hasUserInteractions) {
-      imports[0] += ', userEvent';
-    }
+    const clauses = [];
+    if (defaultExport) clauses.push(defaultExport.name);
+    if (named.length > 0) clauses.push(`{ ${[...new Set(named)].join(', ')} }`);
 
-    if (this.analysis.hasAsyncOperations) {
-      imports[0] += ', waitFor, waitForElementToBeRemoved';
-    }
+    return `import ${clauses.join(', ')} from '${this.getComponentImportPath()}';`;
+  }
 
-    imports[0] += " } from '@testing-library/react-native';";
-    imports.push(`import { ${this.analysis.componentName} } from './${this.analysis.componentName}';`);
+  getComponentImportPath() {
+    return this.getImportPath(this.componentPath);
+  }
 
-    if (this.options.withMsw && this.analysis.hasAsyncOperations) {
-      imports.push("import { server } from '@/mocks/server';");
-      imports.push("import { rest } from 'msw';");
-    }
+  getImportPath(target) {
+    const testDir = path.dirname(this.getOutputPath());
+    let importPath = path.relative(testDir, target)
+      .split(path.sep)
+      .join('/')
+      .replace(/\.(tsx|ts|jsx|js)$/, '');
 
-    return imports.join('\n');
+    if (!importPath.startsWith('.')) {
+      importPath = `./${importPath}`;
+    }
+    return importPath;
   }
 
   buildMocks() {
+    return this.buildMockEntries().map(mock => mock.code).join('\n\n');
+  }
+
+  buildMockEntries() {
     const mocks = [];
 
-    if (this.analysis.hasNavigation) {
-      mocks.push(`// Mock navigation
+    // Screens render inside a real navigator instead, so they opt out of the
+    // useNavigation()/useRoute() stubs a scaffolded jest-setup installs
+    if (this.analyses.some(analysis => analysis.screen)) {
+      mocks.push({
+        module: '@react-navigation/native',
+        code: `// Use the real navigation instead of the jest-setup mocks
+jest.unmock('@react-navigation/native');`,
+      });
+    }
+    if (this.analyses.some(analysis => analysis.hasNavigation && !analysis.screen)) {
+      mocks.push({
+        module: '@react-navigation/native',
+        code: `// Mock navigation
 jest.mock('@react-navigation/native', () => ({
   ...jest.requireActual('@react-navigation/native'),
   useNavigation: () => ({
     navigate: jest.fn(),
     goBack: jest.fn(),
   }),
-}));`);
+}));`,
+      });
     }
 
-    return mocks.join('\n\n');
-  }
+    // Query functions are mocked so each test decides how the query settles
+    const queryModules = this.analyses
+      .filter(analysis => usesQueryStates(analysis) && analysis.stateLibraries.query.queryFn)
+      .map(analysis => analysis.stateLibraries.query.queryFn.source)
+      .map(source => (path.isAbsolute(source) ? this.getImportPath(source) : source));
+    [...new Set(queryModules)].forEach(module => {
+      mocks.push({ module, code: `jest.mock('${module}');` });
+    });
 
-  buildDefaultProps() {
-    if (!this.analysis.hasProps) {
-      return '';
-    }
+    return mocks;
+  }
 
-    return `const defaultProps = {
-    // Add required props here
-  };
+  buildDefaultPropsObject(analysis) {
+    // Required props plus every callback, so interactions can be asserted
+    const entries = analysis.props.filter(prop => !prop.optional || prop.isFunction);
+    const body = entries.length > 0
+      ? entries.map(prop => `    ${formatKey(prop.name)}: ${prop.value},${prop.note ? ` // ${prop.note}` : ''}`).join('\n')
+      : '    // Add required props here';
 
-  const mockCallback = jest.fn();
+    // Typed so string literal unions in the props don't widen to string
+    const type = /\.tsx?$/.test(this.componentPath) ? `: ComponentProps<typeof ${analysis.componentName}>` : '';
+    return `const defaultProps${type} = {
+${body}
+  };`;
+  }
 
-  `;
+  buildTestCases(analysis) {
+    return this.buildTestSections(analysis).map(section => section.code).join('\n\n');
   }
 
-  buildTestCases() {
-    const testCases = [];
+  /**
+   * The nested describe blocks for a component, keyed by their title so
+   * --merge can tell which ones an existing test file already has.
+   */
+  buildTestSections(analysis) {
+    if (analysis.kind === 'hook' || analysis.kind === 'context') {
+      return this.buildHookSections(analysis);
+    }
+
+    const sections = [];
 
     // Basic rendering test
-    testCases.push(this.buildRenderingTest());
+    sections.push({ name: 'rendering', code: this.buildRenderingTest(analysis) });
 
     // Props-based tests
-    if (this.analysis.hasProps) {
-      testCases.push(this.buildPropsTest());
+    if (analysis.hasProps) {
+      sections.push({ name: 'props', code: this.buildPropsTest(analysis) });
     }
 
     // User interaction tests
-    if (this.analysis.hasUserInteractions) {
-      testCases.push(this.buildInteractionTests());
+    if (analysis.hasUserInteractions && getInteractionCases(analysis).length > 0) {
+      sections.push({ name: 'user interactions', code: this.buildInteractionTests(analysis) });
     }
 
     // Async operation tests
-    if (this.analysis.hasAsyncOperations) {
-      testCases.push(this.buildAsyncTests());
+    if (analysis.hasAsyncOperations) {
+      sections.push({ name: 'async operations', code: this.buildAsyncTests(analysis) });
+    }
+
+    // Loading, success and error states of React Query queries
+    if (usesQueryStates(analysis)) {
+      sections.push({ name: 'query states', code: this.buildQueryStateTests(analysis) });
     }
 
     // Form tests
-    if (this.analysis.hasForms) {
-      testCases.push(this.buildFormTests());
+    if (analysis.hasForms) {
+      sections.push({ name: 'form behavior', code: this.buildFormTests(analysis) });
     }
 
     // List tests
-    if (this.analysis.hasLists) {
-      testCases.push(this.buildListTests());
+    if (analysis.hasLists) {
+      sections.push({ name: 'list behavior', code: this.buildListTests(analysis) });
     }
 
     // Modal tests
-    if (this.analysis.hasModals) {
-      testCases.push(this.buildModalTests());
+    if (analysis.hasModals) {
+      sections.push({ name: 'modal behavior', code: this.buildModalTests(analysis) });
+    }
+
+    // Navigation tests for screens
+    if (analysis.screen && analysis.screen.targets.length > 0) {
+      sections.push({ name: 'navigation', code: this.buildNavigationTests(analysis) });
     }
 
     // Accessibility test
-    testCases.push(this.buildAccessibilityTest());
+    sections.push({ name: 'accessibility', code: this.buildAccessibilityTest(analysis) });
+
+    return sections;
+  }
+
+  /**
+   * The render call for a test. Screens go through renderScreen() so they
+   * sit inside a real navigator with their route params, and components
+   * using Redux or React Query through renderWithProviders().
+   */
+  buildRender(analysis, props = {}, spread = analysis.hasProps ? 'defaultProps' : null) {
+    const entries = Object.entries(props);
+
+    if (analysis.screen) {
+      const screenProps = spread === 'customProps'
+        ? spread
+        : entries.length > 0 && `{ ${entries.map(([name, value]) => (name === value ? name : `${name}: ${value}`)).join(', ')} }`;
+      return `renderScreen(${screenProps ? `{ props: ${screenProps} }` : ''})`;
+    }
+
+    const attributes = [spread && `{...${spread}}`, ...entries.map(([name, value]) => `${name}={${value}}`)]
+      .filter(Boolean)
+      .map(attribute => ` ${attribute}`)
+      .join('');
+    const render = usesStateProviders(analysis) ? 'renderWithProviders' : 'render';
+    return `${render}(<${analysis.componentName}${attributes} />)`;
+  }
+
+  /**
+   * Describe-level helpers for a screen: its route params and renderScreen(),
+   * which mounts it in a NavigationContainer with a stack holding a stub
+   * screen for every route it navigates to.
+   */
+  buildScreenSetup(analysis) {
+    const { routeName, params, targets } = analysis.screen;
+    const hasBack = targets.some(target => target.back);
+    const others = [...new Set(targets.filter(target => !target.back).map(target => target.route))]
+      .filter(route => route !== routeName);
+
+    const paramLines = params.map(param => `    ${formatKey(param.name)}: ${param.code},${param.note ? ` // ${param.note}` : ''}`);
+    const screenProps = analysis.hasProps ? '{...defaultProps} {...props} {...screenProps}' : '{...props} {...screenProps}';
+    const stubScreen = route => `          <Stack.Screen name=${JSON.stringify(route)} component={TargetScreen} />\n`;
+    // goBack() needs a screen underneath to go back to
+    const initialState = hasBack
+      ? ` initialState={{ routes: [{ name: 'Previous' }, { name: ${quote(routeName)}, params }] }}`
+      : '';
+
+    return [
+      {
+        name: 'routeParams',
+        code: paramLines.length > 0 ? `  const routeParams = {\n${paramLines.join('\n')}\n  };` : '  const routeParams = {};',
+      },
+      { name: 'Stack', code: '  const Stack = createNativeStackNavigator();' },
+      { name: 'TargetScreen', code: '  const TargetScreen = () => null;' },
+      {
+        name: 'renderScreen',
+        code: `  const renderScreen = ({ params = routeParams, props = {} } = {}) => {
+    const navigationRef = createNavigationContainerRef();
+    ${usesStateProviders(analysis) ? 'renderWithProviders' : 'render'}(
+      <NavigationContainer ref={navigationRef}${initialState}>
+        <Stack.Navigator>
+${hasBack ? stubScreen('Previous') : ''}          <Stack.Screen name=${JSON.stringify(routeName)} initialParams={params}>
+            {screenProps => <${analysis.componentName} ${screenProps} />}
+          </Stack.Screen>
+${others.map(stubScreen).join('')}        </Stack.Navigator>
+      </NavigationContainer>
+    );
+    return navigationRef;
+  };`,
+      },
+    ];
+  }
+
+  /**
+   * Describe-level helpers for components using state libraries: the
+   * initial state of each Zustand store, and renderWithProviders(), which
+   * renders under a fresh Redux store and QueryClient so nothing carries
+   * over between tests.
+   */
+  buildStateSetup(analysis) {
+    const { redux, zustand, query } = analysis.stateLibraries;
+    const entries = zustand.map(store => ({
+      name: getInitialStoreName(store),
+      code: `  const ${getInitialStoreName(store)} = ${store.name}.getState();`,
+    }));
+    if (!redux && !query) return entries;
+
+    const body = [];
+    if (redux) {
+      if (redux.store && redux.store.kind === 'factory') {
+        body.push(`    const store = ${redux.store.name}(preloadedState);`);
+      } else if (redux.store) {
+        body.push(`    const store = configureStore({ reducer: ${redux.store.reducer}, preloadedState });`);
+      } else {
+        body.push("    // TODO: Use the app's reducers", '    const store = configureStore({ reducer: (state = preloadedState) => state });');
+      }
+      body.push("    jest.spyOn(store, 'dispatch');");
+    }
+    if (query) {
+      body.push(
+        '    const queryClient = new QueryClient({',
+        '      defaultOptions: { queries: { retry: false }, mutations: { retry: false } },',
+        '    });'
+      );
+    }
+
+    if (redux && query) {
+      body.push(
+        '    render(',
+        '      <Provider store={store}>',
+        '        <QueryClientProvider client={queryClient}>{ui}</QueryClientProvider>',
+        '      </Provider>',
+        '    );'
+      );
+    } else {
+      body.push(redux
+        ? '    render(<Provider store={store}>{ui}</Provider>);'
+        : '    render(<QueryClientProvider client={queryClient}>{ui}</QueryClientProvider>);');
+    }
+    body.push(`    return { ${[redux && 'store', query && 'queryClient'].filter(Boolean).join(', ')} };`);
+
+    const ui = /\.tsx?$/.test(this.componentPath) ? 'ui: ReactElement' : 'ui';
+    const params = redux ? `${ui}, { preloadedState = {} } = {}` : ui;
+    entries.push({
+      name: 'renderWithProviders',
+      code: `  const renderWithProviders = (${params}) => {\n${body.join('\n')}\n  };`,
+    });
+    return entries;
+  }
+
+  /**
+   * beforeEach() lines restoring each Zustand store and keeping the mocked
+   * query function pending unless a test resolves it.
+   */
+  buildStateReset(analysis) {
+    const { zustand } = analysis.stateLibraries;
+    const lines = zustand.map(store => `    ${store.name}.setState(${getInitialStoreName(store)}, true);`);
+
+    const queryFn = usesQueryStates(analysis) && analysis.stateLibraries.query.queryFn;
+    if (queryFn) {
+      lines.push('    // Queries stay loading unless a test resolves them');
+      lines.push(`    jest.mocked(${queryFn.code}).mockReturnValue(new Promise(() => {}));`);
+    }
+    return lines;
+  }
+
+  buildNavigationTests(analysis) {
+    const tests = analysis.screen.targets.map(target => {
+      const trigger = analysis.elements
+        .flatMap(element => element.handlers.map(handler => ({ element, handler })))
+        .find(({ handler }) => handler.calls.includes(target.start));
+
+      const expected = target.back
+        ? "expect(navigationRef.getCurrentRoute()?.name).toBe('Previous');"
+        : `expect(navigationRef.getCurrentRoute()).toMatchObject({ name: ${quote(target.route)}${target.params ? `, params: ${target.params}` : ''} });`;
+      const title = target.back ? 'goes back' : `navigates to ${target.route}`;
+      const lines = [`      const navigationRef = ${this.buildRender(analysis)};`, ''];
+
+      if (target.inEffect) {
+        const waitForRoute = `await waitFor(() => ${expected.replace(/;$/, '')});`;
+        lines.push(...(target.conditional
+          ? ['      // TODO: Render with the route params that lead to this navigation', `      // ${waitForRoute}`]
+          : [`      ${waitForRoute}`]));
+      } else if (trigger && trigger.element.query && !trigger.element.conditional) {
+        lines.push(`      ${getHandlerEvent(trigger.handler.name).action(trigger.element.query)};`, '', `      ${expected}`);
+      } else {
+        const query = (trigger && trigger.element.query) || "screen.getByRole('button', { name: '...' })";
+        const action = getHandlerEvent(trigger ? trigger.handler.name : 'onPress').action(query);
+        lines.push(`      // TODO: Trigger the ${target.back ? 'back navigation' : `navigation to ${target.route}`}`,
+          `      // ${action};`, '', `      // ${expected}`);
+      }
+
+      return `    it(${quote(title)}, async () => {
+${lines.join('\n')}
+    });`;
+    });
 
-    return testCases.join('\n\n');
+    return `  describe('navigation', () => {
+${[...new Set(tests)].join('\n\n')}
+  });`;
   }
 
-  buildRenderingTest() {
-    const propsArg = this.analysis.hasProps ? '{...defaultProps}' : '';
+  buildRenderingTest(analysis) {
+    const queries = [...new Set(getVisibleElements(analysis).map(element => element.query))].slice(0, 5);
+    const assertions = queries.length > 0
+      ? queries.map(query => `      expect(${query}).toBeOnTheScreen();`).join('\n')
+      : `      // TODO: Add assertions for expected elements
+      // expect(screen.getByRole('...', { name: '...' })).toBeOnTheScreen();`;
+
     return `  describe('rendering', () => {
     it('renders without crashing', () => {
-      render(<${this.analysis.componentName} ${propsArg} />);
+      ${this.buildRender(analysis)};
 
-      // TODO: Add assertions for expected elements
-      // expect(screen.getByRole('...', { name: '...' })).toBeOnTheScreen();
+${assertions}
     });
   });`;
   }
 
-  buildPropsTest() {
+  buildPropsTest(analysis) {
     return `  describe('props', () => {
     it('renders with custom props', () => {
       const customProps = {
@@ -331,58 +4445,89 @@ jest.mock('@react-navigation/native', () => ({
         // TODO: Override props for this test
       };
 
-      render(<${this.analysis.componentName} {...customProps} />);
+      ${this.buildRender(analysis, {}, 'customProps')};
 
       // TODO: Assert props affect rendering
     });
   });`;
   }
 
-  buildInteractionTests() {
-    const handlers = this.analysis.eventHandlers;
-    let tests = `  describe('user interactions', () => {`;
+  buildInteractionTests(analysis) {
+    const tests = getInteractionCases(analysis).map(testCase => {
+      const callback = testCase.callback;
+      // renderScreen() returns the navigation ref rather than the store
+      const dispatches = analysis.screen ? [] : testCase.dispatches;
+      const lines = [];
 
-    if (handlers.includes('onPress')) {
-      tests += `
-    it('handles press events', async () => {
-      render(<${this.analysis.componentName} ${this.analysis.hasProps ? '{...defaultProps} onPress={mockCallback}' : 'onPress={mockCallback}'} />);
+      if (callback) lines.push(`      const ${callback} = jest.fn();`);
+      const render = this.buildRender(analysis, callback ? { [callback]: callback } : {});
+      lines.push(`      ${dispatches.length > 0 ? `const { store } = ${render}` : render};`, '');
 
-      // TODO: Query the pressable element
-      // await user.press(screen.getByRole('button', { name: '...' }));
-
-      // expect(mockCallback).toHaveBeenCalled();
-    });
-`;
-    }
+      const action = testCase.event.action(testCase.query || "screen.getByRole('button', { name: '...' })");
+      if (testCase.query && !testCase.conditional) {
+        lines.push(`      ${action};`);
+      } else {
+        lines.push(testCase.query
+          ? `      // TODO: Render the state where this element is shown`
+          : `      // TODO: Query the element that handles ${testCase.handler}`);
+        lines.push(`      // ${action};`);
+      }
+      lines.push('');
 
-    if (handlers.includes('onChangeText')) {
-      tests += `
-    it('handles text input', async () => {
-      render(<${this.analysis.componentName} ${this.analysis.hasProps ? '{...defaultProps}' : ''} />);
+      const prefix = testCase.query && !testCase.conditional ? '      ' : '      // ';
+      if (callback) {
+        const expectation = testCase.direct && testCase.event.calledWith
+          ? `toHaveBeenLastCalledWith(${testCase.event.calledWith})`
+          : 'toHaveBeenCalled()';
+        lines.push(`${prefix}expect(${callback}).${expectation};`);
+      }
+      dispatches.forEach(dispatch => lines.push(`${prefix}expect(store.dispatch).${dispatch.matcher};`));
+      if (!callback && dispatches.length === 0 && !testCase.showsTypedValue) {
+        lines.push(`      // TODO: Assert the result of ${testCase.handler}`);
+      }
 
-      // TODO: Query the text input
-      // await user.type(screen.getByLabelText('...'), 'test value');
+      if (testCase.showsTypedValue) {
+        lines.push(`${prefix}expect(${testCase.query}).toHaveDisplayValue('test value');`);
+      }
 
-      // expect(screen.getByLabelText('...')).toHaveDisplayValue('test value');
+      return `    it(${quote(testCase.title)}, async () => {
+${lines.join('\n')}
+    });`;
     });
-`;
-    }
 
-    tests += `  });`;
-    return tests;
+    return `  describe('user interactions', () => {
+${tests.join('\n\n')}
+  });`;
   }
 
-  buildAsyncTests() {
+  buildAsyncTests(analysis) {
+    const msw = this.usesApiHandlers(analysis);
+    const mockError = msw
+      ? '      server.use(...apiHandlers.serverError);'
+      : `      // TODO: Mock error response
+      // server.use(${buildMswHandler(this.mswVersion, 'get', "'...'", 'serverError')});`;
+    const networkTest = msw
+      ? `
+
+    it('handles network failures', async () => {
+      server.use(...apiHandlers.networkError);
+
+      ${this.buildRender(analysis)};
+
+      // expect(await screen.findByText(/network|connection/i)).toBeOnTheScreen();
+    });`
+      : '';
+
     return `  describe('async operations', () => {
     it('shows loading state initially', () => {
-      render(<${this.analysis.componentName} ${this.analysis.hasProps ? '{...defaultProps}' : ''} />);
+      ${this.buildRender(analysis)};
 
       // TODO: Assert loading state
       // expect(screen.getByText(/loading/i)).toBeOnTheScreen();
     });
 
     it('displays data after loading', async () => {
-      render(<${this.analysis.componentName} ${this.analysis.hasProps ? '{...defaultProps}' : ''} />);
+${msw ? '      server.use(...apiHandlers.success);\n\n' : ''}      ${this.buildRender(analysis)};
 
       // TODO: Wait for loading to complete
       // await waitForElementToBeRemoved(() => screen.getByText(/loading/i));
@@ -391,20 +4536,147 @@ jest.mock('@react-navigation/native', () => ({
     });
 
     it('handles errors gracefully', async () => {
-      // TODO: Mock error response
-      // server.use(rest.get('...', (req, res, ctx) => res(ctx.status(500))));
+${mockError}
 
-      render(<${this.analysis.componentName} ${this.analysis.hasProps ? '{...defaultProps}' : ''} />);
+      ${this.buildRender(analysis)};
 
       // expect(await screen.findByRole('alert')).toHaveTextContent(/error/i);
+    });${networkTest}
+  });`;
+  }
+
+  /**
+   * Whether the tests mock the component's endpoints through MSW: with
+   * --with-msw, for async components and for queries whose fetcher could
+   * not be mocked directly.
+   */
+  usesApiHandlers(analysis) {
+    if (!this.options.withMsw || !analysis.endpoints || analysis.endpoints.length === 0) return false;
+    return analysis.hasAsyncOperations || (usesQueryStates(analysis) && !analysis.stateLibraries.query.queryFn);
+  }
+
+  /**
+   * Success, server error and network failure handlers for every endpoint
+   * the component requests, for tests to install with server.use().
+   */
+  buildApiHandlers(analysis) {
+    const handler = (endpoint, response, body) =>
+      `      ${buildMswHandler(this.mswVersion, endpoint.method, quote(endpoint.path), response, body)},`;
+
+    const success = analysis.endpoints.flatMap(endpoint => {
+      const data = endpoint.response
+        ? this.buildResponsePlaceholder(endpoint.response.type, endpoint.response.info, '      ')
+        : { code: '{}', note: 'TODO: response body' };
+      const lines = [];
+      if (endpoint.query.length > 0) lines.push(`      // Query params: ${endpoint.query.join(', ')}`);
+      lines.push(`${handler(endpoint, 'success', data.code)}${data.note ? ` // ${data.note}` : ''}`);
+      return lines;
+    });
+    const serverError = analysis.endpoints.map(endpoint =>
+      handler(endpoint, 'serverError')
+    );
+    const networkError = analysis.endpoints.map(endpoint =>
+      handler(endpoint, 'networkError')
+    );
+
+    return `  const apiHandlers = {
+    success: [
+${success.join('\n')}
+    ],
+    serverError: [
+${serverError.join('\n')}
+    ],
+    networkError: [
+${networkError.join('\n')}
+    ],
+  };`;
+  }
+
+  /**
+   * Loading, success and error tests for a React Query component, driven by
+   * mocking the function its query fetches with.
+   */
+  buildQueryStateTests(analysis) {
+    const { queryFn } = analysis.stateLibraries.query;
+    const { loading, error } = getQueryStateElements(analysis);
+    const render = `      ${this.buildRender(analysis)};`;
+    const mocked = queryFn ? `jest.mocked(${queryFn.code})` : null;
+    const response = queryFn ? this.buildQueryResponse(queryFn) : null;
+    const msw = !mocked && this.usesApiHandlers(analysis);
+    // Without a mock the query never settles, so only show what to assert
+    const prefix = mocked || msw ? '      ' : '      // ';
+
+    const loadingLines = [render, ''];
+    loadingLines.push(loading
+      ? `      expect(${loading.query}).toBeOnTheScreen();`
+      : "      // TODO: Assert the loading state\n      // expect(screen.getByLabelText(/loading/i)).toBeOnTheScreen();");
+
+    let resolve = '      // TODO: Resolve the query, for example with an MSW handler';
+    if (mocked) resolve = `      ${mocked}.mockResolvedValue(${response.code});${response.note ? ` // ${response.note}` : ''}`;
+    if (msw) resolve = '      server.use(...apiHandlers.success);';
+    const successLines = [
+      resolve,
+      render,
+      '',
+    ];
+    if (loading) successLines.push(`${prefix}await waitForElementToBeRemoved(() => ${loading.query});`);
+    successLines.push('      // TODO: Assert the loaded data', "      // expect(screen.getByText('...')).toBeOnTheScreen();");
+
+    let reject = '      // TODO: Make the query fail, for example with an MSW handler';
+    if (mocked) reject = `      ${mocked}.mockRejectedValue(new Error('Request failed'));`;
+    if (msw) reject = '      server.use(...apiHandlers.serverError);';
+    const errorLines = [
+      reject,
+      render,
+      '',
+      error
+        ? `${prefix}expect(await ${error.query.replace(/^screen\.getBy/, 'screen.findBy')}).toBeOnTheScreen();`
+        : '      // TODO: Assert the error state\n      // expect(await screen.findByText(/error/i)).toBeOnTheScreen();',
+    ];
+
+    return `  describe('query states', () => {
+    it('shows the loading state', () => {
+${loadingLines.join('\n')}
+    });
+
+    it('shows the data once the query succeeds', async () => {
+${successLines.join('\n')}
+    });
+
+    it('shows the error state when the query fails', async () => {
+${errorLines.join('\n')}
     });
   });`;
   }
 
-  buildFormTests() {
+  /**
+   * Sample data for a mocked query function, built from the Promise<...>
+   * return type it declares.
+   */
+  buildQueryResponse(queryFn) {
+    const fallback = { code: '{}', note: 'TODO: response data' };
+    if (!queryFn.file || queryFn.code !== queryFn.name) return fallback;
+
+    const info = this.getModuleInfo(queryFn.file);
+    const fn = info.functions.get(info.exports.get(queryFn.imported) || queryFn.imported);
+    const type = fn ? getResponseType(fn) : null;
+    return type ? this.buildResponsePlaceholder(type, info, '      ') : fallback;
+  }
+
+  buildResponsePlaceholder(type, info, indent) {
+    const context = this.getTypeContext(info.file, info.ast);
+    if (type.type === 'TSArrayType') {
+      // One item, so the list has something to show
+      const item = this.buildPlaceholder('item', type.elementType, context, indent);
+      return { code: `[${item.code}]`, note: item.note || null };
+    }
+    return this.buildPlaceholder('data', type, context, indent);
+  }
+
+  buildFormTests(analysis) {
     return `  describe('form behavior', () => {
     it('validates required fields', async () => {
-      render(<${this.analysis.componentName} ${this.analysis.hasProps ? '{...defaultProps}' : ''} />);
+      ${this.buildRender(analysis)};
 
       // TODO: Submit empty form
       // await user.press(screen.getByRole('button', { name: /submit/i }));
@@ -413,7 +4685,7 @@ jest.mock('@react-navigation/native', () => ({
     });
 
     it('submits with valid data', async () => {
-      render(<${this.analysis.componentName} ${this.analysis.hasProps ? '{...defaultProps} onSubmit={mockCallback}' : 'onSubmit={mockCallback}'} />);
+      ${this.buildRender(analysis, { onSubmit: 'mockCallback' })};
 
       // TODO: Fill form fields
       // await user.type(screen.getByLabelText('...'), 'valid value');
@@ -424,27 +4696,27 @@ jest.mock('@react-navigation/native', () => ({
   });`;
   }
 
-  buildListTests() {
+  buildListTests(analysis) {
     return `  describe('list behavior', () => {
     it('renders list items', () => {
       const items = [/* TODO: Add test data */];
-      render(<${this.analysis.componentName} ${this.analysis.hasProps ? '{...defaultProps} items={items}' : 'items={items}'} />);
+      ${this.buildRender(analysis, { items: 'items' })};
 
       // expect(screen.getAllByTestId('list-item')).toHaveLength(items.length);
     });
 
     it('shows empty state when no items', () => {
-      render(<${this.analysis.componentName} ${this.analysis.hasProps ? '{...defaultProps} items={[]}' : 'items={[]}'} />);
+      ${this.buildRender(analysis, { items: '[]' })};
 
       // expect(screen.getByText(/no items/i)).toBeOnTheScreen();
     });
   });`;
   }
 
-  buildModalTests() {
+  buildModalTests(analysis) {
     return `  describe('modal behavior', () => {
     it('opens when triggered', async () => {
-      render(<${this.analysis.componentName} ${this.analysis.hasProps ? '{...defaultProps}' : ''} />);
+      ${this.buildRender(analysis)};
 
       // TODO: Trigger modal open
       // await user.press(screen.getByRole('button', { name: /open/i }));
@@ -453,7 +4725,7 @@ jest.mock('@react-navigation/native', () => ({
     });
 
     it('closes when dismissed', async () => {
-      render(<${this.analysis.componentName} ${this.analysis.hasProps ? '{...defaultProps}' : ''} />);
+      ${this.buildRender(analysis)};
 
       // TODO: Open then close modal
       // await user.press(screen.getByRole('button', { name: /open/i }));
@@ -464,19 +4736,230 @@ jest.mock('@react-navigation/native', () => ({
   });`;
   }
 
-  buildAccessibilityTest() {
+  buildAccessibilityTest(analysis) {
+    const accessible = getVisibleElements(analysis)
+      .filter(element => /^screen\.getBy(Role|LabelText)\(/.test(element.query));
+    const assertions = accessible.length > 0
+      ? [...new Set(accessible.map(element => element.query))]
+        .map(query => `      expect(${query}).toBeOnTheScreen();`).join('\n')
+      : `      // TODO: Verify accessible elements exist
+      // Prefer *ByRole queries over *ByTestId
+${analysis.accessibleElements.map(el => `      // expect(screen.getByRole('${el}', { name: '...' })).toBeOnTheScreen();`).join('\n')}`;
+
     return `  describe('accessibility', () => {
     it('has accessible elements', () => {
-      render(<${this.analysis.componentName} ${this.analysis.hasProps ? '{...defaultProps}' : ''} />);
+      ${this.buildRender(analysis)};
 
-      // TODO: Verify accessible elements exist
-      // Prefer *ByRole queries over *ByTestId
-${this.analysis.accessibleElements.map(el => `      // expect(screen.getByRole('${el}', { name: '...' })).toBeOnTheScreen();`).join('\n')}
+${assertions}
     });
   });`;
   }
 }
 
+/**
+ * Generates tests for every component matched by a set of files, directories
+ * and glob patterns. Files that already have a matching test (same lookup as
+ * CoverageAnalyzer.findMatchingTest) are skipped unless --force is given, or
+ * have the missing describe blocks added with --merge.
+ */
+class BatchTestGenerator {
+  constructor(targets, options = {}) {
+    this.targets = targets;
+    this.options = options;
+    this.analyzer = new CoverageAnalyzer(process.cwd());
+    this.testFilesByDir = new Map();
+    this.results = [];
+  }
+
+  run() {
+    console.log('🧪 React Native Component Test Generator (batch)');
+    console.log('='.repeat(50));
+
+    try {
+      if (this.options.output) {
+        throw new Error('--output cannot be used when generating tests for multiple files');
+      }
+
+      const files = this.collectFiles();
+      if (files.length === 0) {
+        throw new Error(`No component files matched: ${this.targets.join(', ')}`);
+      }
+
+      console.log(`\n📂 Found ${files.length} source file(s)`);
+      files.forEach(file => this.processFile(file));
+      this.printSummary();
+
+      return { success: !this.results.some(r => r.status === 'failed'), results: this.results };
+    } catch (error) {
+      console.error(`❌ Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  collectFiles() {
+    const files = new Set();
+
+    this.targets.forEach(target => {
+      const resolved = path.resolve(target);
+
+      if (isGlobPattern(target)) {
+        const baseDir = path.resolve(getGlobBase(target));
+        const matcher = globToRegExp(path.resolve(target));
+        if (!fs.existsSync(baseDir)) return;
+
+        this.findSourceFiles(baseDir)
+          .filter(file => matcher.test(file))
+          .forEach(file => files.add(file));
+      } else if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+        this.findSourceFiles(resolved).forEach(file => files.add(file));
+      } else {
+        files.add(resolved);
+      }
+    });
+
+    return [...files].sort();
+  }
+
+  findSourceFiles(dir) {
+    if (fs.statSync(dir).isFile()) return [dir];
+    return this.analyzer.findSourceFiles(dir);
+  }
+
+  findExistingTest(file) {
+    const dir = path.dirname(file);
+    if (!this.testFilesByDir.has(dir)) {
+      this.testFilesByDir.set(dir, this.analyzer.findTestFiles(dir));
+    }
+    return this.analyzer.findMatchingTest(file, this.testFilesByDir.get(dir));
+  }
+
+  processFile(file) {
+    const relativePath = path.relative(process.cwd(), file);
+
+    const existingTest = this.findExistingTest(file);
+    if (existingTest && !this.options.force && !this.options.merge) {
+      this.results.push({
+        file: relativePath,
+        status: 'skipped',
+        reason: `test exists: ${path.relative(process.cwd(), existingTest)}`,
+      });
+      return;
+    }
+
+    const generatorOptions = { ...this.options, batch: true };
+    if (existingTest && this.options.merge) {
+      // Merge into the test that already exists, wherever it lives
+      generatorOptions.output = existingTest;
+    }
+    const generator = new ComponentTestGenerator(file, generatorOptions);
+
+    try {
+      generator.validatePath();
+      generator.readComponent();
+      generator.analyzeComponent();
+
+      if (generator.exportedComponents.length === 0 && generator.exportedHooks.length === 0 &&
+        generator.syntax.components.length === 0) {
+        this.results.push({ file: relativePath, status: 'skipped', reason: 'no components or hooks found' });
+        return;
+      }
+
+      const outcome = generator.generateTest();
+      const output = path.relative(process.cwd(), generator.outputPath);
+
+      if (outcome === 'unchanged') {
+        this.results.push({ file: relativePath, status: 'skipped', reason: `test up to date: ${output}` });
+      } else if (generator.mergedBlocks) {
+        this.results.push({ file: relativePath, status: 'merged', output, components: generator.mergedBlocks });
+      } else {
+        this.results.push({
+          file: relativePath,
+          status: 'generated',
+          output,
+          components: generator.analyses.map(analysis => analysis.componentName),
+        });
+      }
+    } catch (error) {
+      this.results.push({ file: relativePath, status: 'failed', reason: error.message });
+    }
+  }
+
+  printSummary() {
+    const statusLabel = {
+      generated: this.options.dryRun ? '📝 would generate' : '✅ generated',
+      merged: this.options.dryRun ? '📝 would merge' : '🔀 merged',
+      skipped: '⏭️  skipped',
+      failed: '❌ failed',
+    };
+
+    console.log('\n' + '='.repeat(50));
+    console.log('BATCH SUMMARY');
+    console.log('='.repeat(50));
+
+    this.results.forEach(result => {
+      const detail = ['generated', 'merged'].includes(result.status)
+        ? `→ ${result.output} (${result.components.join(', ')})`
+        : `(${result.reason})`;
+      console.log(`  ${statusLabel[result.status]}  ${result.file} ${detail}`);
+    });
+
+    const count = status => this.results.filter(result => result.status === status).length;
+    console.log(`\n  Generated: ${count('generated')}  Merged: ${count('merged')}  Skipped: ${count('skipped')}  Failed: ${count('failed')}`);
+    if (this.options.dryRun) {
+      console.log('  Dry run - no files written');
+    }
+  }
+}
+
+function isGlobPattern(target) {
+  return /[*?{[]/.test(target);
+}
+
+function getGlobBase(pattern) {
+  const segments = pattern.split(/[\\/]/);
+  const firstGlob = segments.findIndex(segment => isGlobPattern(segment));
+  return segments.slice(0, firstGlob).join('/') || '.';
+}
+
+/**
+ * Converts a glob (`*`, `**`, `?`, `{a,b}`, `[abc]`) into an anchored RegExp.
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // `**/` matches zero or more directories
+        const followedBySlash = pattern[i + 2] === '/';
+        source += followedBySlash ? '(?:.*/)?' : '.*';
+        i += followedBySlash ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else if (char === '[' || char === ']') {
+      source += char;
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
 // CLI Entry Point
 function main() {
   const args = process.argv.slice(2);
@@ -487,30 +4970,41 @@ React Native Component Test Generator
 
 Usage:
   node component-test-generator.js <component-path> [options]
+  node component-test-generator.js <directory|glob>... [options]
 
 Options:
   --output, -o <path>   Output file path (default: <component>.test.tsx)
   --verbose, -v         Enable verbose output
   --dry-run             Print generated test without writing file
-  --force, -f           Overwrite existing test file
-  --with-msw            Include MSW mock setup for async components
+  --force, -f           Overwrite existing test file (batch: also regenerate
+                        files that already have a matching test)
+  --merge               Add only the missing describe blocks, imports and
+                        mocks to an existing test file
+  --with-msw            Include MSW handlers for the endpoints async components call
+  --component <name>    Only generate tests for this exported component
+                        (default: every exported component in the file)
   --help, -h            Show this help message
 
 Examples:
   node component-test-generator.js src/components/Button.tsx
   node component-test-generator.js src/screens/Home.tsx --verbose --with-msw
   node component-test-generator.js src/forms/LoginForm.tsx --dry-run
+  node component-test-generator.js src/components/index.tsx --component Card
+  node component-test-generator.js src/components --dry-run
+  node component-test-generator.js src/components/Button.tsx --merge
+  node component-test-generator.js "src/**/*.tsx"
 `);
     process.exit(0);
   }
 
-  const componentPath = args[0];
   const options = {
     verbose: args.includes('--verbose') || args.includes('-v'),
     dryRun: args.includes('--dry-run'),
     force: args.includes('--force') || args.includes('-f'),
+    merge: args.includes('--merge'),
     withMsw: args.includes('--with-msw'),
     output: null,
+    component: null,
   };
 
   // Parse --output flag
@@ -519,8 +5013,31 @@ Examples:
     options.output = args[outputIndex + 1];
   }
 
-  const generator = new ComponentTestGenerator(componentPath, options);
-  generator.run();
+  // Parse --component flag
+  const componentIndex = args.indexOf('--component');
+  if (componentIndex !== -1 && args[componentIndex + 1]) {
+    options.component = args[componentIndex + 1];
+  }
+
+  // Positional arguments are files, directories or glob patterns
+  const valueFlags = ['--output', '-o', '--component'];
+  const targets = args.filter((arg, i) => !arg.startsWith('-') && !valueFlags.includes(args[i - 1]));
+
+  const isSingleFile = targets.length === 1 && !isGlobPattern(targets[0]) &&
+    !(fs.existsSync(targets[0]) && fs.statSync(targets[0]).isDirectory());
+
+  if (isSingleFile) {
+    const generator = new ComponentTestGenerator(targets[0], options);
+    generator.run();
+  } else {
+    const batch = new BatchTestGenerator(targets, options);
+    const { success } = batch.run();
+    if (!success) process.exit(1);
+  }
 }
 
-main();
+module.exports = { ComponentTestGenerator, BatchTestGenerator };
+
+if (require.main === module) {
+  main();
+}
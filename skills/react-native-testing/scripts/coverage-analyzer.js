@@ -9,15 +9,407 @@
  *   node coverage-analyzer.js <project-path> [options]
  *
  * Options:
- *   --threshold <number>  Minimum coverage threshold (default: 70)
+ *   --threshold <number>  Minimum line coverage threshold (default: 70)
+ *   --thresholds <list>   Per-metric and per-type thresholds, e.g. branches=60,hooks=90
+ *   --fail-on <severity>  Fail on findings of this severity or worse: critical, high, medium
  *   --verbose, -v         Enable verbose output
  *   --json                Output results as JSON
  *   --output, -o <path>   Write report to file
  *   --focus <area>        Focus on: components, hooks, utils, screens
+ *   --generate            Generate test scaffolds for critical/high priority untested files
+ *   --limit <n>           Maximum number of scaffolds to generate
+ *   --dry-run             With --generate, list scaffolds without writing them
+ *   --diff <base-ref>     Report coverage of the lines changed since base-ref
+ *   --patch-threshold <n> Exit non-zero when changed-line coverage is below n
+ *   --record              Append this run to the coverage history file
+ *   --ratchet             Fail when a file's coverage drops below the last recorded run
+ *   --tolerance <n>       Percentage points a file may drop under --ratchet (default: 0)
+ *   --trend [n]           Show coverage over the last n recorded runs (default: 10)
+ *   --history <path>      History file (default: .coverage-history.json)
+ *
+ * Coverage is read from coverage/coverage-final.json, coverage/lcov.info or
+ * coverage/coverage-summary.json, whichever Jest's coverageReporters wrote.
+ *
+ * Exit codes: 0 passed, 1 the analysis failed, 2 a coverage threshold was
+ * missed or coverage regressed, 3 findings at or above the --fail-on severity
+ * (only with --fail-on).
  */
 
 const fs = require('fs');
 const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Most detailed first: Istanbul's per-statement data, lcov, then the summary
+const COVERAGE_REPORTS = [
+  ['coverage-final.json', 'final'],
+  ['lcov.info', 'lcov'],
+  ['coverage-summary.json', 'summary'],
+];
+
+const METRICS = ['lines', 'branches', 'functions', 'statements'];
+
+// The types classifyFile() assigns
+const FILE_TYPES = ['components', 'hooks', 'screens', 'utils', 'services', 'contexts', 'other'];
+
+// Recommendation priorities that can fail a run, most severe first
+const SEVERITIES = ['critical', 'high', 'medium'];
+
+const HISTORY_FILE = '.coverage-history.json';
+
+const HISTORY_VERSION = 1;
+
+const EXIT_CODES = {
+  success: 0,
+  error: 1,
+  belowThreshold: 2,
+  findings: 3,
+};
+
+/**
+ * Absolute, symlink-free form of a path in a coverage report, so report
+ * entries and source files compare equal whichever way they were written.
+ */
+function normalizeCoveragePath(file, root) {
+  const resolved = path.resolve(root, file.replace(/\\/g, '/'));
+  try {
+    return fs.realpathSync.native(resolved);
+  } catch {
+    return resolved;
+  }
+}
+
+/**
+ * A { total, covered, pct } metric. Nothing to cover counts as fully
+ * covered, as Istanbul reports it.
+ */
+function createMetric(covered, total) {
+  return { total, covered, pct: total === 0 ? 100 : (covered / total) * 100 };
+}
+
+function countHits(hits) {
+  return createMetric(hits.filter(count => count > 0).length, hits.length);
+}
+
+/**
+ * Per-file coverage from hit counts: the four metrics plus the counts
+ * themselves, as `detail`. lcov has no statements, so that metric is null.
+ */
+function createFileCoverage(file, { lineHits, branches, functions, statementHits = null }) {
+  return {
+    file,
+    lines: countHits([...lineHits.values()]),
+    branches: countHits(branches.map(branch => branch.hits)),
+    functions: countHits(functions.map(fn => fn.hits)),
+    statements: statementHits ? countHits(statementHits) : null,
+    detail: { lineHits, branches, functions },
+  };
+}
+
+/**
+ * Istanbul's coverage-final.json: statementMap/s, branchMap/b and fnMap/f
+ * per file. Each branch arm is recorded separately.
+ */
+function readIstanbulCoverage(data, root) {
+  const files = new Map();
+
+  Object.entries(data).forEach(([key, entry]) => {
+    // nyc used to wrap each file's data in a `data` key
+    const fileData = entry.data || entry;
+    const statementMap = fileData.statementMap || {};
+    const branchMap = fileData.branchMap || {};
+    const fnMap = fileData.fnMap || {};
+
+    // A line counts as hit by the statements starting on it, as in Istanbul's reports
+    const lineHits = new Map();
+    Object.entries(statementMap).forEach(([id, loc]) => {
+      const hits = fileData.s[id] || 0;
+      if (!lineHits.has(loc.start.line) || lineHits.get(loc.start.line) < hits) {
+        lineHits.set(loc.start.line, hits);
+      }
+    });
+
+    const branches = [];
+    Object.entries(branchMap).forEach(([id, branch]) => {
+      (fileData.b[id] || []).forEach((hits, arm) => {
+        // Implicit else arms have no location of their own
+        const location = branch.locations && branch.locations[arm];
+        const start = location && location.start && location.start.line ? location.start : branch.loc.start;
+        branches.push({ line: start.line, column: start.column, type: branch.type, arm, hits });
+      });
+    });
+
+    const functions = Object.entries(fnMap).map(([id, fn]) => {
+      const start = (fn.decl || fn.loc).start;
+      return { name: fn.name, line: start.line, column: start.column, hits: fileData.f[id] || 0 };
+    });
+
+    const file = normalizeCoveragePath(fileData.path || key, root);
+    files.set(file, createFileCoverage(file, {
+      lineHits,
+      branches,
+      functions,
+      statementHits: Object.keys(statementMap).map(id => fileData.s[id] || 0),
+    }));
+  });
+
+  return files;
+}
+
+/**
+ * lcov.info records: SF starts a file, DA/BRDA/FN/FNDA carry line, branch
+ * and function hits, end_of_record closes it. Relative SF paths are
+ * resolved against the project root.
+ */
+function readLcovCoverage(text, root) {
+  const files = new Map();
+  let record = null;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    const colon = line.indexOf(':');
+    const tag = colon === -1 ? line : line.slice(0, colon);
+    const fields = line.slice(colon + 1).split(',');
+
+    if (tag === 'SF') {
+      record = { file: line.slice(colon + 1), lineHits: new Map(), branches: [], functions: new Map() };
+      return;
+    }
+    if (!record) return;
+
+    switch (tag) {
+      case 'DA': {
+        const lineNumber = Number(fields[0]);
+        record.lineHits.set(lineNumber, Math.max(record.lineHits.get(lineNumber) || 0, Number(fields[1])));
+        break;
+      }
+      case 'FN': {
+        // FN:<line>,<name>, or FN:<line>,<end line>,<name> from lcov 2
+        const name = fields.slice(fields.length > 2 && /^\d+$/.test(fields[1]) ? 2 : 1).join(',');
+        const existing = record.functions.get(name);
+        record.functions.set(name, { name, line: Number(fields[0]), column: null, hits: existing ? existing.hits : 0 });
+        break;
+      }
+      case 'FNDA': {
+        const name = fields.slice(1).join(',');
+        const fn = record.functions.get(name) || { name, line: null, column: null, hits: 0 };
+        record.functions.set(name, { ...fn, hits: Number(fields[0]) });
+        break;
+      }
+      case 'BRDA': {
+        // '-' marks a branch whose block never ran
+        const [lineNumber, block, arm, taken] = fields;
+        record.branches.push({
+          line: Number(lineNumber),
+          column: null,
+          type: null,
+          block: Number(block),
+          arm: /^\d+$/.test(arm) ? Number(arm) : arm,
+          hits: taken === '-' ? 0 : Number(taken),
+        });
+        break;
+      }
+      case 'end_of_record': {
+        const file = normalizeCoveragePath(record.file, root);
+        files.set(file, createFileCoverage(file, {
+          lineHits: record.lineHits,
+          branches: record.branches,
+          functions: [...record.functions.values()],
+        }));
+        record = null;
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return files;
+}
+
+/**
+ * coverage-summary.json: ready-made metrics per file, without the hits
+ * behind them.
+ */
+function readCoverageSummary(data, root) {
+  const files = new Map();
+
+  Object.entries(data).forEach(([key, entry]) => {
+    if (key === 'total') return;
+
+    const file = normalizeCoveragePath(key, root);
+    const metrics = Object.fromEntries(METRICS.map(metric => {
+      const value = entry[metric];
+      return [metric, value ? createMetric(value.covered, value.total) : null];
+    }));
+    files.set(file, { file, ...metrics, detail: null });
+  });
+
+  return files;
+}
+
+/**
+ * Project totals summed over every file in the report.
+ */
+function sumCoverage(files) {
+  return Object.fromEntries(METRICS.map(metric => {
+    const values = [...files.values()].map(file => file[metric]).filter(Boolean);
+    if (values.length === 0) return [metric, null];
+    return [metric, createMetric(
+      values.reduce((sum, value) => sum + value.covered, 0),
+      values.reduce((sum, value) => sum + value.total, 0),
+    )];
+  }));
+}
+
+/**
+ * Runs of uncovered lines as { start, end }. Lines the report does not
+ * track (blank lines, comments, closing braces) don't break a run.
+ */
+function collectUncoveredLines(lineHits) {
+  const ranges = [];
+  let current = null;
+
+  [...lineHits.entries()].sort(([a], [b]) => a - b).forEach(([line, hits]) => {
+    if (hits > 0) {
+      current = null;
+    } else if (current) {
+      current.end = line;
+    } else {
+      current = { start: line, end: line };
+      ranges.push(current);
+    }
+  });
+
+  return ranges;
+}
+
+function formatLineRanges(ranges) {
+  return ranges.map(({ start, end }) => (start === end ? `${start}` : `${start}-${end}`)).join(', ');
+}
+
+/**
+ * Which arm of a branch was not taken, in the terms of Istanbul's branch
+ * types. lcov only numbers the arms.
+ */
+function describeBranchArm(branch) {
+  switch (branch.type) {
+    case 'if':
+      return branch.arm === 0 ? 'if path' : 'else path';
+    case 'cond-expr':
+      return branch.arm === 0 ? 'true arm of ?:' : 'false arm of ?:';
+    case 'binary-expr':
+    case 'logical-assignment':
+      return `operand ${branch.arm + 1} of the logical expression`;
+    case 'switch':
+      return `case ${branch.arm + 1} of switch`;
+    case 'default-arg':
+      return 'default value';
+    default:
+      return branch.block === undefined ? `arm ${branch.arm}` : `arm ${branch.arm} of block ${branch.block}`;
+  }
+}
+
+/**
+ * Parses a --thresholds list such as `branches=60,hooks=90,hooks.branches=80`
+ * into [{ type, metric, value }]. A metric alone applies to the whole
+ * project, a file type alone to its line coverage.
+ */
+function parseThresholds(list) {
+  return list.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const match = entry.match(/^(?:(\w+)\.)?(\w+)=(\d+(?:\.\d+)?)$/);
+    if (!match) {
+      throw new Error(`Invalid threshold "${entry}": use <metric>=<n>, <type>=<n> or <type>.<metric>=<n>`);
+    }
+
+    const [, prefix, key, value] = match;
+    let type = prefix || null;
+    let metric = key;
+    if (!prefix && FILE_TYPES.includes(key)) {
+      type = key;
+      metric = 'lines';
+    }
+    if (type && !FILE_TYPES.includes(type)) {
+      throw new Error(`Unknown file type "${type}" in threshold "${entry}" (expected one of: ${FILE_TYPES.join(', ')})`);
+    }
+    if (!METRICS.includes(metric)) {
+      const expected = prefix ? METRICS : [...METRICS, ...FILE_TYPES];
+      throw new Error(`Unknown ${prefix ? 'metric' : 'metric or file type'} "${metric}" in threshold "${entry}" (expected one of: ${expected.join(', ')})`);
+    }
+    return { type, metric, value: Number(value) };
+  });
+}
+
+/**
+ * Added and changed lines per file from a `git diff --unified=0`, keyed by
+ * the path relative to the repository root. Deleted files are left out.
+ */
+function parseDiffLines(diff) {
+  const changed = new Map();
+  let lines = null;
+
+  diff.split('\n').forEach(line => {
+    if (line.startsWith('+++ ')) {
+      let file = line.slice(4).replace(/\t.*$/, '');
+      // Unusual characters make git quote the path, C-style
+      if (file.startsWith('"')) file = unquoteGitPath(file);
+      lines = file === '/dev/null' ? null : [];
+      if (lines) changed.set(file.replace(/^b\//, ''), lines);
+      return;
+    }
+
+    const hunk = lines && line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+    if (hunk) {
+      const start = Number(hunk[1]);
+      const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+      for (let i = 0; i < count; i++) lines.push(start + i);
+    }
+  });
+
+  return changed;
+}
+
+/**
+ * A path git quoted C-style, such as "caf\303\251.tsx" or "a\"b.tsx",
+ * decoded. Octal escapes are the bytes of UTF-8 characters.
+ */
+function unquoteGitPath(quoted) {
+  const escapes = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13 };
+  const bytes = [];
+  for (let i = 1; i < quoted.length - 1; i++) {
+    if (quoted[i] !== '\\') {
+      bytes.push(...Buffer.from(quoted[i]));
+    } else if (/^[0-7]{3}$/.test(quoted.slice(i + 1, i + 4))) {
+      bytes.push(parseInt(quoted.slice(i + 1, i + 4), 8));
+      i += 3;
+    } else {
+      i += 1;
+      bytes.push(...(quoted[i] in escapes ? [escapes[quoted[i]]] : Buffer.from(quoted[i])));
+    }
+  }
+  return Buffer.from(bytes).toString('utf-8');
+}
+
+/**
+ * Reads a coverage report into { format, path, files, total }, where
+ * `files` maps each normalized absolute path to its file coverage.
+ */
+function readCoverageReport(reportPath, format, root) {
+  let files;
+  try {
+    const content = fs.readFileSync(reportPath, 'utf-8');
+    if (format === 'lcov') {
+      files = readLcovCoverage(content, root);
+    } else if (format === 'final') {
+      files = readIstanbulCoverage(JSON.parse(content), root);
+    } else {
+      files = readCoverageSummary(JSON.parse(content), root);
+    }
+  } catch (error) {
+    throw new Error(`Could not read coverage report ${reportPath}: ${error.message}`);
+  }
+
+  return { format, path: reportPath, files, total: sumCoverage(files) };
+}
 
 class CoverageAnalyzer {
   constructor(projectPath, options = {}) {
@@ -27,13 +419,32 @@ class CoverageAnalyzer {
       verbose: false,
       json: false,
       focus: null,
+      generate: false,
+      limit: null,
+      dryRun: false,
+      diff: null,
+      patchThreshold: null,
+      thresholds: [],
+      failOn: null,
+      history: HISTORY_FILE,
+      record: false,
+      ratchet: false,
+      tolerance: 0,
+      trend: null,
       ...options,
     };
+    this.sourceLines = new Map();
     this.results = {
       summary: {},
       files: [],
       recommendations: [],
       untested: [],
+      generated: [],
+      thresholds: [],
+      regressions: [],
+      baseline: null,
+      trend: null,
+      status: { exitCode: EXIT_CODES.success, failures: [] },
     };
   }
 
@@ -45,14 +456,36 @@ class CoverageAnalyzer {
       this.validateProject();
       this.findCoverageReport();
       this.analyzeFiles();
+      if (this.options.diff) {
+        this.analyzePatch();
+      }
+      this.evaluateThresholds();
+      if (this.options.ratchet) {
+        this.compareWithHistory();
+      }
       this.generateRecommendations();
+      if (this.options.generate) {
+        this.generateScaffolds();
+      }
+      if (this.options.record) {
+        this.recordHistory();
+      }
+      if (this.options.trend) {
+        this.results.trend = this.loadHistory().runs.slice(-this.options.trend);
+      }
+      this.evaluateGates();
       this.outputResults();
 
-      console.log('\n✅ Analysis completed!');
+      const { exitCode, failures } = this.results.status;
+      if (exitCode === EXIT_CODES.success) {
+        console.log('\n✅ Analysis completed!');
+      } else {
+        console.log(`\n❌ Analysis completed with ${failures.length} failure(s) (exit code ${exitCode})`);
+      }
       return this.results;
     } catch (error) {
       console.error(`❌ Error: ${error.message}`);
-      process.exit(1);
+      process.exit(EXIT_CODES.error);
     }
   }
 
@@ -66,26 +499,32 @@ class CoverageAnalyzer {
       throw new Error('Not a valid npm project (missing package.json)');
     }
 
+    if (this.options.failOn && !SEVERITIES.includes(this.options.failOn)) {
+      throw new Error(`Invalid --fail-on "${this.options.failOn}" (expected one of: ${SEVERITIES.join(', ')})`);
+    }
+
     if (this.options.verbose) {
       console.log(`📁 Project: ${this.projectPath}`);
     }
   }
 
   findCoverageReport() {
-    const coveragePaths = [
-      path.join(this.projectPath, 'coverage', 'coverage-summary.json'),
-      path.join(this.projectPath, 'coverage', 'lcov-report', 'index.html'),
-      path.join(this.projectPath, 'coverage', 'coverage-final.json'),
-    ];
-
-    this.coveragePath = coveragePaths.find(p => fs.existsSync(p));
-
-    if (this.coveragePath && this.coveragePath.endsWith('.json')) {
-      this.coverageData = JSON.parse(fs.readFileSync(this.coveragePath, 'utf-8'));
-      console.log(`📈 Found coverage report: ${this.coveragePath}`);
+    const coverageDir = path.join(this.projectPath, 'coverage');
+    const report = COVERAGE_REPORTS
+      .map(([file, format]) => ({ path: path.join(coverageDir, file), format }))
+      .find(candidate => fs.existsSync(candidate.path));
+
+    this.coverage = null;
+    if (report) {
+      this.coverage = readCoverageReport(report.path, report.format, this.projectPath);
+      console.log(`📈 Found coverage report: ${report.path}`);
+      if (this.options.verbose) {
+        console.log(`  ${this.coverage.files.size} file(s) in ${report.format} format`);
+      }
+    } else if (fs.existsSync(path.join(coverageDir, 'lcov-report', 'index.html'))) {
+      console.log('⚠️  Only an HTML coverage report found. Add "json" or "lcov" to coverageReporters and run: npm test -- --coverage');
     } else {
       console.log('⚠️  No coverage report found. Run: npm test -- --coverage');
-      this.coverageData = null;
     }
   }
 
@@ -112,6 +551,7 @@ class CoverageAnalyzer {
         hasTest: !!testFile,
         testFile: testFile ? path.relative(this.projectPath, testFile) : null,
         coverage: coverage,
+        uncovered: this.getUncovered(relativePath),
         type: this.classifyFile(file),
         complexity: this.estimateComplexity(file),
         priority: 'low',
@@ -133,15 +573,18 @@ class CoverageAnalyzer {
       return priorityOrder[a.priority] - priorityOrder[b.priority];
     });
 
-    // Calculate summary
+    // Calculate summary (the estimate without a report needs the file counts)
     this.results.summary = {
       totalFiles: sourceFiles.length,
       testedFiles: sourceFiles.length - this.results.untested.length,
       untestedFiles: this.results.untested.length,
-      coveragePercentage: this.calculateOverallCoverage(),
-      threshold: this.options.threshold,
-      meetingThreshold: this.calculateOverallCoverage() >= this.options.threshold,
     };
+    const coveragePercentage = this.calculateOverallCoverage();
+    Object.assign(this.results.summary, {
+      coveragePercentage,
+      threshold: this.options.threshold,
+      meetingThreshold: coveragePercentage >= this.options.threshold,
+    });
 
     if (this.options.verbose) {
       console.log(`\n📋 Summary:`);
@@ -163,17 +606,7 @@ class CoverageAnalyzer {
           this.findSourceFiles(fullPath, files);
         }
       } else if (entry.isFile()) {
-        const ext = path.extname(entry.name);
-        const name = entry.name;
-
-        // Skip test files and type definitions
-        if (
-          ['.tsx', '.ts', '.jsx', '.js'].includes(ext) &&
-          !name.includes('.test.') &&
-          !name.includes('.spec.') &&
-          !name.includes('.d.ts') &&
-          !name.includes('.stories.')
-        ) {
+        if (this.isSourceFile(entry.name)) {
           // Apply focus filter if set
           if (this.options.focus) {
             const type = this.classifyFile(fullPath);
@@ -190,6 +623,19 @@ class CoverageAnalyzer {
     return files;
   }
 
+  /**
+   * Source files, as opposed to tests, type definitions and stories.
+   */
+  isSourceFile(name) {
+    return (
+      ['.tsx', '.ts', '.jsx', '.js'].includes(path.extname(name)) &&
+      !name.includes('.test.') &&
+      !name.includes('.spec.') &&
+      !name.includes('.d.ts') &&
+      !name.includes('.stories.')
+    );
+  }
+
   findTestFiles(dir, files = []) {
     const entries = fs.readdirSync(dir, { withFileTypes: true });
 
@@ -296,43 +742,428 @@ class CoverageAnalyzer {
     }
   }
 
+  /**
+   * Coverage percentages for a source file, matched to the report by
+   * normalized absolute path. Statements are null for lcov reports.
+   */
   getFileCoverage(relativePath) {
-    if (!this.coverageData) return null;
+    if (!this.coverage) return null;
 
-    // Try to find coverage for this file
-    const fileCoverage = Object.keys(this.coverageData).find(key =>
-      key.includes(relativePath) || relativePath.includes(key.replace(/^\.\//, ''))
-    );
+    const fileCoverage = this.coverage.files.get(normalizeCoveragePath(relativePath, this.projectPath));
+    if (!fileCoverage) return null;
+
+    return Object.fromEntries(METRICS.map(metric => [
+      metric,
+      fileCoverage[metric] ? fileCoverage[metric].pct : null,
+    ]));
+  }
 
-    if (fileCoverage && this.coverageData[fileCoverage]) {
-      const data = this.coverageData[fileCoverage];
+  /**
+   * Uncovered line ranges, untaken branch arms and uncalled functions of a
+   * source file, or null when the report has no per-line data (summaries).
+   * Columns are 1-based, and null for lcov.
+   */
+  getUncovered(relativePath) {
+    if (!this.coverage) return null;
+
+    const fileCoverage = this.coverage.files.get(normalizeCoveragePath(relativePath, this.projectPath));
+    if (!fileCoverage || !fileCoverage.detail) return null;
+
+    const { lineHits, branches, functions } = fileCoverage.detail;
+    const toColumn = column => (typeof column === 'number' ? column + 1 : null);
+
+    return {
+      lines: collectUncoveredLines(lineHits),
+      branches: branches
+        .filter(branch => branch.hits === 0)
+        .sort((a, b) => a.line - b.line)
+        .map(branch => ({
+          line: branch.line,
+          column: toColumn(branch.column),
+          type: branch.type,
+          arm: branch.arm,
+          description: describeBranchArm(branch),
+        })),
+      functions: functions
+        .filter(fn => fn.hits === 0)
+        .sort((a, b) => a.line - b.line)
+        .map(fn => ({ name: fn.name, line: fn.line, column: toColumn(fn.column) })),
+    };
+  }
 
-      if (data.lines) {
-        return {
-          lines: data.lines.pct || 0,
-          branches: data.branches?.pct || 0,
-          functions: data.functions?.pct || 0,
-          statements: data.statements?.pct || 0,
-        };
+  /**
+   * Numbered source lines `start` to `end` of a file, at most `limit` of
+   * them, with a caret under `column` when one is given.
+   */
+  getExcerpt(relativePath, { start, end = start, column = null, limit = 3 }) {
+    if (!this.sourceLines.has(relativePath)) {
+      const source = fs.readFileSync(path.join(this.projectPath, relativePath), 'utf-8');
+      this.sourceLines.set(relativePath, source.split(/\r?\n/));
+    }
+    const lines = this.sourceLines.get(relativePath);
+    const width = String(end).length;
+
+    const excerpt = [];
+    for (let line = start; line <= Math.min(end, start + limit - 1, lines.length); line++) {
+      excerpt.push(`${String(line).padStart(width)} | ${lines[line - 1]}`.trimEnd());
+      if (column && line === start) {
+        excerpt.push(`${' '.repeat(width)} | ${' '.repeat(column - 1)}^`);
+      }
+    }
+    if (end - start + 1 > limit) {
+      excerpt.push(`${' '.repeat(width)} | ... ${end - start + 1 - limit} more line(s)`);
+    }
+    return excerpt;
+  }
+
+  /**
+   * The uncovered code of a file entry as report lines: each line range,
+   * branch arm and function with a short source excerpt. `maxItems` caps
+   * how many are listed.
+   */
+  formatUncovered(entry, { maxItems = Infinity, excerptLines = 3 } = {}) {
+    const { lines, branches, functions } = entry.uncovered;
+    const items = [
+      ...lines.map(range => ({
+        line: range.start,
+        title: range.start === range.end ? `line ${range.start} not run` : `lines ${range.start}-${range.end} not run`,
+        excerpt: { start: range.start, end: range.end },
+      })),
+      ...branches.map(branch => ({
+        line: branch.line,
+        title: `branch not taken: ${branch.description} (line ${branch.line}${branch.column ? `:${branch.column}` : ''})`,
+        excerpt: { start: branch.line, column: branch.column, limit: 1 },
+      })),
+      ...functions.map(fn => ({
+        line: fn.line,
+        title: `function never called: ${fn.name} (line ${fn.line})`,
+        excerpt: { start: fn.line, limit: 1 },
+      })),
+    ].sort((a, b) => a.line - b.line);
+
+    const output = [];
+    items.slice(0, maxItems).forEach(item => {
+      output.push(item.title);
+      try {
+        this.getExcerpt(entry.file, { limit: excerptLines, ...item.excerpt })
+          .forEach(line => output.push(`    ${line}`));
+      } catch {
+        // Source moved since the report was written: titles only
       }
+    });
+    if (items.length > maxItems) {
+      output.push(`... and ${items.length - maxItems} more`);
+    }
+    return output;
+  }
+
+  /**
+   * Runs git in the project directory and returns its output.
+   */
+  git(...args) {
+    try {
+      return execFileSync('git', args, {
+        cwd: this.projectPath,
+        encoding: 'utf-8',
+        maxBuffer: 64 * 1024 * 1024,
+        stdio: ['ignore', 'pipe', 'pipe'],
+      });
+    } catch (error) {
+      const command = args[0] === '-c' ? args[2] : args[0];
+      throw new Error(`git ${command} failed: ${(error.stderr || error.message).trim()}`);
+    }
+  }
+
+  /**
+   * Added and changed lines since the merge base of `baseRef` and HEAD,
+   * including uncommitted changes, keyed by absolute path. Every line of
+   * an untracked source file counts as added.
+   */
+  readChangedLines(baseRef) {
+    const root = this.git('rev-parse', '--show-toplevel').trim();
+    const mergeBase = this.git('merge-base', baseRef, 'HEAD').trim();
+    // Non-ASCII paths come through as they are rather than octal-escaped
+    const diff = this.git('-c', 'core.quotePath=false', 'diff', '--unified=0', '--no-color', '--no-ext-diff', '--src-prefix=a/', '--dst-prefix=b/', mergeBase);
+    const changed = new Map([...parseDiffLines(diff)].map(([file, lines]) => [path.join(root, file), lines]));
+
+    this.git('ls-files', '--others', '--exclude-standard', '--full-name', '-z')
+      .split('\0')
+      .filter(file => file && this.isSourceFile(path.basename(file)))
+      .forEach(file => {
+        const filePath = path.join(root, file);
+        const content = fs.readFileSync(filePath, 'utf-8');
+        const count = content.split('\n').length - (content.endsWith('\n') ? 1 : 0);
+        changed.set(filePath, Array.from({ length: count }, (_, index) => index + 1));
+      });
+
+    return changed;
+  }
+
+  /**
+   * Coverage of the source lines changed since --diff's base ref, and the
+   * changed source files that have no test.
+   */
+  analyzePatch() {
+    console.log(`\n🩹 Analyzing changes since ${this.options.diff}...`);
+
+    const hasLineData = this.coverage && this.coverage.format !== 'summary';
+    if (!hasLineData) {
+      console.log('⚠️  Patch coverage needs coverage-final.json or lcov.info. Add "json" or "lcov" to coverageReporters.');
     }
 
-    return null;
+    const files = [];
+    this.readChangedLines(this.options.diff).forEach((changedLines, file) => {
+      const relativePath = path.relative(this.projectPath, file);
+      if (changedLines.length === 0 || relativePath.startsWith('..') || relativePath.split(path.sep).includes('node_modules')) return;
+      if (!this.isSourceFile(path.basename(file)) || !fs.existsSync(file)) return;
+
+      // Tests sit next to the file or in its __tests__ directory
+      const dir = path.dirname(file);
+      const testFiles = [dir, path.join(dir, '__tests__')]
+        .filter(candidate => fs.existsSync(candidate))
+        .flatMap(candidate => fs.readdirSync(candidate).map(name => path.join(candidate, name)))
+        .filter(candidate => /\.(test|spec)\./.test(path.basename(candidate)));
+      const testFile = this.findMatchingTest(file, testFiles);
+
+      const fileCoverage = hasLineData ? this.coverage.files.get(normalizeCoveragePath(file, this.projectPath)) : null;
+      let lines = null;
+      let uncovered = [];
+      if (fileCoverage) {
+        const { lineHits } = fileCoverage.detail;
+        const changed = new Set(changedLines);
+        const instrumented = changedLines.filter(line => lineHits.has(line));
+        lines = countHits(instrumented.map(line => lineHits.get(line)));
+        // Unchanged lines count as covered so ranges stay within the change
+        uncovered = collectUncoveredLines(new Map([...lineHits].map(([line, hits]) => [line, changed.has(line) ? hits : 1])));
+      }
+
+      files.push({
+        file: relativePath,
+        changedLines: changedLines.length,
+        inReport: !!fileCoverage,
+        lines,
+        uncovered,
+        hasTest: !!testFile,
+        testFile: testFile ? path.relative(this.projectPath, testFile) : null,
+      });
+    });
+
+    const measured = files.filter(f => f.lines);
+    const lines = hasLineData
+      ? createMetric(
+        measured.reduce((sum, f) => sum + f.lines.covered, 0),
+        measured.reduce((sum, f) => sum + f.lines.total, 0),
+      )
+      : null;
+    const threshold = this.options.patchThreshold;
+
+    this.results.patch = {
+      base: this.options.diff,
+      files,
+      lines,
+      threshold,
+      meetingThreshold: threshold === null || (!!lines && lines.pct >= threshold),
+    };
   }
 
   calculateOverallCoverage() {
-    if (!this.coverageData) {
+    if (!this.coverage) {
       // Estimate based on test presence
       if (this.results.summary.totalFiles === 0) return 0;
       return (this.results.summary.testedFiles / this.results.summary.totalFiles) * 100;
     }
 
-    const total = this.coverageData.total;
-    if (total && total.lines) {
-      return total.lines.pct || 0;
+    const total = this.coverage.total.lines;
+    return total ? total.pct : 0;
+  }
+
+  /**
+   * Checks overall line coverage against --threshold, then each --thresholds
+   * entry against the project totals or the summed coverage of one file
+   * type. Checks the report has no numbers for (statements in lcov, any
+   * metric without a report) are marked skipped rather than failed, as is
+   * the overall check when its number is estimated without a report.
+   */
+  evaluateThresholds() {
+    const checks = [{
+      type: null,
+      metric: 'lines',
+      threshold: this.options.threshold,
+      actual: this.results.summary.coveragePercentage,
+      estimated: !this.coverage,
+    }];
+
+    this.options.thresholds.forEach(({ type, metric, value }) => {
+      let actual = null;
+      if (this.coverage && !type) {
+        actual = this.coverage.total[metric] ? this.coverage.total[metric].pct : null;
+      } else if (this.coverage) {
+        const typeCoverage = this.getTypeCoverage(type)[metric];
+        actual = typeCoverage ? typeCoverage.pct : null;
+      }
+      checks.push({ type, metric, threshold: value, actual });
+    });
+
+    this.results.thresholds = checks.map(check => ({
+      ...check,
+      skipped: check.actual === null || !!check.estimated,
+      passed: check.actual === null || !!check.estimated || check.actual >= check.threshold,
+    }));
+  }
+
+  /**
+   * Coverage summed over the analyzed files of one type, with a null metric
+   * when none of them has numbers for it.
+   */
+  getTypeCoverage(type) {
+    const files = this.results.files
+      .filter(f => f.type === type)
+      .map(f => this.coverage.files.get(normalizeCoveragePath(f.file, this.projectPath)))
+      .filter(Boolean);
+    return sumCoverage(new Map(files.map(fileCoverage => [fileCoverage.file, fileCoverage])));
+  }
+
+  loadHistory() {
+    const historyPath = path.resolve(this.projectPath, this.options.history);
+    if (!fs.existsSync(historyPath)) {
+      return { version: HISTORY_VERSION, runs: [] };
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(historyPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Could not read coverage history ${historyPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * This run as a history entry: the commit it measured (null outside git),
+   * when, and the coverage percentages overall, per file type and per file.
+   */
+  createHistoryEntry() {
+    let commit = null;
+    let dirty = false;
+    try {
+      commit = this.git('rev-parse', 'HEAD').trim();
+      dirty = this.git('status', '--porcelain', '--untracked-files=no').trim() !== '';
+    } catch {
+      // Not a git repository, or no commits yet
+    }
+
+    const percentages = metrics => Object.fromEntries(METRICS.map(metric => [
+      metric,
+      metrics[metric] ? Math.round(metrics[metric].pct * 100) / 100 : null,
+    ]));
+    const types = [...new Set(this.results.files.map(f => f.type))].sort();
+
+    return {
+      commit,
+      dirty,
+      date: new Date().toISOString(),
+      summary: percentages(this.coverage.total),
+      types: Object.fromEntries(types.map(type => [type, percentages(this.getTypeCoverage(type))])),
+      files: Object.fromEntries(this.results.files
+        .filter(f => f.coverage)
+        .map(f => [f.file.split(path.sep).join('/'), percentages(this.coverage.files.get(normalizeCoveragePath(f.file, this.projectPath)))])),
+    };
+  }
+
+  /**
+   * Compares each file, and the project, with the last recorded run of
+   * another commit. A metric that drops by more than --tolerance
+   * percentage points is a regression.
+   */
+  compareWithHistory() {
+    if (!this.coverage) {
+      console.log('⚠️  --ratchet needs a coverage report; skipped');
+      return;
+    }
+
+    const current = this.createHistoryEntry();
+    const runs = this.loadHistory().runs;
+    const baseline = [...runs].reverse().find(run => !current.commit || run.commit !== current.commit);
+    if (!baseline) {
+      console.log('⚠️  No earlier run in the coverage history to compare with; record one with --record');
+      return;
+    }
+
+    const regressions = [];
+    const compare = (file, before, after) => {
+      METRICS.forEach(metric => {
+        if (typeof before[metric] !== 'number' || typeof after[metric] !== 'number') return;
+        const drop = before[metric] - after[metric];
+        if (drop > this.options.tolerance) {
+          regressions.push({ file, metric, baseline: before[metric], current: after[metric], drop });
+        }
+      });
+    };
+
+    compare(null, baseline.summary, current.summary);
+    Object.entries(current.files).forEach(([file, after]) => {
+      if (baseline.files[file]) compare(file, baseline.files[file], after);
+    });
+
+    this.results.baseline = { commit: baseline.commit, date: baseline.date };
+    this.results.regressions = regressions.sort((a, b) => b.drop - a.drop);
+  }
+
+  /**
+   * Appends this run to the history file, replacing an earlier run of the
+   * same commit. A run that fails --ratchet is not recorded, so the
+   * baseline only moves up.
+   */
+  recordHistory() {
+    if (!this.coverage) {
+      console.log('⚠️  --record needs a coverage report; nothing recorded');
+      return;
+    }
+    if (this.results.regressions.length > 0) {
+      console.log('⚠️  Coverage regressed; this run was not recorded');
+      return;
+    }
+
+    const historyPath = path.resolve(this.projectPath, this.options.history);
+    const history = this.loadHistory();
+    const entry = this.createHistoryEntry();
+    const runs = history.runs.filter(run => !entry.commit || run.commit !== entry.commit);
+    runs.push(entry);
+
+    fs.writeFileSync(historyPath, `${JSON.stringify({ version: HISTORY_VERSION, runs }, null, 2)}\n`);
+    console.log(`🗂️  Recorded run ${entry.commit ? entry.commit.slice(0, 7) : '(no commit)'} in ${path.relative(process.cwd(), historyPath)}`);
+  }
+
+  /**
+   * Sets the run's exit code: findings at or above --fail-on take
+   * precedence over missed thresholds. Regressions are gated by --ratchet
+   * alone, so their recommendation never counts as a finding.
+   */
+  evaluateGates() {
+    const severities = this.options.failOn ? SEVERITIES.slice(0, SEVERITIES.indexOf(this.options.failOn) + 1) : [];
+    const findings = this.results.recommendations.filter(rec => severities.includes(rec.priority) && !rec.ratchet);
+    const missed = this.results.thresholds.filter(check => !check.passed);
+    const patch = this.results.patch;
+    const patchMissed = patch && !patch.meetingThreshold;
+
+    const regressions = this.results.regressions;
+
+    const failures = [
+      ...findings.map(rec => `${rec.priority} finding: ${rec.message}`),
+      ...missed.map(check => `${check.type || 'overall'} ${check.metric} coverage ${check.actual.toFixed(1)}% is below ${check.threshold}%`),
+      ...regressions.map(r => `${r.file || 'overall'} ${r.metric} coverage dropped from ${r.baseline.toFixed(1)}% to ${r.current.toFixed(1)}%`),
+    ];
+    if (patchMissed) {
+      failures.push(patch.lines
+        ? `patch coverage ${patch.lines.pct.toFixed(1)}% is below ${patch.threshold}%`
+        : 'patch coverage could not be measured');
     }
 
-    return 0;
+    let exitCode = EXIT_CODES.success;
+    if (findings.length > 0) {
+      exitCode = EXIT_CODES.findings;
+    } else if (missed.length > 0 || patchMissed || regressions.length > 0) {
+      exitCode = EXIT_CODES.belowThreshold;
+    }
+    this.results.status = { exitCode, failures };
   }
 
   calculatePriority(analysis) {
@@ -415,7 +1246,12 @@ class CoverageAnalyzer {
         priority: 'medium',
         category: 'Low Coverage',
         message: `${lowCoverage.length} file(s) below ${this.options.threshold}% coverage`,
-        files: lowCoverage.map(f => `${f.file} (${f.coverage.lines.toFixed(1)}%)`),
+        files: lowCoverage.map(f => {
+          const ranges = f.uncovered && f.uncovered.lines.length > 0
+            ? `, uncovered lines ${formatLineRanges(f.uncovered.lines.slice(0, 5))}${f.uncovered.lines.length > 5 ? ', ...' : ''}`
+            : '';
+          return `${f.file} (${f.coverage.lines.toFixed(1)}%${ranges})`;
+        }),
         action: 'Add more test cases to improve coverage',
       });
     }
@@ -430,19 +1266,74 @@ class CoverageAnalyzer {
       });
     }
 
+    // Missed per-metric and per-type thresholds
+    this.results.thresholds.slice(1).filter(check => !check.passed).forEach(check => {
+      recommendations.push({
+        priority: 'medium',
+        category: `${check.type ? `${check.type[0].toUpperCase()}${check.type.slice(1)}` : 'Overall'} ${check.metric} coverage`,
+        message: `${check.type || 'Project'} ${check.metric} coverage (${check.actual.toFixed(1)}%) is below target (${check.threshold}%)`,
+        action: check.type
+          ? `Add tests for the least covered ${check.type} first`
+          : `Add tests for the uncovered ${check.metric} listed under Uncovered Code`,
+      });
+    });
+
+    // Coverage that dropped since the baseline run
+    if (this.results.regressions.length > 0) {
+      const commit = this.results.baseline.commit ? this.results.baseline.commit.slice(0, 7) : 'the last recorded run';
+      recommendations.push({
+        priority: 'high',
+        category: 'Coverage Regression',
+        ratchet: true,
+        message: `Coverage dropped by more than ${this.options.tolerance} point(s) since ${commit}`,
+        files: this.results.regressions.map(r =>
+          `${r.file || 'overall'} ${r.metric} ${r.baseline.toFixed(1)}% → ${r.current.toFixed(1)}%`
+        ),
+        action: 'Add tests for the changed code, or re-record the baseline if the drop is intended',
+      });
+    }
+
     // Best practices
-    if (this.results.untested.length > 0) {
+    if (this.results.untested.length > 0 && !this.options.generate) {
       recommendations.push({
         priority: 'info',
         category: 'Best Practice',
         message: 'Consider generating test scaffolds for untested files',
-        action: 'Run: node component-test-generator.js <file-path>',
+        action: 'Run: node component-test-generator.js <file-path>, or re-run with --generate',
       });
     }
 
     this.results.recommendations = recommendations;
   }
 
+  /**
+   * Runs ComponentTestGenerator in-process on the critical and high priority
+   * untested files, most important first, up to --limit.
+   */
+  generateScaffolds() {
+    // Required lazily: the generator itself requires this module
+    const { BatchTestGenerator } = require('./component-test-generator');
+
+    const candidates = this.results.files.filter(f =>
+      !f.hasTest && ['critical', 'high'].includes(f.priority)
+    );
+    const selected = this.options.limit ? candidates.slice(0, this.options.limit) : candidates;
+
+    console.log(`\n🧪 Generating scaffolds for ${selected.length} of ${candidates.length} critical/high priority untested file(s)...`);
+
+    const generator = new BatchTestGenerator([], {
+      dryRun: this.options.dryRun,
+      verbose: false,
+    });
+
+    selected.forEach(f => generator.processFile(path.join(this.projectPath, f.file)));
+
+    this.results.generated = generator.results.map(result => ({
+      ...result,
+      priority: selected.find(f => path.join(this.projectPath, f.file) === path.resolve(result.file)).priority,
+    }));
+  }
+
   outputResults() {
     if (this.options.json) {
       const output = JSON.stringify(this.results, null, 2);
@@ -468,6 +1359,50 @@ class CoverageAnalyzer {
     console.log(`  Coverage: ${this.results.summary.coveragePercentage.toFixed(1)}%`);
     console.log(`  Target: ${this.results.summary.threshold}%`);
     console.log(`  Status: ${this.results.summary.meetingThreshold ? '✅ Meeting target' : '⚠️ Below target'}`);
+    if (this.results.thresholds[0].estimated) {
+      console.log('  ⏭️  Estimated from test files, so the target is not enforced without a coverage report');
+    }
+
+    if (this.results.thresholds.length > 1) {
+      console.log('\n📏 Thresholds:');
+      this.results.thresholds.forEach(check => {
+        const scope = `${check.type || 'overall'} ${check.metric}`;
+        if (check.skipped) {
+          const reason = check.estimated ? 'estimated, not enforced without a coverage report' : 'no data in this report';
+          console.log(`  ⏭️  ${scope}: ${reason} (target ${check.threshold}%)`);
+        } else {
+          console.log(`  ${check.passed ? '✅' : '❌'} ${scope}: ${check.actual.toFixed(1)}% (target ${check.threshold}%)`);
+        }
+      });
+    }
+
+    const patch = this.results.patch;
+    if (patch) {
+      console.log(`\n🩹 Patch Coverage (since ${patch.base}):`);
+      console.log(`  Changed source files: ${patch.files.length}`);
+      if (patch.lines) {
+        console.log(`  Changed lines covered: ${patch.lines.covered}/${patch.lines.total} (${patch.lines.pct.toFixed(1)}%)`);
+      }
+      if (patch.threshold !== null) {
+        console.log(`  Target: ${patch.threshold}%`);
+        console.log(`  Status: ${patch.meetingThreshold ? '✅ Meeting target' : '❌ Below target'}`);
+      }
+      patch.files.forEach(f => {
+        const problems = [];
+        if (f.uncovered.length > 0) problems.push(`uncovered ${formatLineRanges(f.uncovered)}`);
+        if (!f.inReport && patch.lines) problems.push('not in the coverage report');
+        if (!f.hasTest) problems.push('no test file');
+
+        const counts = f.lines ? [`${f.lines.covered}/${f.lines.total} changed lines covered`] : [];
+        const details = [...counts, ...problems].join(', ') || 'changed';
+        console.log(`    ${problems.length === 0 ? '✓' : '•'} ${f.file}: ${details}`);
+      });
+    }
+
+    if (this.results.trend) {
+      console.log(`\n📈 Coverage Trend (last ${this.results.trend.length} run(s)):`);
+      this.formatTrend().forEach(line => console.log(`  ${line}`));
+    }
 
     if (this.results.recommendations.length > 0) {
       console.log('\n💡 Recommendations:');
@@ -494,6 +1429,38 @@ class CoverageAnalyzer {
       });
     }
 
+    // Where the files below the threshold are missing coverage
+    const belowThreshold = this.results.files.filter(f =>
+      f.uncovered && f.coverage && f.coverage.lines < this.options.threshold
+    );
+    if (belowThreshold.length > 0) {
+      console.log('\n🎯 Uncovered Code:');
+      belowThreshold.slice(0, 5).forEach(f => {
+        console.log(`\n  ${f.file} (${f.coverage.lines.toFixed(1)}% lines)`);
+        this.formatUncovered(f, { maxItems: 5, excerptLines: 1 }).forEach(line => console.log(`     ${line}`));
+      });
+      if (belowThreshold.length > 5) {
+        console.log(`\n  ... and ${belowThreshold.length - 5} more file(s); write the full list with --output`);
+      }
+    }
+
+    if (this.options.generate) {
+      console.log(`\n🧪 Test Scaffolds${this.options.dryRun ? ' (dry-run)' : ''}:`);
+      if (this.results.generated.length === 0) {
+        console.log('     No critical or high priority untested files');
+      }
+      this.results.generated.forEach(result => {
+        const status = { generated: this.options.dryRun ? '📝' : '✅', skipped: '⏭️ ', failed: '❌' }[result.status];
+        const detail = result.status === 'generated' ? `→ ${result.output}` : `(${result.reason})`;
+        console.log(`  ${status} [${result.priority}] ${result.file} ${detail}`);
+      });
+    }
+
+    if (this.results.status.failures.length > 0) {
+      console.log(`\n🚦 Failing (exit code ${this.results.status.exitCode}):`);
+      this.results.status.failures.forEach(failure => console.log(`  • ${failure}`));
+    }
+
     console.log('\n' + '='.repeat(50));
 
     if (this.options.output) {
@@ -503,6 +1470,43 @@ class CoverageAnalyzer {
     }
   }
 
+  /**
+   * The recorded runs as a table of overall and per-type line coverage,
+   * oldest first, ending with the change over the period.
+   */
+  formatTrend() {
+    const runs = this.results.trend;
+    if (runs.length === 0) {
+      return ['No recorded runs yet; add --record to a CI job on your main branch'];
+    }
+
+    const types = [...new Set(runs.flatMap(run => Object.keys(run.types)))].sort();
+    const columns = ['lines', 'branches', 'functions', ...types];
+    const value = (run, column) => (METRICS.includes(column) ? run.summary[column] : (run.types[column] || {}).lines);
+    const format = pct => (typeof pct === 'number' ? `${pct.toFixed(1)}%` : '-');
+    const widths = columns.map(column => Math.max(column.length, 6));
+
+    const row = (cells, label) => `${label.padEnd(20)}${cells.map((cell, i) => cell.padStart(widths[i] + 2)).join('')}`;
+    const lines = [row(columns, 'Run')];
+    runs.forEach(run => {
+      const label = `${run.date.slice(0, 10)} ${run.commit ? run.commit.slice(0, 7) : '-------'}${run.dirty ? '*' : ''}`;
+      lines.push(row(columns.map(column => format(value(run, column))), label));
+    });
+
+    if (runs.length > 1) {
+      const first = runs[0];
+      const last = runs[runs.length - 1];
+      lines.push(row(columns.map(column => {
+        const before = value(first, column);
+        const after = value(last, column);
+        if (typeof before !== 'number' || typeof after !== 'number') return '-';
+        const change = after - before;
+        return `${change >= 0 ? '+' : ''}${change.toFixed(1)}`;
+      }), 'Change'));
+    }
+    return lines;
+  }
+
   formatTextReport() {
     let report = 'REACT NATIVE TEST COVERAGE REPORT\n';
     report += '='.repeat(50) + '\n\n';
@@ -513,7 +1517,73 @@ class CoverageAnalyzer {
     report += `With Tests: ${this.results.summary.testedFiles}\n`;
     report += `Without Tests: ${this.results.summary.untestedFiles}\n`;
     report += `Coverage: ${this.results.summary.coveragePercentage.toFixed(1)}%\n`;
-    report += `Target: ${this.results.summary.threshold}%\n\n`;
+    report += `Target: ${this.results.summary.threshold}%\n`;
+    report += `Exit code: ${this.results.status.exitCode}\n\n`;
+
+    if (this.results.thresholds.length > 1) {
+      report += 'THRESHOLDS\n';
+      report += '-'.repeat(30) + '\n';
+      this.results.thresholds.forEach(check => {
+        const status = check.skipped ? 'skipped' : check.passed ? 'pass' : 'FAIL';
+        const actual = check.skipped && !check.estimated
+          ? 'no data'
+          : `${check.actual.toFixed(1)}%${check.estimated ? ' estimated' : ''}`;
+        report += `  [${status}] ${check.type || 'overall'} ${check.metric}: ${actual} (target ${check.threshold}%)\n`;
+      });
+      report += '\n';
+    }
+
+    if (this.results.status.failures.length > 0) {
+      report += 'FAILURES\n';
+      report += '-'.repeat(30) + '\n';
+      this.results.status.failures.forEach(failure => {
+        report += `  ${failure}\n`;
+      });
+      report += '\n';
+    }
+
+    const patch = this.results.patch;
+    if (patch) {
+      report += `PATCH COVERAGE (since ${patch.base})\n`;
+      report += '-'.repeat(30) + '\n';
+      if (patch.lines) {
+        report += `Changed lines covered: ${patch.lines.covered}/${patch.lines.total} (${patch.lines.pct.toFixed(1)}%)\n`;
+      }
+      if (patch.threshold !== null) {
+        report += `Target: ${patch.threshold}%\n`;
+      }
+      patch.files.forEach(f => {
+        report += `\n${f.file}${f.hasTest ? '' : ' (no test file)'}${f.inReport || !patch.lines ? '' : ' (not in the coverage report)'}\n`;
+        if (f.lines) {
+          report += `  ${f.lines.covered}/${f.lines.total} changed lines covered\n`;
+        }
+        f.uncovered.forEach(range => {
+          report += `  ${range.start === range.end ? `line ${range.start}` : `lines ${range.start}-${range.end}`} not run\n`;
+          this.getExcerpt(f.file, range).forEach(line => {
+            report += `      ${line}\n`;
+          });
+        });
+      });
+      report += '\n';
+    }
+
+    if (this.results.regressions.length > 0) {
+      report += `REGRESSIONS (since ${this.results.baseline.commit || 'the last recorded run'})\n`;
+      report += '-'.repeat(30) + '\n';
+      this.results.regressions.forEach(r => {
+        report += `  ${r.file || 'overall'} ${r.metric}: ${r.baseline.toFixed(1)}% -> ${r.current.toFixed(1)}%\n`;
+      });
+      report += '\n';
+    }
+
+    if (this.results.trend) {
+      report += 'TREND\n';
+      report += '-'.repeat(30) + '\n';
+      this.formatTrend().forEach(line => {
+        report += `  ${line}\n`;
+      });
+      report += '\n';
+    }
 
     if (this.results.untested.length > 0) {
       report += 'UNTESTED FILES\n';
@@ -524,6 +1594,34 @@ class CoverageAnalyzer {
       report += '\n';
     }
 
+    if (this.results.generated.length > 0) {
+      report += 'GENERATED SCAFFOLDS\n';
+      report += '-'.repeat(30) + '\n';
+      this.results.generated.forEach(result => {
+        const detail = result.status === 'generated' ? `-> ${result.output}` : `(${result.reason})`;
+        report += `  [${result.status}] ${result.file} ${detail}\n`;
+      });
+      report += '\n';
+    }
+
+    const withUncovered = this.results.files.filter(f =>
+      f.uncovered && (f.uncovered.lines.length + f.uncovered.branches.length + f.uncovered.functions.length) > 0
+    );
+    if (withUncovered.length > 0) {
+      report += 'UNCOVERED CODE\n';
+      report += '-'.repeat(30) + '\n';
+      withUncovered.forEach(f => {
+        const metrics = ['lines', 'branches', 'functions']
+          .map(metric => `${metric} ${f.coverage[metric].toFixed(1)}%`)
+          .join(', ');
+        report += `\n${f.file} (${metrics})\n`;
+        this.formatUncovered(f).forEach(line => {
+          report += `  ${line}\n`;
+        });
+      });
+      report += '\n';
+    }
+
     report += 'RECOMMENDATIONS\n';
     report += '-'.repeat(30) + '\n';
     this.results.recommendations.forEach(rec => {
@@ -548,26 +1646,71 @@ Usage:
   node coverage-analyzer.js <project-path> [options]
 
 Options:
-  --threshold <n>     Minimum coverage threshold (default: 70)
+  --threshold <n>     Minimum line coverage threshold (default: 70)
+  --thresholds <list> Comma-separated thresholds per metric (lines, branches,
+                      functions, statements) or file type (components, hooks,
+                      screens, utils, services, contexts, other), e.g.
+                      branches=60,hooks=90,screens=60,hooks.branches=80
+  --fail-on <level>   Fail on findings of this priority or worse: critical,
+                      high or medium (default: findings don't fail the run)
   --verbose, -v       Enable verbose output
   --json              Output results as JSON
   --output, -o <path> Write report to file
   --focus <area>      Focus on: components, hooks, utils, screens
+  --generate          Generate test scaffolds for critical/high priority
+                      untested files
+  --limit <n>         Maximum number of scaffolds to generate
+  --dry-run           With --generate, list scaffolds without writing them
+  --diff <base-ref>   Report coverage of the lines changed since base-ref
+                      (merge base with HEAD, plus uncommitted changes)
+  --patch-threshold <n>
+                      Exit with code 2 when changed-line coverage is below n
+  --record            Append this run (commit, date, overall, per-type and
+                      per-file coverage) to the history file
+  --ratchet           Exit with code 2 when the project's or a file's coverage
+                      dropped since the last recorded run of another commit
+  --tolerance <n>     Percentage points coverage may drop under --ratchet
+                      (default: 0)
+  --trend [n]         Show overall and per-type coverage over the last n
+                      recorded runs (default: 10)
+  --history <path>    History file (default: .coverage-history.json)
   --help, -h          Show this help message
 
+Exit codes:
+  0  All thresholds met, and no findings at the --fail-on priority
+  1  The analysis could not run
+  2  A threshold (--threshold, --thresholds, --patch-threshold) was missed,
+     or coverage regressed under --ratchet
+  3  With --fail-on, findings at or above that priority (takes precedence
+     over 2; a --ratchet regression always exits 2)
+
 Examples:
   node coverage-analyzer.js .
   node coverage-analyzer.js ./my-app --threshold 80
   node coverage-analyzer.js . --json --output coverage-report.json
   node coverage-analyzer.js . --focus hooks --verbose
+  node coverage-analyzer.js . --generate --limit 10
+  node coverage-analyzer.js . --diff origin/main --patch-threshold 80
+  node coverage-analyzer.js . --thresholds branches=60,hooks=90 --fail-on high
+  node coverage-analyzer.js . --ratchet --tolerance 0.5 --record
+  node coverage-analyzer.js . --trend 20
 `);
     process.exit(0);
   }
 
+  const usageError = message => {
+    console.error(`❌ Error: ${message}\n   Run with --help for usage`);
+    process.exit(EXIT_CODES.error);
+  };
+
   const projectPath = args[0];
   const options = {
     verbose: args.includes('--verbose') || args.includes('-v'),
     json: args.includes('--json'),
+    generate: args.includes('--generate'),
+    dryRun: args.includes('--dry-run'),
+    record: args.includes('--record'),
+    ratchet: args.includes('--ratchet'),
   };
 
   // Parse --threshold
@@ -588,8 +1731,76 @@ Examples:
     options.focus = args[focusIndex + 1];
   }
 
+  // Parse --limit
+  const limitIndex = args.indexOf('--limit');
+  if (limitIndex !== -1 && args[limitIndex + 1]) {
+    options.limit = parseInt(args[limitIndex + 1], 10);
+  }
+
+  // Parse --diff
+  const diffIndex = args.indexOf('--diff');
+  if (diffIndex !== -1 && args[diffIndex + 1]) {
+    options.diff = args[diffIndex + 1];
+  }
+
+  // Parse --patch-threshold
+  const patchThresholdIndex = args.indexOf('--patch-threshold');
+  if (patchThresholdIndex !== -1 && args[patchThresholdIndex + 1]) {
+    options.patchThreshold = parseInt(args[patchThresholdIndex + 1], 10);
+  }
+
+  // Parse --thresholds
+  const thresholdsIndex = args.indexOf('--thresholds');
+  if (thresholdsIndex !== -1 && args[thresholdsIndex + 1]) {
+    try {
+      options.thresholds = parseThresholds(args[thresholdsIndex + 1]);
+    } catch (error) {
+      usageError(error.message);
+    }
+  }
+
+  // Parse --fail-on
+  const failOnIndex = args.indexOf('--fail-on');
+  if (failOnIndex !== -1 && args[failOnIndex + 1]) {
+    options.failOn = args[failOnIndex + 1];
+  }
+
+  // Parse --tolerance
+  const toleranceIndex = args.indexOf('--tolerance');
+  if (toleranceIndex !== -1) {
+    const tolerance = args[toleranceIndex + 1] || '';
+    if (!/^\d+(?:\.\d+)?$/.test(tolerance)) {
+      usageError(`--tolerance expects percentage points, 0 or more (got "${tolerance}")`);
+    }
+    options.tolerance = Number(tolerance);
+  }
+
+  // Parse --trend, with an optional run count
+  const trendIndex = args.indexOf('--trend');
+  if (trendIndex !== -1) {
+    const count = args[trendIndex + 1];
+    options.trend = 10;
+    if (count && !/^--?[a-z]/i.test(count)) {
+      if (!/^\d+$/.test(count) || Number(count) === 0) {
+        usageError(`--trend expects a number of runs, 1 or more (got "${count}")`);
+      }
+      options.trend = Number(count);
+    }
+  }
+
+  // Parse --history
+  const historyIndex = args.indexOf('--history');
+  if (historyIndex !== -1 && args[historyIndex + 1]) {
+    options.history = args[historyIndex + 1];
+  }
+
   const analyzer = new CoverageAnalyzer(projectPath, options);
-  analyzer.run();
+  const results = analyzer.run();
+  process.exitCode = results.status.exitCode;
 }
 
-main();
+module.exports = { CoverageAnalyzer, parseThresholds, parseDiffLines, EXIT_CODES };
+
+if (require.main === module) {
+  main();
+}
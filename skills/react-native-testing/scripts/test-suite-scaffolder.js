@@ -3,7 +3,8 @@
  * React Native Test Suite Scaffolder
  *
  * Sets up a complete testing infrastructure for React Native projects
- * including Jest configuration, test utilities, and mock setup.
+ * including Jest configuration, test utilities, and mock setup. Expo apps
+ * get the jest-expo preset, Expo module mocks and an expo-router test.
  *
  * Usage:
  *   node test-suite-scaffolder.js <project-path> [options]
@@ -13,12 +14,840 @@
  *   --with-providers  Include custom render with providers
  *   --dry-run         Preview changes without writing files
  *   --force           Overwrite existing files
+ *   --update          Add missing settings to an existing Jest config
+ *   --write-package-json  Add missing test scripts and devDependencies
+ *   --migrate-msw     Rewrite an existing MSW v1 handlers file to the v2 API
  *   --verbose, -v     Enable verbose output
  */
 
 const fs = require('fs');
 const path = require('path');
 
+const JEST_CONFIG_FILES = ['jest.config.js', 'jest.config.ts', 'jest.config.mjs', 'jest.config.cjs', 'jest.config.json'];
+
+const JEST_SETUP_FILES = ['jest-setup.ts', 'jest-setup.js', 'jest.setup.ts', 'jest.setup.js'];
+
+// Packages must match one of these to be transpiled by babel-jest
+const TRANSFORM_IGNORE_PATTERNS = {
+  reactNative: 'node_modules/(?!(react-native|@react-native|@testing-library|react-native-.*)/)',
+  expo: 'node_modules/(?!((jest-)?react-native|@react-native(-community)?)|expo(nent)?|@expo(nent)?/.*|@expo-google-fonts/.*|react-navigation|@react-navigation/.*|@unimodules/.*|unimodules|sentry-expo|native-base|react-native-svg|@testing-library)',
+};
+
+const COVERAGE_DEFAULTS = {
+  collectCoverageFrom: [
+    'src/**/*.{ts,tsx,js,jsx}',
+    '!src/**/*.d.ts',
+    '!src/**/*.test.{ts,tsx,js,jsx}',
+    '!src/**/*.spec.{ts,tsx,js,jsx}',
+    '!src/**/*.stories.{ts,tsx,js,jsx}',
+    '!src/**/index.{ts,tsx,js,jsx}',
+  ],
+  coverageThreshold: {
+    global: {
+      branches: 70,
+      functions: 70,
+      lines: 70,
+      statements: 70,
+    },
+  },
+};
+
+// Lockfiles in the order their package manager is preferred
+const LOCKFILES = [
+  ['bun.lockb', 'bun'],
+  ['bun.lock', 'bun'],
+  ['pnpm-lock.yaml', 'pnpm'],
+  ['yarn.lock', 'yarn'],
+  ['package-lock.json', 'npm'],
+];
+
+const TEST_SCRIPTS = {
+  test: 'jest',
+  'test:watch': 'jest --watch',
+  'test:coverage': 'jest --coverage',
+  'test:ci': 'jest --ci --coverage --maxWorkers=2',
+};
+
+const BABEL_CONFIG_FILES = ['babel.config.js', 'babel.config.cjs', 'babel.config.json', '.babelrc', '.babelrc.js'];
+
+// Written by jest-setup and summarised by the console reporter, relative to the project root
+const CONSOLE_REPORT_DIR = 'node_modules/.cache/jest-console';
+
+const CONSOLE_REPORTER_FILE = 'jest-console-reporter.js';
+
+const MSW_HANDLER_FILES = ['src/mocks/handlers.ts', 'src/mocks/handlers.js', 'mocks/handlers.ts', 'mocks/handlers.js'];
+
+/**
+ * Index just past the string or template literal starting at `start`.
+ */
+function skipLiteral(source, start) {
+  const quote = source[start];
+  let i = start + 1;
+  while (i < source.length) {
+    if (source[i] === '\\') {
+      i += 2;
+    } else if (source[i] === quote) {
+      return i + 1;
+    } else if (quote === '`' && source.startsWith('${', i)) {
+      i = findClosingBracket(source, i + 1) + 1 || source.length;
+    } else {
+      i++;
+    }
+  }
+  return source.length;
+}
+
+/**
+ * Index just past the comment starting at `start`, or `start` itself when
+ * no comment starts there.
+ */
+function skipComment(source, start) {
+  if (source.startsWith('//', start)) {
+    const end = source.indexOf('\n', start);
+    return end === -1 ? source.length : end;
+  }
+  if (source.startsWith('/*', start)) {
+    const end = source.indexOf('*/', start + 2);
+    return end === -1 ? source.length : end + 2;
+  }
+  return start;
+}
+
+/**
+ * Index of the bracket closing the one at `start`, skipping strings,
+ * template literals and comments. -1 when it is never closed.
+ */
+function findClosingBracket(source, start) {
+  let depth = 0;
+  let i = start;
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '"' || char === "'" || char === '`') {
+      i = skipLiteral(source, i);
+      continue;
+    }
+    if (skipComment(source, i) !== i) {
+      i = skipComment(source, i);
+      continue;
+    }
+    if ('([{'.includes(char)) depth++;
+    if (')]}'.includes(char) && --depth === 0) return i;
+    i++;
+  }
+  return -1;
+}
+
+/**
+ * Splits an argument list on its top-level commas, keeping each argument's
+ * surrounding whitespace so that joining with ',' gives the input back.
+ */
+function splitArguments(source) {
+  const args = [];
+  let start = 0;
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '"' || char === "'" || char === '`') {
+      i = skipLiteral(source, i);
+      continue;
+    }
+    if (skipComment(source, i) !== i) {
+      i = skipComment(source, i);
+      continue;
+    }
+    if ('([{'.includes(char)) {
+      const close = findClosingBracket(source, i);
+      i = close === -1 ? source.length : close + 1;
+      continue;
+    }
+    if (char === ',') {
+      args.push(source.slice(start, i));
+      start = i + 1;
+    }
+    i++;
+  }
+  args.push(source.slice(start));
+  return args;
+}
+
+/**
+ * Calls `replacer` with the argument source of every call matched by
+ * `pattern` (a global regex ending at the opening parenthesis) and splices
+ * in what it returns. Calls it returns null for are left alone.
+ */
+function replaceCalls(source, pattern, replacer) {
+  let result = source;
+  [...source.matchAll(pattern)].reverse().forEach(match => {
+    const open = match.index + match[0].length - 1;
+    const close = findClosingBracket(result, open);
+    if (close === -1) return;
+    const replacement = replacer(result.slice(open + 1, close), match);
+    if (replacement !== null) result = result.slice(0, match.index) + replacement + result.slice(close + 1);
+  });
+  return result;
+}
+
+/**
+ * A v1 res(ctx.status(), ctx.json(), ...) composition as the equivalent v2
+ * HttpResponse. Null when it uses a transformer v2 has no init option for.
+ */
+function convertMswResponse(args, ctx) {
+  const init = [];
+  const headers = [];
+  let body = null;
+
+  // Multi-line bodies move out of res( ... ) and lose one level of indent
+  const closingIndent = (args.match(/\n([ \t]*)$/) || [])[1];
+  const dedent = (value, raw) => {
+    const indent = (raw.match(/\n([ \t]*)\S/) || [])[1];
+    if (closingIndent === undefined || indent === undefined || indent.length <= closingIndent.length) return value;
+    const extra = new RegExp(`\\n[ \\t]{${indent.length - closingIndent.length}}`, 'g');
+    return value.replace(extra, '\n');
+  };
+
+  for (const raw of splitArguments(args).filter(part => part.trim())) {
+    const part = raw.trim();
+    const match = ctx && part.match(new RegExp(`^${ctx}\\.(\\w+)\\(`));
+    if (!match || findClosingBracket(part, match[0].length - 1) !== part.length - 1) return null;
+    const values = splitArguments(part.slice(match[0].length, -1))
+      .map(value => dedent(value.trim(), raw))
+      .filter(Boolean);
+
+    if (match[1] === 'status') {
+      // 200 is the HttpResponse default
+      if (values[0] !== '200' || values[1]) init.push(`status: ${values[0]}`);
+      if (values[1]) init.push(`statusText: ${values[1]}`);
+    } else if (match[1] === 'set') {
+      headers.push(values.length === 1 ? `...${values[0]}` : `${values[0]}: ${values[1]}`);
+    } else if (['json', 'text', 'xml', 'body'].includes(match[1])) {
+      body = { type: match[1], value: values.join(', ') };
+    } else {
+      return null;
+    }
+  }
+
+  if (headers.length === 1 && headers[0].startsWith('...')) init.push(`headers: ${headers[0].slice(3)}`);
+  else if (headers.length > 0) init.push(`headers: { ${headers.join(', ')} }`);
+  const options = init.length > 0 ? `{ ${init.join(', ')} }` : null;
+
+  if (!body) return options ? `new HttpResponse(null, ${options})` : 'new HttpResponse()';
+  const callee = body.type === 'body' ? 'new HttpResponse' : `HttpResponse.${body.type}`;
+  return `${callee}(${[body.value, options].filter(Boolean).join(', ')})`;
+}
+
+/**
+ * A v1 resolver, (req, res, ctx) => res(...), rewritten for v2: it takes
+ * { request, params, cookies } and returns HttpResponse instances.
+ * Resolvers using anything without a v2 equivalent (ctx.delay, res.once)
+ * are left as they are and reported in `notes`.
+ */
+function convertMswResolver(source, line, notes) {
+  const signature = source.match(/^(\s*)(async\s+)?(function\b[^(]*)?\(([^)]*)\)(\s*=>)?/);
+  if (!signature) {
+    notes.push(`line ${line}: resolver \`${source.trim()}\` is defined elsewhere`);
+    return source;
+  }
+
+  const [leading, isAsync, keyword, params, arrow] = signature.slice(1);
+  const [req, res, ctx] = params.split(',').map(param => param.trim());
+  const ref = name => `(?<![\\w$.])${name}`;
+  let needsAsync = false;
+  let body = source.slice(signature[0].length);
+
+  if (req) {
+    body = body
+      .replace(new RegExp(`${ref(req)}\\.params\\b`, 'g'), 'params')
+      .replace(new RegExp(`${ref(req)}\\.cookies\\b`, 'g'), 'cookies')
+      .replace(new RegExp(`${ref(req)}\\.url\\.`, 'g'), 'new URL(request.url).')
+      .replace(new RegExp(`${ref(req)}\\.body\\b`, 'g'), () => {
+        needsAsync = true;
+        return '(await request.json())';
+      })
+      .replace(new RegExp(`${ref(req)}\\.(json|text|formData|arrayBuffer|blob|headers|method|url)\\b`, 'g'), 'request.$1');
+  }
+
+  if (res) {
+    body = replaceCalls(body, new RegExp(`${ref(res)}\\.networkError\\(`, 'g'), () => 'HttpResponse.error()');
+    body = replaceCalls(body, new RegExp(`${ref(res)}\\(`, 'g'), args => convertMswResponse(args, ctx));
+  }
+
+  const leftovers = [req, res, ctx].filter(Boolean)
+    .flatMap(name => body.match(new RegExp(`${ref(name)}\\b(\\.\\w+)?`, 'g')) || []);
+  if (leftovers.length > 0) {
+    const uses = [...new Set(leftovers)].map(use => `\`${use}\``).join(', ');
+    notes.push(`line ${line}: resolver left as v1, migrate it by hand (uses ${uses})`);
+    return source;
+  }
+
+  const used = ['request', 'params', 'cookies'].filter(name => new RegExp(`${ref(name)}\\b`).test(body));
+  const parameter = used.length > 0 ? `{ ${used.join(', ')} }` : '';
+  return `${leading}${isAsync || (needsAsync ? 'async ' : '')}${keyword || ''}(${parameter})${arrow || ''}${body}`;
+}
+
+/**
+ * Rewrites MSW v1 handler source to the v2 API: the `rest` import and
+ * namespace become `http`/HttpResponse and each resolver is converted.
+ * Returns the new source and notes on what needs a manual update.
+ */
+function migrateMswSource(source) {
+  const notes = [];
+  let content = source.replace(/import\s*\{([^}]*)\}\s*from\s*(['"])msw\2/g, (match, names, quote) => {
+    const specifiers = names.split(',').map(name => name.trim()).filter(Boolean)
+      .flatMap(name => (name === 'rest' ? ['http', 'HttpResponse'] : [name]));
+    return `import { ${[...new Set(specifiers)].join(', ')} } from ${quote}msw${quote}`;
+  });
+
+  content = replaceCalls(content, /(?<![\w$.])rest\.(\w+)\(/g, (args, match) => {
+    const line = content.slice(0, match.index).split('\n').length;
+    const [url, resolver, ...options] = splitArguments(args);
+    if (resolver === undefined) return `http.${match[1]}(${args})`;
+    return `http.${match[1]}(${[url, convertMswResolver(resolver, line, notes), ...options].join(',')})`;
+  });
+
+  if (/(?<![\w$.])graphql\.\w+\(/.test(content)) {
+    notes.push('GraphQL handlers are not migrated: their resolvers now take { query, variables } and return HttpResponse.json({ data })');
+  }
+  if (/setupWorker/.test(content)) notes.push("setupWorker is now imported from 'msw/browser'");
+
+  return { content, notes: notes.reverse() };
+}
+
+/**
+ * A value as a single-quoted JavaScript string literal.
+ */
+function toStringLiteral(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parses JSON with comments and trailing commas, as tsconfig.json and
+ * .babelrc allow.
+ */
+function parseJsonc(source) {
+  let json = '';
+  let i = 0;
+  while (i < source.length) {
+    if (source[i] === '"') {
+      const end = skipLiteral(source, i);
+      json += source.slice(i, end);
+      i = end;
+    } else if (source.startsWith('//', i)) {
+      i = source.indexOf('\n', i) === -1 ? source.length : source.indexOf('\n', i);
+    } else if (source.startsWith('/*', i)) {
+      i = source.indexOf('*/', i) === -1 ? source.length : source.indexOf('*/', i) + 2;
+    } else {
+      json += source[i];
+      i++;
+    }
+  }
+  return JSON.parse(json.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+/**
+ * Plain data (strings, numbers, booleans, arrays, objects) as JavaScript
+ * source, one entry per line, indented to continue a line at `indent`.
+ */
+function toJsLiteral(value, indent = '') {
+  if (typeof value === 'string') return toStringLiteral(value);
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return `[\n${value.map(item => `${indent}  ${toJsLiteral(item, `${indent}  `)},`).join('\n')}\n${indent}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return '{}';
+    const key = name => (/^[A-Za-z_$][\w$]*$/.test(name) ? name : toStringLiteral(name));
+    return `{\n${entries.map(([name, item]) => `${indent}  ${key(name)}: ${toJsLiteral(item, `${indent}  `)},`).join('\n')}\n${indent}}`;
+  }
+  return String(value);
+}
+
+/**
+ * The code ranges ({ start, end }) of the entries of the array or object
+ * literal opening at `open`, without surrounding whitespace and comments.
+ */
+function getLiteralEntries(source, open) {
+  const close = findClosingBracket(source, open);
+  if (close === -1) return [];
+
+  const entries = [];
+  let offset = open + 1;
+  splitArguments(source.slice(open + 1, close)).forEach(segment => {
+    const end = offset + segment.length;
+    let start = offset;
+    let last = -1;
+    let i = offset;
+    while (i < end) {
+      if (/\s/.test(source[i])) {
+        i++;
+      } else if (skipComment(source, i) !== i) {
+        i = skipComment(source, i);
+      } else {
+        if (last === -1) start = i;
+        const next = '"\'`'.includes(source[i]) ? skipLiteral(source, i)
+          : '([{'.includes(source[i]) ? findClosingBracket(source, i) + 1
+            : i + 1;
+        last = next - 1;
+        i = next;
+      }
+    }
+    if (last !== -1) entries.push({ start, end: last + 1 });
+    offset = end + 1;
+  });
+  return entries;
+}
+
+/**
+ * The value of a string literal or an array of string literals, or
+ * undefined for anything computed.
+ */
+function readStringLiteral(code) {
+  if (/^['"]/.test(code) && skipLiteral(code, 0) === code.length) {
+    return code.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  if (code.startsWith('[') && findClosingBracket(code, 0) === code.length - 1) {
+    const items = getLiteralEntries(code, 0).map(entry => readStringLiteral(code.slice(entry.start, entry.end)));
+    return items.every(item => typeof item === 'string') ? items : undefined;
+  }
+  return undefined;
+}
+
+/**
+ * An editor for the config object exported by a jest.config.js/ts/mjs
+ * file. Edits are made in the source text, so formatting and comments
+ * around them survive.
+ */
+function createModuleConfigEditor(source) {
+  let text = source;
+
+  const findObject = () => {
+    const exported = text.match(/(?:module\.exports\s*=|export\s+default)\s*(?:defineConfig\(\s*)?([A-Za-z_$][\w$]*|\{)/);
+    if (!exported) return -1;
+    if (exported[1] === '{') return exported.index + exported[0].length - 1;
+    const declaration = text.match(new RegExp(`(?:const|let|var)\\s+${exported[1]}\\b[^=]*=\\s*\\{`));
+    return declaration ? declaration.index + declaration[0].length - 1 : -1;
+  };
+  const properties = () => {
+    const open = findObject();
+    return open === -1 ? [] : getLiteralEntries(text, open).map(entry => {
+      const key = text.slice(entry.start, entry.end).match(/^(['"]?)([\w$]+)\1\s*:\s*/);
+      return key ? { key: key[2], start: entry.start, valueStart: entry.start + key[0].length, end: entry.end } : null;
+    }).filter(Boolean);
+  };
+  const find = key => properties().find(property => property.key === key);
+  const splice = (start, end, code) => {
+    text = text.slice(0, start) + code + text.slice(end);
+  };
+
+  return {
+    supported: findObject() !== -1,
+    has: key => Boolean(find(key)),
+    read: key => {
+      const property = find(key);
+      return property && readStringLiteral(text.slice(property.valueStart, property.end));
+    },
+    add(key, value, comment) {
+      const open = findObject();
+      const close = findClosingBracket(text, open);
+      const entries = getLiteralEntries(text, open);
+      const last = entries[entries.length - 1];
+      const indent = last ? text.slice(text.lastIndexOf('\n', last.start) + 1, last.start).match(/^\s*/)[0] : '  ';
+      const code = `${comment ? `${indent}// ${comment}\n` : ''}${indent}${key}: ${toJsLiteral(value, indent)}`;
+      if (!last) {
+        splice(open + 1, close, `\n${code},\n`);
+      } else if (text[last.end] === ',' || /^\s*,/.test(text.slice(last.end, close))) {
+        // After the rest of the line, so a trailing comment stays put
+        const comma = text.indexOf(',', last.end);
+        const lineEnd = text.indexOf('\n', comma);
+        const at = lineEnd === -1 || lineEnd > close ? comma + 1 : lineEnd;
+        splice(at, at, `\n\n${code},`);
+      } else {
+        splice(last.end, last.end, `,\n\n${code}`);
+      }
+    },
+    push(key, value) {
+      const property = find(key);
+      const open = property.valueStart;
+      const items = getLiteralEntries(text, open);
+      const last = items[items.length - 1];
+      if (!last) {
+        splice(open, findClosingBracket(text, open) + 1, `[${toStringLiteral(value)}]`);
+      } else if (text.slice(open, last.start).includes('\n')) {
+        const indent = text.slice(text.lastIndexOf('\n', last.start) + 1, last.start);
+        splice(last.end, last.end, `,\n${indent}${toStringLiteral(value)}`);
+      } else {
+        splice(last.end, last.end, `, ${toStringLiteral(value)}`);
+      }
+    },
+    replaceItem(key, index, value) {
+      const item = getLiteralEntries(text, find(key).valueStart)[index];
+      const quote = text[item.start] === '"' ? '"' : "'";
+      splice(item.start, item.end, `${quote}${value.replace(/\\/g, '\\\\').split(quote).join(`\\${quote}`)}${quote}`);
+    },
+    toString: () => text,
+  };
+}
+
+/**
+ * The same editor over a JSON config: jest.config.json, or the "jest" key
+ * of package.json when `key` is given. Rewritten with the file's indent.
+ */
+function createJsonConfigEditor(source, key) {
+  const json = JSON.parse(source);
+  const config = key ? json[key] : json;
+  const indent = (source.match(/^[ \t]+(?=")/m) || ['  '])[0];
+
+  return {
+    supported: Boolean(config) && typeof config === 'object',
+    has: name => name in config,
+    read: name => {
+      const value = config[name];
+      if (typeof value === 'string') return value;
+      return Array.isArray(value) && value.every(item => typeof item === 'string') ? value : undefined;
+    },
+    add: (name, value) => {
+      config[name] = value;
+    },
+    push: (name, value) => {
+      config[name].push(value);
+    },
+    replaceItem: (name, index, value) => {
+      config[name][index] = value;
+    },
+    toString: () => `${JSON.stringify(json, null, indent)}${source.endsWith('\n') ? '\n' : ''}`,
+  };
+}
+
+/**
+ * The major and minor numbers of a version range such as '^0.74.1', or
+ * null when it has none (tags, git URLs).
+ */
+function parseVersion(range) {
+  const match = String(range || '').match(/(\d+)\.(\d+)/) || String(range || '').match(/(\d+)/);
+  return match ? { major: Number(match[1]), minor: Number(match[2] || 0) } : null;
+}
+
+/**
+ * A unified diff between two versions of a file, with three lines of
+ * context around each change. Empty when they are the same.
+ */
+function createUnifiedDiff(before, after, file) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  // Every line as kept, removed or added, with its position in each file
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ type: ' ', text: a[i], old: i++, new: j++ });
+    } else if (j >= b.length || (i < a.length && common[i + 1][j] >= common[i][j + 1])) {
+      lines.push({ type: '-', text: a[i], old: i++, new: j });
+    } else {
+      lines.push({ type: '+', text: b[j], old: i, new: j++ });
+    }
+  }
+
+  const context = 3;
+  const hunks = [];
+  lines.forEach((line, index) => {
+    if (line.type === ' ') return;
+    const hunk = hunks[hunks.length - 1];
+    if (hunk && index - hunk.end <= context * 2) hunk.end = index;
+    else hunks.push({ start: index, end: index });
+  });
+  if (hunks.length === 0) return '';
+
+  const output = [`--- a/${file}`, `+++ b/${file}`];
+  hunks.forEach(hunk => {
+    const slice = lines.slice(Math.max(0, hunk.start - context), hunk.end + context + 1);
+    const oldCount = slice.filter(line => line.type !== '+').length;
+    const newCount = slice.filter(line => line.type !== '-').length;
+    output.push(`@@ -${slice[0].old + 1},${oldCount} +${slice[0].new + 1},${newCount} @@`);
+    slice.forEach(line => output.push(`${line.type}${line.text}`));
+  });
+  return output.join('\n');
+}
+
+/**
+ * Jest mocks for native libraries, keyed by package name. The setup file
+ * gets the mock of every package the project installs: the library's own
+ * jest mock where it ships one, a hand-rolled stand-in otherwise. Each
+ * entry receives { ts, expoConfig, appName }, where ts(annotation) gives
+ * the annotation in TypeScript projects and '' otherwise.
+ */
+const NATIVE_MOCKS = {
+  '@react-native-async-storage/async-storage': () => `// Mock AsyncStorage
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);`,
+
+  '@react-native-community/netinfo': () => `// Mock NetInfo (reports a connected network)
+jest.mock('@react-native-community/netinfo', () =>
+  require('@react-native-community/netinfo/jest/netinfo-mock.js')
+);`,
+
+  '@react-navigation/native': () => `// Mock React Navigation
+jest.mock('@react-navigation/native', () => {
+  const actualNav = jest.requireActual('@react-navigation/native');
+  return {
+    ...actualNav,
+    useNavigation: () => ({
+      navigate: jest.fn(),
+      goBack: jest.fn(),
+      setOptions: jest.fn(),
+      addListener: jest.fn(),
+    }),
+    useRoute: () => ({
+      params: {},
+    }),
+    useFocusEffect: jest.fn(),
+  };
+});`,
+
+  'react-native-gesture-handler': () => `// Mock Gesture Handler
+import 'react-native-gesture-handler/jestSetup';`,
+
+  'react-native-reanimated': () => `// Mock Reanimated
+jest.mock('react-native-reanimated', () => require('react-native-reanimated/mock'));`,
+
+  'react-native-safe-area-context': ({ ts }) => `// Mock Safe Area Context
+jest.mock('react-native-safe-area-context', () => ({
+  SafeAreaProvider: ({ children }${ts(': { children: React.ReactNode }')}) => children,
+  SafeAreaView: ({ children }${ts(': { children: React.ReactNode }')}) => children,
+  useSafeAreaInsets: () => ({ top: 0, right: 0, bottom: 0, left: 0 }),
+  useSafeAreaFrame: () => ({ x: 0, y: 0, width: 375, height: 812 }),
+}));`,
+
+  'react-native-mmkv': () => `// react-native-mmkv switches to its built-in in-memory storage under Jest,
+// so it needs no mock. Clear it between tests with storage.clearAll().`,
+
+  'react-native-vector-icons': ({ ts }) => `// Mock Vector Icons: every icon family renders its icon name as text
+jest.mock('react-native-vector-icons/lib/create-icon-set', () => {
+  const React = require('react');
+  const { Text } = require('react-native');
+  const createIconSet = () => {
+    const Icon = ({ name, ...props }${ts(': { name: string }')}) => React.createElement(Text, props, name);
+    Icon.getImageSource = jest.fn(() => Promise.resolve({ uri: '' }));
+    return Icon;
+  };
+  return { __esModule: true, default: createIconSet };
+});`,
+
+  '@expo/vector-icons': ({ ts }) => `// Mock Expo Vector Icons: every icon family renders its icon name as text
+jest.mock('@expo/vector-icons/build/createIconSet', () => {
+  const React = require('react');
+  const { Text } = require('react-native');
+  const createIconSet = () => {
+    const Icon = ({ name, ...props }${ts(': { name: string }')}) => React.createElement(Text, props, name);
+    Icon.loadFont = jest.fn(() => Promise.resolve());
+    return Icon;
+  };
+  return { __esModule: true, default: createIconSet };
+});`,
+
+  'react-native-device-info': () => `// Mock Device Info
+jest.mock('react-native-device-info', () =>
+  require('react-native-device-info/jest/react-native-device-info-mock')
+);`,
+
+  'react-native-permissions': () => `// Mock Permissions (every check resolves to GRANTED)
+jest.mock('react-native-permissions', () => require('react-native-permissions/mock'));`,
+
+  'react-native-localize': () => `// Mock Localize (en-US)
+jest.mock('react-native-localize', () => require('react-native-localize/mock'));`,
+
+  '@react-native-firebase/app': () => `// Mock Firebase App
+jest.mock('@react-native-firebase/app', () => {
+  const app = { name: '[DEFAULT]', options: {} };
+  return {
+    __esModule: true,
+    default: { app: jest.fn(() => app), apps: [app] },
+    firebase: { app: jest.fn(() => app), apps: [app] },
+  };
+});`,
+
+  '@react-native-firebase/auth': ({ ts }) => `// Mock Firebase Auth (signed out; sign-in resolves with a test user)
+jest.mock('@react-native-firebase/auth', () => {
+  const user = { uid: 'test-uid', email: 'test@example.com' };
+  const auth = {
+    currentUser: null,
+    onAuthStateChanged: jest.fn((callback${ts(': (user: null) => void')}) => {
+      callback(null);
+      return jest.fn();
+    }),
+    signInWithEmailAndPassword: jest.fn(() => Promise.resolve({ user })),
+    createUserWithEmailAndPassword: jest.fn(() => Promise.resolve({ user })),
+    signInAnonymously: jest.fn(() => Promise.resolve({ user })),
+    sendPasswordResetEmail: jest.fn(() => Promise.resolve()),
+    signOut: jest.fn(() => Promise.resolve()),
+  };
+  return { __esModule: true, default: () => auth };
+});`,
+
+  '@react-native-firebase/firestore': () => `// Mock Firestore (empty collections; writes resolve)
+jest.mock('@react-native-firebase/firestore', () => {
+  const doc = {
+    get: jest.fn(() => Promise.resolve({ exists: false, data: () => undefined })),
+    set: jest.fn(() => Promise.resolve()),
+    update: jest.fn(() => Promise.resolve()),
+    delete: jest.fn(() => Promise.resolve()),
+    onSnapshot: jest.fn(() => jest.fn()),
+  };
+  const query = {
+    doc: jest.fn(() => doc),
+    add: jest.fn(() => Promise.resolve(doc)),
+    where: jest.fn(() => query),
+    orderBy: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    get: jest.fn(() => Promise.resolve({ docs: [], empty: true, size: 0 })),
+    onSnapshot: jest.fn(() => jest.fn()),
+  };
+  return { __esModule: true, default: () => ({ collection: jest.fn(() => query), doc: jest.fn(() => doc) }) };
+});`,
+
+  '@react-native-firebase/messaging': () => `// Mock Firebase Messaging
+jest.mock('@react-native-firebase/messaging', () => {
+  const messaging = {
+    getToken: jest.fn(() => Promise.resolve('test-fcm-token')),
+    requestPermission: jest.fn(() => Promise.resolve(1)),
+    hasPermission: jest.fn(() => Promise.resolve(1)),
+    onMessage: jest.fn(() => jest.fn()),
+    onTokenRefresh: jest.fn(() => jest.fn()),
+    onNotificationOpenedApp: jest.fn(() => jest.fn()),
+    getInitialNotification: jest.fn(() => Promise.resolve(null)),
+    setBackgroundMessageHandler: jest.fn(),
+  };
+  return {
+    __esModule: true,
+    default: Object.assign(() => messaging, { AuthorizationStatus: { NOT_DETERMINED: -1, DENIED: 0, AUTHORIZED: 1, PROVISIONAL: 2 } }),
+  };
+});`,
+
+  '@react-native-firebase/analytics': () => `// Mock Firebase Analytics
+jest.mock('@react-native-firebase/analytics', () => {
+  const analytics = {
+    logEvent: jest.fn(() => Promise.resolve()),
+    logScreenView: jest.fn(() => Promise.resolve()),
+    setUserId: jest.fn(() => Promise.resolve()),
+    setUserProperties: jest.fn(() => Promise.resolve()),
+  };
+  return { __esModule: true, default: () => analytics };
+});`,
+
+  '@react-native-firebase/crashlytics': () => `// Mock Firebase Crashlytics
+jest.mock('@react-native-firebase/crashlytics', () => {
+  const crashlytics = {
+    log: jest.fn(),
+    recordError: jest.fn(),
+    setUserId: jest.fn(() => Promise.resolve()),
+    setAttribute: jest.fn(() => Promise.resolve()),
+  };
+  return { __esModule: true, default: () => crashlytics };
+});`,
+
+  'react-native-vision-camera': ({ ts }) => `// Mock Vision Camera: a plain View with a back camera and granted permissions
+jest.mock('react-native-vision-camera', () => {
+  const React = require('react');
+  const { View } = require('react-native');
+  const device = { id: 'back', position: 'back', hasFlash: false, hasTorch: false };
+  const permission = { hasPermission: true, requestPermission: jest.fn(() => Promise.resolve(true)) };
+  const Camera = Object.assign((props${ts(': object')}) => React.createElement(View, props), {
+    getCameraPermissionStatus: jest.fn(() => 'granted'),
+    requestCameraPermission: jest.fn(() => Promise.resolve('granted')),
+    getMicrophonePermissionStatus: jest.fn(() => 'granted'),
+    requestMicrophonePermission: jest.fn(() => Promise.resolve('granted')),
+    getAvailableCameraDevices: jest.fn(() => [device]),
+  });
+  return {
+    Camera,
+    useCameraDevice: jest.fn(() => device),
+    useCameraDevices: jest.fn(() => [device]),
+    useCameraFormat: jest.fn(() => undefined),
+    useCameraPermission: jest.fn(() => permission),
+    useMicrophonePermission: jest.fn(() => permission),
+    useCodeScanner: jest.fn(config => config),
+    useFrameProcessor: jest.fn(),
+  };
+});`,
+
+  'expo-router': () => `// Mock Expo Router for components rendered outside a router.
+// Route tests using renderRouter() call jest.unmock('expo-router').
+jest.mock('expo-router', () => {
+  const actualRouter = jest.requireActual('expo-router');
+  const router = {
+    push: jest.fn(),
+    replace: jest.fn(),
+    navigate: jest.fn(),
+    back: jest.fn(),
+    canGoBack: jest.fn(() => true),
+    setParams: jest.fn(),
+    dismiss: jest.fn(),
+  };
+  return {
+    ...actualRouter,
+    router,
+    useRouter: () => router,
+    useLocalSearchParams: jest.fn(() => ({})),
+    useGlobalSearchParams: jest.fn(() => ({})),
+    useSegments: jest.fn(() => []),
+    usePathname: jest.fn(() => '/'),
+    useFocusEffect: jest.fn(),
+  };
+});`,
+
+  'expo-constants': ({ expoConfig, appName }) => `// Mock Expo Constants with the app.json config
+jest.mock('expo-constants', () => ({
+  __esModule: true,
+  default: {
+    appOwnership: null,
+    executionEnvironment: 'bare',
+    expoConfig: {
+      name: ${toStringLiteral((expoConfig || {}).name || appName)},
+      slug: ${toStringLiteral((expoConfig || {}).slug || (expoConfig || {}).name || appName)},
+      version: ${toStringLiteral((expoConfig || {}).version || '1.0.0')},
+      extra: ${expoConfig && expoConfig.extra ? JSON.stringify(expoConfig.extra) : '{}'},
+    },
+  },
+}));`,
+
+  'expo-font': () => `// Mock Expo Font so useFonts() reports fonts as loaded
+jest.mock('expo-font', () => ({
+  useFonts: () => [true, null],
+  loadAsync: jest.fn(() => Promise.resolve()),
+  isLoaded: jest.fn(() => true),
+  isLoading: jest.fn(() => false),
+}));`,
+
+  'expo-secure-store': ({ ts }) => `// Mock Expo Secure Store with an in-memory store
+jest.mock('expo-secure-store', () => {
+  const store = new Map${ts('<string, string>')}();
+  return {
+    getItemAsync: jest.fn((key${ts(': string')}) => Promise.resolve(store.get(key) ?? null)),
+    setItemAsync: jest.fn((key${ts(': string')}, value${ts(': string')}) => {
+      store.set(key, value);
+      return Promise.resolve();
+    }),
+    deleteItemAsync: jest.fn((key${ts(': string')}) => {
+      store.delete(key);
+      return Promise.resolve();
+    }),
+    isAvailableAsync: jest.fn(() => Promise.resolve(true)),
+  };
+});`,
+};
+
 class TestSuiteScaffolder {
   constructor(projectPath, options = {}) {
     this.projectPath = path.resolve(projectPath);
@@ -27,6 +856,9 @@ class TestSuiteScaffolder {
       withProviders: false,
       dryRun: false,
       force: false,
+      update: false,
+      writePackageJson: false,
+      migrateMsw: false,
       verbose: false,
       ...options,
     };
@@ -41,6 +873,13 @@ class TestSuiteScaffolder {
     try {
       this.validateProject();
       this.analyzeProject();
+
+      if (this.options.migrateMsw) {
+        this.migrateMswHandlers();
+        console.log('\n✅ MSW migration completed!');
+        return { success: true, files: this.files };
+      }
+
       this.prepareFiles();
       this.writeFiles();
       this.updatePackageJson();
@@ -68,13 +907,15 @@ class TestSuiteScaffolder {
 
     // Verify it's a React Native project
     const deps = { ...this.packageJson.dependencies, ...this.packageJson.devDependencies };
-    if (!deps['react-native']) {
-      throw new Error('Not a React Native project (react-native not found in dependencies)');
+    this.dependencies = deps;
+    if (!deps['react-native'] && !deps.expo) {
+      throw new Error('Not a React Native project (react-native or expo not found in dependencies)');
     }
 
     if (this.options.verbose) {
       console.log(`📁 Project: ${this.packageJson.name || this.projectPath}`);
-      console.log(`📦 React Native: ${deps['react-native']}`);
+      if (deps['react-native']) console.log(`📦 React Native: ${deps['react-native']}`);
+      if (deps.expo) console.log(`📦 Expo: ${deps.expo}`);
     }
   }
 
@@ -83,11 +924,11 @@ class TestSuiteScaffolder {
 
     // Check for existing test setup
     const existingFiles = {
-      jestConfig: this.fileExists('jest.config.js') || this.fileExists('jest.config.ts'),
-      jestSetup: this.fileExists('jest-setup.ts') || this.fileExists('jest-setup.js') ||
-                 this.fileExists('jest.setup.ts') || this.fileExists('jest.setup.js'),
+      jestConfig: JEST_CONFIG_FILES.find(file => this.fileExists(file)) ||
+                  (this.packageJson.jest ? 'package.json' : null),
+      jestSetup: JEST_SETUP_FILES.find(file => this.fileExists(file)) || null,
       testUtils: this.fileExists('src/test-utils.tsx') || this.fileExists('test-utils.tsx'),
-      mswHandlers: this.fileExists('src/mocks/handlers.ts') || this.fileExists('mocks/handlers.ts'),
+      mswHandlers: MSW_HANDLER_FILES.find(file => this.fileExists(file)) || null,
     };
 
     if (this.options.verbose) {
@@ -103,6 +944,47 @@ class TestSuiteScaffolder {
     // Detect src directory
     this.hasSrcDir = fs.existsSync(path.join(this.projectPath, 'src'));
 
+    const deps = this.dependencies;
+
+    // Detect Expo
+    this.expoConfig = this.readExpoConfig();
+    this.isExpo = Boolean(deps.expo) || Boolean(this.expoConfig) ||
+      ['app.config.js', 'app.config.ts'].some(file => this.fileExists(file));
+
+    // Native libraries that get a mock in the setup file
+    this.nativeMocks = Object.keys(NATIVE_MOCKS).filter(name => deps[name]);
+
+    if (this.options.verbose) {
+      if (this.isExpo) console.log('\n📱 Expo app');
+      console.log(`\n🧩 Native mocks: ${this.nativeMocks.length > 0 ? this.nativeMocks.join(', ') : 'none needed'}`);
+    }
+
+    // Translate tsconfig paths and babel aliases into Jest module mappers
+    this.moduleAliases = this.detectModuleAliases();
+
+    if (this.options.verbose && this.moduleAliases.mappers.length > 0) {
+      console.log(`\n🔗 Module aliases (${this.moduleAliases.sources.join(', ')}):`);
+      this.moduleAliases.mappers.forEach(([key, targets]) => console.log(`  ${key} → ${targets.join(', ')}`));
+    }
+
+    if (this.moduleAliases.warnings.length > 0) {
+      console.log('\n⚠️  Module aliases to review in the Jest config:');
+      this.moduleAliases.warnings.forEach(warning => console.log(`  • ${warning}`));
+    }
+
+    // Detect the package manager from the lockfile
+    const lockfile = LOCKFILES.find(([file]) => this.fileExists(file));
+    const declared = (this.packageJson.packageManager || '').split('@')[0];
+    this.packageManager = lockfile ? lockfile[1] : (['npm', 'yarn', 'pnpm', 'bun'].includes(declared) ? declared : 'npm');
+
+    if (this.options.verbose) {
+      console.log(`\n📦 Package manager: ${this.packageManager}${lockfile ? ` (${lockfile[0]})` : ''}`);
+    }
+
+    // Detect the MSW major version; new projects get v2
+    const mswMajor = deps.msw && deps.msw.match(/\d+/);
+    this.mswVersion = mswMajor ? Number(mswMajor[0]) : 2;
+
     this.existingFiles = existingFiles;
   }
 
@@ -110,6 +992,213 @@ class TestSuiteScaffolder {
     return fs.existsSync(path.join(this.projectPath, relativePath));
   }
 
+  /**
+   * Jest moduleNameMapper entries matching the aliases declared in
+   * tsconfig.json paths and babel's module-resolver plugin, and modulePaths
+   * for module-resolver roots. Aliases Jest cannot express are returned as
+   * warnings instead.
+   */
+  detectModuleAliases() {
+    const mappers = new Map();
+    const modulePaths = [];
+    const sources = [];
+    const warnings = [];
+
+    const toRootPath = file => {
+      const relative = path.relative(this.projectPath, file).split(path.sep).join('/');
+      return relative ? `<rootDir>/${relative}` : '<rootDir>';
+    };
+    const addMapper = (key, targets, source) => {
+      const existing = mappers.get(key);
+      if (existing && existing.targets.join() !== targets.join()) {
+        warnings.push(`${key} maps to ${existing.targets.join(', ')} in ${existing.source} but to ${targets.join(', ')} in ${source}; using ${source}`);
+      }
+      mappers.set(key, { targets, source });
+    };
+
+    // tsconfig paths resolve against baseUrl, or the tsconfig declaring them
+    if (this.fileExists('tsconfig.json')) {
+      const tsconfig = this.readTsconfig(path.join(this.projectPath, 'tsconfig.json'), warnings);
+      const baseDir = tsconfig.baseUrl || tsconfig.pathsDir;
+
+      Object.entries(tsconfig.paths || {}).forEach(([alias, targets]) => {
+        if (alias === '*') {
+          warnings.push(`tsconfig.json path "*" (${targets.join(', ')}) would remap every import`);
+          return;
+        }
+        const key = `^${alias.split('*').map(escapeRegExp).join('(.*)')}$`;
+        addMapper(key, targets.map(target => toRootPath(path.resolve(baseDir, target)).replaceAll('*', '$1')), 'tsconfig.json');
+      });
+      if (tsconfig.paths) sources.push('tsconfig.json');
+    }
+
+    // module-resolver aliases match the name itself and anything below it
+    const resolver = this.readModuleResolver(warnings);
+    if (resolver) {
+      const { file, options } = resolver;
+      const cwd = options.cwd && !['babelrc', 'packagejson'].includes(options.cwd)
+        ? path.resolve(this.projectPath, options.cwd)
+        : this.projectPath;
+
+      [].concat(options.root || []).forEach(root => {
+        if (/[*?{]/.test(root)) {
+          warnings.push(`${file} root "${root}" is a glob; list its directories in modulePaths`);
+        } else {
+          modulePaths.push(toRootPath(path.resolve(cwd, root)));
+        }
+      });
+
+      Object.entries(options.alias || {}).forEach(([alias, target]) => {
+        if (typeof target !== 'string') {
+          warnings.push(`${file} alias "${alias}" is resolved by a function`);
+          return;
+        }
+
+        const isPath = /^(\.{1,2}(\/|$)|\/)/.test(target);
+        const resolved = isPath ? toRootPath(path.resolve(cwd, target)) : target;
+
+        if (alias.startsWith('^')) {
+          // module-resolver keeps whatever follows the match; Jest needs a full match
+          const groups = new RegExp(`${alias}|`).exec('').length - 1;
+          const replacement = resolved.replace(/\\(\d)/g, '$$$1');
+          if (alias.endsWith('$')) addMapper(alias, [replacement], file);
+          else addMapper(`${alias}(.*)$`, [`${replacement}$${groups + 1}`], file);
+          return;
+        }
+
+        const name = escapeRegExp(alias);
+        addMapper(`^${name}/(.*)$`, [`${resolved}/$1`], file);
+        if (!isPath || this.isModulePath(path.resolve(cwd, target))) addMapper(`^${name}$`, [resolved], file);
+      });
+      sources.push(file);
+    }
+
+    // Jest uses the first matching mapper, so longer literal prefixes go first
+    const prefixLength = key => key.match(/^\^?((\\.|[^\\(.*+?[$])*)/)[1].length;
+    const sorted = [...mappers.entries()]
+      .map(([key, { targets }]) => [key, targets])
+      .sort((a, b) => prefixLength(b[0]) - prefixLength(a[0]));
+
+    return { mappers: sorted, modulePaths: [...new Set(modulePaths)], sources, warnings };
+  }
+
+  /**
+   * baseUrl and paths from a tsconfig file, following its `extends` chain.
+   */
+  readTsconfig(file, warnings, seen = new Set()) {
+    if (seen.has(file)) return {};
+    seen.add(file);
+
+    let config;
+    try {
+      config = parseJsonc(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+      warnings.push(`Could not parse ${path.relative(this.projectPath, file)}: ${error.message}`);
+      return {};
+    }
+
+    const dir = path.dirname(file);
+    const result = {};
+    [].concat(config.extends || []).forEach(parent => {
+      const parentFile = this.resolveTsconfig(parent, dir);
+      if (parentFile) Object.assign(result, this.readTsconfig(parentFile, warnings, seen));
+      else warnings.push(`Could not resolve tsconfig "extends": ${parent}`);
+    });
+
+    const compilerOptions = config.compilerOptions || {};
+    if (compilerOptions.baseUrl !== undefined) result.baseUrl = path.resolve(dir, compilerOptions.baseUrl);
+    if (compilerOptions.paths) {
+      result.paths = compilerOptions.paths;
+      result.pathsDir = dir;
+    }
+    return result;
+  }
+
+  resolveTsconfig(specifier, fromDir) {
+    if (/^(\.{1,2}(\/|$)|\/)/.test(specifier)) {
+      const file = path.resolve(fromDir, specifier);
+      return [file, `${file}.json`].find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+    }
+
+    for (const candidate of [specifier, `${specifier}.json`, `${specifier}/tsconfig.json`]) {
+      try {
+        return require.resolve(candidate, { paths: [fromDir] });
+      } catch (error) {
+        // Try the next form
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The options of babel's module-resolver plugin and the config file
+   * declaring it, or null when the project does not use it.
+   */
+  readModuleResolver(warnings) {
+    const file = BABEL_CONFIG_FILES.find(name => this.fileExists(name));
+    if (!file) return null;
+
+    const fullPath = path.join(this.projectPath, file);
+    let config;
+    try {
+      if (/\.c?js$/.test(file)) {
+        config = require(fullPath);
+        if (typeof config === 'function') {
+          // Enough of babel's config API for the usual api.cache()/api.env() calls
+          const cache = () => {};
+          cache.forever = cache.never = cache.using = cache.invalidate = () => {};
+          const env = value => {
+            if (value === undefined) return 'test';
+            if (typeof value === 'function') return value('test');
+            return [].concat(value).includes('test');
+          };
+          config = config({ cache, env, caller: () => undefined, assertVersion: () => {}, version: '7.0.0' });
+        }
+      } else {
+        config = parseJsonc(fs.readFileSync(fullPath, 'utf-8'));
+      }
+    } catch (error) {
+      warnings.push(`Could not load ${file}: ${error.message}`);
+      return null;
+    }
+
+    const testEnv = (config.env && config.env.test) || {};
+    const plugin = [...(config.plugins || []), ...(testEnv.plugins || [])].find(entry => {
+      const name = Array.isArray(entry) ? entry[0] : entry;
+      return name === 'module-resolver' || name === 'babel-plugin-module-resolver';
+    });
+    if (!plugin) return null;
+
+    return { file, options: (Array.isArray(plugin) && plugin[1]) || {} };
+  }
+
+  /**
+   * Whether a path is importable as-is: a source file, or a directory
+   * with an index file or package.json.
+   */
+  isModulePath(target) {
+    const extensions = ['', '.ts', '.tsx', '.js', '.jsx'];
+    if (extensions.some(ext => fs.existsSync(`${target}${ext}`) && fs.statSync(`${target}${ext}`).isFile())) return true;
+    return ['package.json', ...extensions.slice(1).map(ext => `index${ext}`)]
+      .some(name => fs.existsSync(path.join(target, name)));
+  }
+
+  /**
+   * The `expo` section of app.json, or null when there is none. Configs in
+   * app.config.js/ts are code and are not evaluated.
+   */
+  readExpoConfig() {
+    if (!this.fileExists('app.json')) return null;
+
+    try {
+      const appJson = JSON.parse(fs.readFileSync(path.join(this.projectPath, 'app.json'), 'utf-8'));
+      return appJson.expo || null;
+    } catch (error) {
+      if (this.options.verbose) console.log(`⚠️  Could not parse app.json: ${error.message}`);
+      return null;
+    }
+  }
+
   prepareFiles() {
     console.log('\n📝 Preparing test files...');
 
@@ -117,19 +1206,57 @@ class TestSuiteScaffolder {
     const extx = this.useTypeScript ? 'tsx' : 'jsx';
 
     // Jest configuration
-    if (!this.existingFiles.jestConfig || this.options.force) {
+    const jestConfig = this.existingFiles.jestConfig;
+    if (!jestConfig || this.options.force) {
       this.files.push({
         path: `jest.config.${ext}`,
         content: this.generateJestConfig(),
       });
+      if (jestConfig === 'package.json') {
+        console.log('  ⚠️  Remove the "jest" key from package.json; Jest refuses to run with two configs');
+      }
+    } else if (this.options.update) {
+      const patch = this.patchJestConfig();
+      if (patch.changes.length > 0) {
+        this.files.push({
+          path: patch.location,
+          content: patch.content,
+          diff: createUnifiedDiff(patch.source, patch.content, patch.location),
+        });
+        console.log(`  • ${patch.location}: adding ${patch.changes.join(', ')}`);
+      } else {
+        console.log(`  ✓ ${patch.location} already has the required settings`);
+      }
+      patch.notes.forEach(note => console.log(`  ⚠️  ${note}`));
+    } else {
+      console.log(`  • ${jestConfig} exists, skipped (--update adds missing settings, --force overwrites)`);
     }
 
-    // Jest setup file
-    if (!this.existingFiles.jestSetup || this.options.force) {
+    // Jest setup file, with the console allowlist it checks messages against
+    if (this.writesJestSetup()) {
       this.files.push({
-        path: `jest-setup.${ext}`,
+        path: this.getJestSetupFile(),
         content: this.generateJestSetup(),
       });
+
+      if (!this.fileExists(`jest-console.${ext}`) || this.options.force) {
+        this.files.push({
+          path: `jest-console.${ext}`,
+          content: this.generateConsoleAllowlist(),
+        });
+      }
+
+      if (!this.fileExists(CONSOLE_REPORTER_FILE) || this.options.force) {
+        this.files.push({
+          path: CONSOLE_REPORTER_FILE,
+          content: this.generateConsoleReporter(),
+        });
+      }
+    } else {
+      const setup = fs.readFileSync(path.join(this.projectPath, this.existingFiles.jestSetup), 'utf-8');
+      if (/includes\(['"](Warning:|act\(\))['"]\)/.test(setup)) {
+        console.log(`  ⚠️  ${this.existingFiles.jestSetup} hides every React warning; --force replaces it with an allowlist`);
+      }
     }
 
     // Test utilities with custom render
@@ -165,6 +1292,15 @@ class TestSuiteScaffolder {
       });
     }
 
+    // Expo Router screen test
+    const routerTestPath = this.hasSrcDir ? 'src/__tests__/router.test.tsx' : '__tests__/router.test.tsx';
+    if (this.dependencies['expo-router'] && (!this.fileExists(routerTestPath) || this.options.force)) {
+      this.files.push({
+        path: routerTestPath,
+        content: this.generateRouterTest(),
+      });
+    }
+
     if (this.options.verbose) {
       console.log('\n📄 Files to create:');
       this.files.forEach(f => console.log(`  • ${f.path}`));
@@ -174,25 +1310,24 @@ class TestSuiteScaffolder {
   generateJestConfig() {
     const isTs = this.useTypeScript;
 
-    return `${isTs ? "import type { Config } from 'jest';\n\nconst config: Config = " : 'module.exports = '}{
-  preset: 'react-native',
+    const transformIgnorePatterns = `  // ${this.getTransformComment()}
+  transformIgnorePatterns: ${toJsLiteral([this.getTransformIgnorePattern()], '  ')},`;
 
-  // Setup files run after Jest is initialized
-  setupFilesAfterEnv: ['<rootDir>/jest-setup.${isTs ? 'ts' : 'js'}'],
+    // The reporter only runs alongside the setup file this run writes
+    const reporters = this.writesJestSetup() ? `
+  // Summary of the console messages jest-setup suppressed
+  reporters: ['default', '<rootDir>/${CONSOLE_REPORTER_FILE}'],
+` : '';
 
-  // Transform configuration for React Native
-  transformIgnorePatterns: [
-    'node_modules/(?!(react-native|@react-native|@testing-library|react-native-.*)/)',
-  ],
+    return `${isTs ? "import type { Config } from 'jest';\n\nconst config: Config = " : 'module.exports = '}{
+  preset: '${this.isExpo ? 'jest-expo' : 'react-native'}',
+
+  // Setup files run after Jest is initialized
+  setupFilesAfterEnv: ['<rootDir>/${this.getJestSetupFile()}'],
+${reporters}
+${transformIgnorePatterns}
 
-  // Module path aliases (match your tsconfig paths)
-  moduleNameMapper: {
-    '^@/(.*)$': '<rootDir>/src/$1',
-    '^@components/(.*)$': '<rootDir>/src/components/$1',
-    '^@screens/(.*)$': '<rootDir>/src/screens/$1',
-    '^@hooks/(.*)$': '<rootDir>/src/hooks/$1',
-    '^@utils/(.*)$': '<rootDir>/src/utils/$1',
-  },
+${this.generateModuleMappers()}
 
   // Test file patterns
   testMatch: [
@@ -208,29 +1343,15 @@ class TestSuiteScaffolder {
   ],
 
   // Coverage configuration
-  collectCoverageFrom: [
-    'src/**/*.{ts,tsx,js,jsx}',
-    '!src/**/*.d.ts',
-    '!src/**/*.test.{ts,tsx,js,jsx}',
-    '!src/**/*.spec.{ts,tsx,js,jsx}',
-    '!src/**/*.stories.{ts,tsx,js,jsx}',
-    '!src/**/index.{ts,tsx,js,jsx}',
-  ],
+  collectCoverageFrom: ${toJsLiteral(COVERAGE_DEFAULTS.collectCoverageFrom, '  ')},
 
   // Coverage thresholds
-  coverageThreshold: {
-    global: {
-      branches: 70,
-      functions: 70,
-      lines: 70,
-      statements: 70,
-    },
-  },
+  coverageThreshold: ${toJsLiteral(COVERAGE_DEFAULTS.coverageThreshold, '  ')},
 
-  // Test environment
+${this.isExpo ? '' : `  // Test environment
   testEnvironment: 'node',
 
-  // Test timeout (ms)
+`}  // Test timeout (ms)
   testTimeout: 10000,
 
   // Clear mocks between tests
@@ -242,100 +1363,237 @@ class TestSuiteScaffolder {
 `;
   }
 
-  generateJestSetup() {
-    const isTs = this.useTypeScript;
-    let content = `// Jest setup file - runs before each test file
-import '@testing-library/react-native/extend-expect';
+  /**
+   * Whether this run writes jest-setup, with the console allowlist and
+   * reporter that go with it, instead of keeping the project's own.
+   */
+  writesJestSetup() {
+    return !this.existingFiles.jestSetup || this.options.force;
+  }
 
-`;
+  /**
+   * The setup file the Jest config points at: the one this run writes, or
+   * the project's own.
+   */
+  getJestSetupFile() {
+    return this.writesJestSetup() ? `jest-setup.${this.useTypeScript ? 'ts' : 'js'}` : this.existingFiles.jestSetup;
+  }
 
-    // Add console warning suppression
-    content += `// Suppress specific warnings during tests
-const originalWarn = console.warn;
-const originalError = console.error;
+  getTransformIgnorePattern() {
+    return this.isExpo ? TRANSFORM_IGNORE_PATTERNS.expo : TRANSFORM_IGNORE_PATTERNS.reactNative;
+  }
 
-console.warn = (...args${isTs ? ': unknown[]' : ''}) => {
-  // Suppress act() warnings if you're getting false positives
-  if (typeof args[0] === 'string' && args[0].includes('act()')) {
-    return;
+  getTransformComment() {
+    return `Transform configuration for ${this.isExpo ? 'Expo (untranspiled expo and React Native packages)' : 'React Native'}`;
   }
-  originalWarn.apply(console, args);
-};
 
-console.error = (...args${isTs ? ': unknown[]' : ''}) => {
-  // Suppress known React Native warnings
-  if (typeof args[0] === 'string' && args[0].includes('Warning:')) {
-    return;
+  /**
+   * The existing Jest config with only what this setup needs added: a
+   * preset, the setup file (and the console reporter when the setup file is
+   * generated), transformIgnorePatterns entries for installed packages that
+   * ship untranspiled code, module mappers for the project's path aliases,
+   * and coverage settings. Keys the config already sets are left alone,
+   * apart from those additions.
+   */
+  patchJestConfig() {
+    const location = this.existingFiles.jestConfig;
+    const source = fs.readFileSync(path.join(this.projectPath, location), 'utf-8');
+    const editor = location.endsWith('.json')
+      ? createJsonConfigEditor(source, location === 'package.json' ? 'jest' : null)
+      : createModuleConfigEditor(source);
+    const changes = [];
+    const notes = [];
+
+    if (!editor.supported) {
+      notes.push(`${location} does not export a config object literal; update it by hand`);
+      return { location, source, content: source, changes, notes };
+    }
+
+    if (!editor.has('preset')) {
+      editor.add('preset', this.isExpo ? 'jest-expo' : 'react-native');
+      changes.push('preset');
+    }
+
+    // The setup file, existing or about to be created
+    const setupFile = this.getJestSetupFile();
+    if (!editor.has('setupFilesAfterEnv')) {
+      editor.add('setupFilesAfterEnv', [`<rootDir>/${setupFile}`], 'Setup files run after Jest is initialized');
+      changes.push('setupFilesAfterEnv');
+    } else {
+      const setupFiles = editor.read('setupFilesAfterEnv');
+      if (!Array.isArray(setupFiles)) {
+        notes.push(`setupFilesAfterEnv is computed; add '<rootDir>/${setupFile}' by hand`);
+      } else if (!setupFiles.some(entry => entry.replace(/^(<rootDir>|\.)\//, '') === setupFile)) {
+        editor.push('setupFilesAfterEnv', `<rootDir>/${setupFile}`);
+        changes.push(`setupFilesAfterEnv += ${setupFile}`);
+      }
+    }
+
+    // The generated setup file reports suppressed console messages
+    if (this.writesJestSetup()) {
+      const reporter = `<rootDir>/${CONSOLE_REPORTER_FILE}`;
+      if (!editor.has('reporters')) {
+        editor.add('reporters', ['default', reporter], 'Summary of the console messages jest-setup suppressed');
+        changes.push('reporters');
+      } else {
+        const reporters = editor.read('reporters');
+        if (!Array.isArray(reporters)) {
+          notes.push(`reporters is computed; add '${reporter}' by hand`);
+        } else if (!reporters.some(entry => (Array.isArray(entry) ? entry[0] : entry) === reporter)) {
+          editor.push('reporters', reporter);
+          changes.push(`reporters += ${CONSOLE_REPORTER_FILE}`);
+        }
+      }
+    }
+
+    // Untranspiled packages the existing patterns would leave to node
+    if (!editor.has('transformIgnorePatterns')) {
+      editor.add('transformIgnorePatterns', [this.getTransformIgnorePattern()], this.getTransformComment());
+      changes.push('transformIgnorePatterns');
+    } else {
+      const patterns = editor.read('transformIgnorePatterns');
+      const isIgnored = (pkg, list) => list.some(pattern => new RegExp(pattern).test(`/app/node_modules/${pkg}/index.js`));
+      const packages = Object.keys(this.dependencies)
+        .filter(name => /^(react-native$|react-native-|@react-native|@react-navigation\/|expo|@expo\/)/.test(name));
+
+      if (!Array.isArray(patterns)) {
+        notes.push('transformIgnorePatterns is computed; check it lets babel-jest transform react-native packages');
+      } else if (packages.some(pkg => isIgnored(pkg, patterns))) {
+        const ignored = packages.filter(pkg => isIgnored(pkg, patterns));
+        const index = patterns.findIndex(pattern => pattern.includes('node_modules/(?!'));
+        if (index === -1) {
+          notes.push(`transformIgnorePatterns ignores ${ignored.join(', ')}; allow them through by hand`);
+        } else {
+          // Scoped packages are allowed through by their scope
+          const names = [...new Set(ignored.map(pkg => pkg.split('/')[0]))].map(escapeRegExp);
+          const pattern = patterns[index].replace(/node_modules\/\(\?!\(?/, match => `${match}${names.join('|')}|`);
+          editor.replaceItem('transformIgnorePatterns', index, pattern);
+          changes.push(`transformIgnorePatterns += ${names.join(', ')}`);
+          const patched = patterns.map((item, i) => (i === index ? pattern : item));
+          const stillIgnored = ignored.filter(pkg => isIgnored(pkg, patched));
+          if (stillIgnored.length > 0) notes.push(`transformIgnorePatterns still ignores ${stillIgnored.join(', ')}`);
+        }
+      }
+    }
+
+    // Path aliases Jest can't resolve without mappers
+    const { mappers, modulePaths, sources } = this.moduleAliases;
+    const aliasComment = `Module path aliases (from ${sources.join(' and ')})`;
+    if (mappers.length > 0 && !editor.has('moduleNameMapper')) {
+      const moduleNameMapper = Object.fromEntries(mappers.map(([key, targets]) => [key, targets.length === 1 ? targets[0] : targets]));
+      editor.add('moduleNameMapper', moduleNameMapper, aliasComment);
+      changes.push('moduleNameMapper');
+    }
+    if (modulePaths.length > 0 && !editor.has('modulePaths')) {
+      editor.add('modulePaths', modulePaths, mappers.length > 0 ? null : aliasComment);
+      changes.push('modulePaths');
+    }
+
+    Object.entries(COVERAGE_DEFAULTS).forEach(([key, value]) => {
+      if (editor.has(key)) return;
+      editor.add(key, value, key === 'coverageThreshold' ? 'Coverage thresholds' : 'Coverage configuration');
+      changes.push(key);
+    });
+
+    return { location, source, content: editor.toString(), changes, notes };
   }
-  originalError.apply(console, args);
-};
 
-`;
+  /**
+   * The moduleNameMapper (and modulePaths) section of the Jest config.
+   */
+  generateModuleMappers() {
+    const { mappers, modulePaths, sources } = this.moduleAliases;
 
-    // Add native module mocks
-    content += `// Mock native animated module
-jest.mock('react-native/Libraries/Animated/NativeAnimatedHelper');
+    if (mappers.length === 0 && modulePaths.length === 0) {
+      return `  // Module path aliases: none found in tsconfig.json paths or babel module-resolver
+  // moduleNameMapper: { '^@/(.*)$': '<rootDir>/src/$1' },`;
+    }
 
-// Mock AsyncStorage
-jest.mock('@react-native-async-storage/async-storage', () =>
-  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
-);
+    const lines = [`  // Module path aliases (from ${sources.join(' and ')})`];
+    if (mappers.length > 0) {
+      lines.push('  moduleNameMapper: {');
+      mappers.forEach(([key, targets]) => {
+        const value = targets.length === 1
+          ? toStringLiteral(targets[0])
+          : `[${targets.map(toStringLiteral).join(', ')}]`;
+        lines.push(`    ${toStringLiteral(key)}: ${value},`);
+      });
+      lines.push('  },');
+    }
+    if (modulePaths.length > 0) {
+      lines.push(`  modulePaths: [${modulePaths.map(toStringLiteral).join(', ')}],`);
+    }
+    return lines.join('\n');
+  }
+
+  generateJestSetup() {
+    const isTs = this.useTypeScript;
+    const ts = annotation => (isTs ? annotation : '');
+    let content = `// Jest setup file - runs before each test file
+import '@testing-library/react-native/extend-expect';
+import * as fs from 'fs';
+import * as path from 'path';
+import { format } from 'util';
+import { allowedConsoleErrors, consoleAllowlist } from './jest-console';
 
 `;
 
-    // Add navigation mock
-    content += `// Mock React Navigation
-jest.mock('@react-navigation/native', () => {
-  const actualNav = jest.requireActual('@react-navigation/native');
-  return {
-    ...actualNav,
-    useNavigation: () => ({
-      navigate: jest.fn(),
-      goBack: jest.fn(),
-      setOptions: jest.fn(),
-      addListener: jest.fn(),
-    }),
-    useRoute: () => ({
-      params: {},
-    }),
-    useFocusEffect: jest.fn(),
+    // Fail on unexpected console.error instead of hiding React warnings
+    content += `// Console guard: messages matching jest-console.${isTs ? 'ts' : 'js'} are dropped and counted,
+// any other console.error fails the test that logged it
+const suppressed = new Map${ts('<string, { level: string; pattern: string; reason: string; count: number }>')}();
+let unexpectedErrors${ts(': string[]')} = [];
+
+(['error', 'warn']${ts(' as const')}).forEach(level => {
+  const original = console[level];
+  console[level] = (...args${ts(': unknown[]')}) => {
+    const message = format(...args);
+    const entry = consoleAllowlist.find(item => (!item.level || item.level === level) && item.pattern.test(message));
+    if (entry) {
+      const key = \`\${level} \${entry.pattern}\`;
+      const seen = suppressed.get(key) || { level, pattern: String(entry.pattern), reason: entry.reason, count: 0 };
+      suppressed.set(key, { ...seen, count: seen.count + 1 });
+      return;
+    }
+    if (level === 'error') {
+      if (allowedConsoleErrors.some(pattern => pattern.test(message))) return;
+      unexpectedErrors.push(message);
+    }
+    original.apply(console, args);
   };
 });
 
-`;
+afterEach(() => {
+  const errors = unexpectedErrors;
+  unexpectedErrors = [];
+  allowedConsoleErrors.length = 0;
+  if (errors.length > 0) {
+    throw new Error(
+      \`Unexpected console.error:\\n\\n\${errors.join('\\n\\n')}\\n\\n\` +
+        'Fix the cause, allowlist it in jest-console.${isTs ? 'ts' : 'js'}, or call allowConsoleErrors() in the test.',
+    );
+  }
+});
 
-    // Add gesture handler mock
-    content += `// Mock Gesture Handler
-jest.mock('react-native-gesture-handler', () => {
-  const View = require('react-native').View;
-  return {
-    GestureHandlerRootView: View,
-    Swipeable: View,
-    DrawerLayout: View,
-    State: {},
-    PanGestureHandler: View,
-    BaseButton: View,
-    Directions: {},
-    TouchableOpacity: View,
-    TouchableHighlight: View,
-    TouchableNativeFeedback: View,
-    TouchableWithoutFeedback: View,
-  };
+// Hand the counts to ${CONSOLE_REPORTER_FILE}, when it is running
+afterAll(() => {
+  const dir = path.join(__dirname, ${toStringLiteral(CONSOLE_REPORT_DIR)});
+  if (suppressed.size === 0 || !fs.existsSync(dir)) return;
+  const file = path.join(dir, \`\${process.pid}-\${Math.random().toString(36).slice(2)}.json\`);
+  fs.writeFileSync(file, JSON.stringify([...suppressed.values()]));
 });
 
 `;
 
-    // Add safe area mock
-    content += `// Mock Safe Area Context
-jest.mock('react-native-safe-area-context', () => ({
-  SafeAreaProvider: ({ children }${isTs ? ': { children: React.ReactNode }' : ''}) => children,
-  SafeAreaView: ({ children }${isTs ? ': { children: React.ReactNode }' : ''}) => children,
-  useSafeAreaInsets: () => ({ top: 0, right: 0, bottom: 0, left: 0 }),
-  useSafeAreaFrame: () => ({ x: 0, y: 0, width: 375, height: 812 }),
-}));
+    // Add native module mocks
+    content += `// Mock native animated module
+jest.mock('react-native/Libraries/Animated/NativeAnimatedHelper');
 
 `;
 
+    // Add a mock for each installed native library
+    content += this.generateNativeMocks();
+
     // Add MSW setup if enabled
     if (this.options.withMsw) {
       content += `// MSW Server Setup
@@ -356,6 +1614,117 @@ jest.setTimeout(10000);
     return content;
   }
 
+  /**
+   * The console allowlist jest-setup checks messages against, and the
+   * per-test escape hatch for tests that expect an error.
+   */
+  generateConsoleAllowlist() {
+    const isTs = this.useTypeScript;
+
+    return `/**
+ * Console messages tests may log.
+ *
+ * jest-setup fails any test that calls console.error, so key warnings,
+ * act() misuse and state updates on unmounted components surface. Messages
+ * matching an entry below are dropped instead and counted in the summary
+ * printed after the run. Keep each pattern narrow and give it a reason, so
+ * it can be removed once the cause is fixed.
+ */
+${isTs ? `export type ConsoleAllowlistEntry = {
+  /** Tested against the formatted message */
+  pattern: RegExp;
+  /** Only match this console method; both when omitted */
+  level?: 'error' | 'warn';
+  reason: string;
+};
+
+export const consoleAllowlist: ConsoleAllowlistEntry[] = [` : `/** @type {{ pattern: RegExp, level?: 'error' | 'warn', reason: string }[]} */
+export const consoleAllowlist = [`}
+  {
+    level: 'warn',
+    pattern: /\`new NativeEventEmitter\\(\\)\` was called with a non-null argument/,
+    reason: 'Mocked native modules have no addListener/removeListeners',
+  },
+  // {
+  //   level: 'error',
+  //   pattern: /Warning: componentWillReceiveProps has been renamed/,
+  //   reason: 'Third-party component, fixed upstream in the next major',
+  // },
+];
+
+/**
+ * console.error patterns the current test may log, cleared after each test.
+ */
+export const allowedConsoleErrors${isTs ? ': RegExp[]' : ''} = [];
+
+/**
+ * Lets the current test log console.error messages matching \`pattern\`,
+ * or any message without one, e.g. an error boundary rendering its fallback.
+ */
+export function allowConsoleErrors(pattern${isTs ? ': RegExp' : ''} = /[\\s\\S]*/) {
+  allowedConsoleErrors.push(pattern);
+}
+`;
+  }
+
+  /**
+   * A Jest reporter printing what the console guard suppressed across all
+   * test files. Plain CommonJS, as Jest loads reporters without transforming.
+   */
+  generateConsoleReporter() {
+    return `/**
+ * Prints the console messages jest-setup suppressed through the
+ * jest-console allowlist, once all test files have run.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const REPORT_DIR = path.join(__dirname, ${toStringLiteral(CONSOLE_REPORT_DIR)});
+
+class ConsoleAllowlistReporter {
+  onRunStart() {
+    fs.rmSync(REPORT_DIR, { recursive: true, force: true });
+    fs.mkdirSync(REPORT_DIR, { recursive: true });
+  }
+
+  onRunComplete() {
+    if (!fs.existsSync(REPORT_DIR)) return;
+
+    const totals = new Map();
+    fs.readdirSync(REPORT_DIR).forEach(file => {
+      JSON.parse(fs.readFileSync(path.join(REPORT_DIR, file), 'utf-8')).forEach(entry => {
+        const key = \`\${entry.level} \${entry.pattern}\`;
+        const total = totals.get(key) || { ...entry, count: 0 };
+        totals.set(key, { ...total, count: total.count + entry.count });
+      });
+    });
+    fs.rmSync(REPORT_DIR, { recursive: true, force: true });
+
+    if (totals.size === 0) return;
+    const lines = [...totals.values()]
+      .sort((a, b) => b.count - a.count)
+      .map(({ level, pattern, reason, count }) => \`  \${String(count).padStart(4)} × console.\${level} \${pattern} (\${reason})\`);
+    console.log(\`\\nSuppressed console messages (jest-console.${this.useTypeScript ? 'ts' : 'js'}):\\n\${lines.join('\\n')}\\n\`);
+  }
+}
+
+module.exports = ConsoleAllowlistReporter;
+`;
+  }
+
+  /**
+   * The registry mock of every installed native library, in registry order.
+   */
+  generateNativeMocks() {
+    const context = {
+      ts: annotation => (this.useTypeScript ? annotation : ''),
+      expoConfig: this.expoConfig,
+      appName: this.packageJson.name || 'app',
+    };
+
+    return this.nativeMocks.map(name => `${NATIVE_MOCKS[name](context)}\n\n`).join('');
+  }
+
   generateTestUtils() {
     const isTs = this.useTypeScript;
 
@@ -433,6 +1802,94 @@ export const createMockRoute = (params = {}) => ({
   }
 
   generateMswHandlers() {
+    if (this.mswVersion < 2) return this.generateLegacyMswHandlers();
+
+    return `import { http, HttpResponse } from 'msw';
+
+// Define your API base URL
+const API_URL = process.env.API_URL || 'https://api.example.com';
+
+/**
+ * Default handlers for your API endpoints.
+ * These handlers will be used for all tests unless overridden.
+ */
+export const handlers = [
+  // Example: GET user by ID
+  http.get(\`\${API_URL}/users/:id\`, ({ params }) => {
+    const { id } = params;
+
+    return HttpResponse.json({
+      id,
+      name: 'Test User',
+      email: 'test@example.com',
+    });
+  }),
+
+  // Example: POST login
+  http.post(\`\${API_URL}/auth/login\`, async ({ request }) => {
+    const { email, password } = ${this.useTypeScript ? '(await request.json()) as { email: string; password: string }' : 'await request.json()'};
+
+    if (email === 'test@example.com' && password === 'password') {
+      return HttpResponse.json({
+        token: 'mock-jwt-token',
+        user: {
+          id: '1',
+          email,
+          name: 'Test User',
+        },
+      });
+    }
+
+    return HttpResponse.json({ error: 'Invalid credentials' }, { status: 401 });
+  }),
+
+  // Example: GET list of items
+  http.get(\`\${API_URL}/items\`, ({ request }) => {
+    const url = new URL(request.url);
+    const page = url.searchParams.get('page') || '1';
+    const limit = url.searchParams.get('limit') || '10';
+
+    return HttpResponse.json({
+      items: [
+        { id: '1', name: 'Item 1' },
+        { id: '2', name: 'Item 2' },
+        { id: '3', name: 'Item 3' },
+      ],
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: 3,
+      },
+    });
+  }),
+
+  // Add more handlers as needed...
+];
+
+/**
+ * Error handlers - use these in specific tests to simulate errors
+ */
+export const errorHandlers = {
+  serverError: http.get(\`\${API_URL}/*\`, () =>
+    HttpResponse.json({ error: 'Internal server error' }, { status: 500 })
+  ),
+
+  networkError: http.get(\`\${API_URL}/*\`, () =>
+    HttpResponse.error()
+  ),
+
+  unauthorized: http.get(\`\${API_URL}/*\`, () =>
+    HttpResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  ),
+};
+`;
+  }
+
+  /**
+   * The same example handlers in the MSW v1 `rest` API, for projects
+   * that have not upgraded yet.
+   */
+  generateLegacyMswHandlers() {
     return `import { rest } from 'msw';
 
 // Define your API base URL
@@ -543,6 +2000,44 @@ export const server = setupServer(...handlers);
 `;
   }
 
+  /**
+   * Rewrites the project's MSW v1 handlers file to the v2 API in place, or
+   * prints the result with --dry-run.
+   */
+  migrateMswHandlers() {
+    console.log('\n🔁 Migrating MSW handlers to v2...');
+
+    const handlersPath = this.existingFiles.mswHandlers;
+    if (!handlersPath) {
+      throw new Error(`No MSW handlers file found (looked for ${MSW_HANDLER_FILES.join(', ')})`);
+    }
+
+    const source = fs.readFileSync(path.join(this.projectPath, handlersPath), 'utf-8');
+    const { content, notes } = migrateMswSource(source);
+
+    if (content === source) {
+      console.log(`  ✓ ${handlersPath} has no MSW v1 handlers`);
+    } else if (this.options.dryRun) {
+      console.log(`\n📄 ${handlersPath} (dry-run):\n`);
+      console.log(content);
+    } else {
+      fs.writeFileSync(path.join(this.projectPath, handlersPath), content, 'utf-8');
+      this.files.push({ path: handlersPath, content });
+      console.log(`  ✓ ${handlersPath}`);
+    }
+
+    if (notes.length > 0) {
+      console.log('\n⚠️  Needs a manual update:');
+      notes.forEach(note => console.log(`  • ${note}`));
+    }
+
+    console.log('\n💡 Tests that pass rest handlers to server.use() need the same change.');
+    if (this.mswVersion < 2) {
+      console.log('\n📦 Upgrade MSW to match:');
+      console.log('  npm install --save-dev msw@^2.0.0');
+    }
+  }
+
   generateExampleTest() {
     const renderImport = this.options.withProviders
       ? `import { render, screen, userEvent } from '${this.hasSrcDir ? '@/' : './'}test-utils';`
@@ -648,8 +2143,78 @@ describe('Absence Testing Pattern', () => {
 `;
   }
 
+  /**
+   * A route test rendering in-memory routes with expo-router's
+   * renderRouter(), using the real router instead of the setup file mock.
+   */
+  generateRouterTest() {
+    const appDir = ['app', 'src/app'].find(dir => this.fileExists(dir));
+
+    return `/**
+ * Expo Router Test
+ *
+ * renderRouter() mounts routes in an in-memory router, so tests can
+ * navigate between screens and assert the current path and params.
+ */
+
+import { Link, useLocalSearchParams } from 'expo-router';
+import { renderRouter, screen } from 'expo-router/testing-library';
+import { Text } from 'react-native';
+import { userEvent } from '@testing-library/react-native';
+
+// Use the real router and navigation instead of the jest-setup mocks
+jest.unmock('expo-router');
+jest.unmock('@react-navigation/native');
+
+function Home() {
+  return <Link href="/profile/42">Open profile</Link>;
+}
+
+function Profile() {
+  const { id } = useLocalSearchParams<{ id: string }>();
+  return <Text>Profile {id}</Text>;
+}
+
+describe('Expo Router', () => {
+  it('renders the initial route', () => {
+    renderRouter({ index: Home, 'profile/[id]': Profile }, { initialUrl: '/' });
+
+    expect(screen).toHavePathname('/');
+    expect(screen.getByText('Open profile')).toBeOnTheScreen();
+  });
+
+  it('navigates to a dynamic route with its params', async () => {
+    const user = userEvent.setup();
+    renderRouter({ index: Home, 'profile/[id]': Profile }, { initialUrl: '/' });
+
+    await user.press(screen.getByText('Open profile'));
+
+    expect(screen).toHavePathname('/profile/42');
+    expect(await screen.findByText('Profile 42')).toBeOnTheScreen();
+  });
+
+  it('opens a deep link directly', () => {
+    renderRouter({ index: Home, 'profile/[id]': Profile }, { initialUrl: '/profile/7' });
+
+    expect(screen).toHaveSegments(['profile', '[id]']);
+    expect(screen.getByText('Profile 7')).toBeOnTheScreen();
+  });${appDir ? `
+
+  // TODO: Render the app's own routes, with the providers its layouts need
+  // it('renders the home screen', () => {
+  //   renderRouter('./${appDir}', { initialUrl: '/' });
+  //   expect(screen).toHavePathname('/');
+  // });` : ''}
+});
+`;
+  }
+
   writeFiles() {
     if (this.options.dryRun) {
+      this.files.filter(file => file.diff).forEach(file => {
+        console.log(`\n📄 ${file.path} (dry-run diff):\n`);
+        console.log(file.diff);
+      });
       console.log('\n📋 Dry run - no files written');
       return;
     }
@@ -666,54 +2231,155 @@ describe('Absence Testing Pattern', () => {
       }
 
       fs.writeFileSync(fullPath, file.content, 'utf-8');
-      console.log(`  ✓ ${file.path}`);
+      console.log(`  ✓ ${file.path}${file.diff ? ' (updated)' : ''}`);
     });
   }
 
+  /**
+   * The dev dependencies the generated setup needs, with versions matched
+   * to the project's React and React Native versions.
+   */
+  getRequiredDevDependencies() {
+    const deps = this.dependencies;
+    const react = parseVersion(deps.react);
+    const reactNative = parseVersion(deps['react-native']);
+    // React Native 0.71 moved its template to Jest 29
+    const jest29 = !reactNative || reactNative.major > 0 || reactNative.minor >= 71;
+
+    const required = {
+      // 12.4 added the built-in matchers jest-setup imports; 13 supports React 19
+      '@testing-library/react-native': react && react.major >= 19 ? '^13.0.0' : '^12.4.0',
+      jest: jest29 ? '^29.6.3' : '^26.6.3',
+    };
+
+    // The test renderer has to be exactly the React version
+    if (deps.react) required['react-test-renderer'] = deps.react.replace(/^[\^~]/, '');
+    if (this.useTypeScript) required['@types/jest'] = jest29 ? '^29.5.12' : '^26.0.24';
+    if (this.options.withMsw) required.msw = '^2.0.0';
+
+    // jest-expo versions follow the Expo SDK
+    if (this.isExpo) {
+      const sdk = parseVersion(deps.expo);
+      required['jest-expo'] = sdk ? `~${sdk.major}.0.0` : '*';
+    }
+
+    return required;
+  }
+
+  getMissingDevDependencies() {
+    return Object.entries(this.getRequiredDevDependencies()).filter(([dep]) => !this.dependencies[dep]);
+  }
+
+  /**
+   * The command that installs `dependencies` ([name, version] pairs) as dev
+   * dependencies, or installs what package.json lists when there are none.
+   * Expo picks SDK-compatible versions itself.
+   */
+  getInstallCommand(dependencies = []) {
+    const pm = this.packageManager;
+    if (dependencies.length === 0) return pm === 'yarn' ? 'yarn' : `${pm} install`;
+    if (this.isExpo) {
+      return `npx expo install ${dependencies.map(([name]) => name).join(' ')} -- ${pm === 'yarn' || pm === 'bun' ? '--dev' : '--save-dev'}`;
+    }
+
+    const add = { npm: 'npm install --save-dev', yarn: 'yarn add --dev', pnpm: 'pnpm add --save-dev', bun: 'bun add --dev' }[pm];
+    return `${add} ${dependencies.map(([name, version]) => `${name}@${version}`).join(' ')}`;
+  }
+
+  getRunCommand(script) {
+    if (script === 'test') return `${this.packageManager} test`;
+    return this.packageManager === 'yarn' ? `yarn ${script}` : `${this.packageManager} run ${script}`;
+  }
+
   updatePackageJson() {
-    if (this.options.dryRun) return;
+    const write = this.options.writePackageJson;
+    if (this.options.dryRun && !write) return;
 
     console.log('\n📦 Checking dependencies...');
 
-    const requiredDeps = {
-      '@testing-library/react-native': '^12.0.0',
-      '@testing-library/jest-native': '^5.0.0',
-      jest: '^29.0.0',
-    };
+    // Re-read, since --update may have just patched the "jest" key
+    const packageJsonPath = path.join(this.projectPath, 'package.json');
+    const source = fs.readFileSync(packageJsonPath, 'utf-8');
+    const scripts = JSON.parse(source).scripts || {};
+    const missingDeps = this.getMissingDevDependencies();
+    const missingScripts = Object.entries(TEST_SCRIPTS).filter(([name]) => !scripts[name]);
 
-    if (this.options.withMsw) {
-      requiredDeps['msw'] = '^2.0.0';
+    if (this.dependencies['@testing-library/jest-native']) {
+      console.log('  💡 @testing-library/jest-native is deprecated; its matchers are built into @testing-library/react-native 12.4+');
     }
 
-    const devDeps = this.packageJson.devDependencies || {};
-    const missingDeps = Object.entries(requiredDeps).filter(([dep]) => !devDeps[dep]);
+    if (missingDeps.length === 0 && missingScripts.length === 0) {
+      console.log('  ✓ All required dependencies and scripts present');
+      return;
+    }
+
+    if (write) {
+      const content = this.addPackageJsonEntries(source, missingDeps, missingScripts);
+      if (this.options.dryRun) {
+        console.log('\n📄 package.json (dry-run diff):\n');
+        console.log(createUnifiedDiff(source, content, 'package.json'));
+        return;
+      }
+
+      fs.writeFileSync(packageJsonPath, content, 'utf-8');
+      missingDeps.forEach(([name, version]) => console.log(`  ✓ devDependencies: ${name}@${version}`));
+      missingScripts.forEach(([name, cmd]) => console.log(`  ✓ scripts: "${name}": "${cmd}"`));
+      console.log(`\n⚠️  Run \`${this.getInstallCommand()}\` to install them`);
+      return;
+    }
 
     if (missingDeps.length > 0) {
       console.log('\n⚠️  Missing dependencies detected. Run:');
-      console.log(`  npm install --save-dev ${missingDeps.map(([d]) => d).join(' ')}`);
+      console.log(`  ${this.getInstallCommand(missingDeps)}`);
     } else {
       console.log('  ✓ All required dependencies present');
     }
 
-    // Update scripts
-    const scripts = this.packageJson.scripts || {};
-    const suggestedScripts = {
-      test: 'jest',
-      'test:watch': 'jest --watch',
-      'test:coverage': 'jest --coverage',
-      'test:ci': 'jest --ci --coverage --maxWorkers=2',
-    };
-
-    const missingScripts = Object.entries(suggestedScripts).filter(([name]) => !scripts[name]);
-
     if (missingScripts.length > 0) {
-      console.log('\n💡 Suggested scripts to add to package.json:');
+      console.log('\n💡 Suggested scripts to add to package.json (or run with --write-package-json):');
       missingScripts.forEach(([name, cmd]) => {
         console.log(`  "${name}": "${cmd}"`);
       });
     }
   }
 
+  /**
+   * package.json with the missing dev dependencies and scripts added,
+   * keeping its key order and indentation. Scripts are appended;
+   * devDependencies stay sorted when they are, as npm keeps them.
+   */
+  addPackageJsonEntries(source, missingDeps, missingScripts) {
+    const packageJson = JSON.parse(source);
+    const indent = (source.match(/^([ \t]+)"/m) || [null, '  '])[1];
+
+    const addSection = (section, entries, after) => {
+      if (entries.length === 0) return;
+      const existing = packageJson[section];
+      const keys = Object.keys(existing || {});
+      const sorted = section !== 'scripts' &&
+        keys.every((key, i) => i === 0 || keys[i - 1].localeCompare(key, 'en') <= 0);
+      let merged = { ...existing, ...Object.fromEntries(entries) };
+      if (sorted) merged = Object.fromEntries(Object.entries(merged).sort(([a], [b]) => a.localeCompare(b, 'en')));
+
+      if (existing) {
+        packageJson[section] = merged;
+        return;
+      }
+
+      // A new section goes after its usual neighbour, or last
+      const topLevel = Object.entries(packageJson);
+      const index = topLevel.findIndex(([key]) => key === after);
+      topLevel.splice(index === -1 ? topLevel.length : index + 1, 0, [section, merged]);
+      Object.keys(packageJson).forEach(key => delete packageJson[key]);
+      topLevel.forEach(([key, value]) => { packageJson[key] = value; });
+    };
+
+    addSection('scripts', missingScripts, 'main');
+    addSection('devDependencies', missingDeps, 'dependencies');
+
+    return `${JSON.stringify(packageJson, null, indent)}${source.endsWith('\n') ? '\n' : ''}`;
+  }
+
   printInstructions() {
     console.log('\n' + '='.repeat(50));
     console.log('NEXT STEPS');
@@ -721,23 +2387,33 @@ describe('Absence Testing Pattern', () => {
 
     console.log(`
 1. Install dependencies:
-   npm install --save-dev @testing-library/react-native @testing-library/jest-native${this.options.withMsw ? ' msw' : ''}
+   ${this.options.writePackageJson && !this.options.dryRun
+    ? this.getInstallCommand()
+    : this.getInstallCommand(this.getMissingDevDependencies())}
 
 2. Run the example test:
-   npm test
+   ${this.getRunCommand('test')}
 
 3. Generate tests for your components:
    node scripts/component-test-generator.js src/components/YourComponent.tsx
 
 4. Check test coverage:
-   npm run test:coverage
+   ${this.getRunCommand('test:coverage')}
 
 5. Review and customize:
    - jest.config.${this.useTypeScript ? 'ts' : 'js'}: Adjust module paths, coverage thresholds
-   - jest-setup.${this.useTypeScript ? 'ts' : 'js'}: Add more native module mocks as needed
-${this.options.withProviders ? `   - src/test-utils.tsx: Configure your providers` : ''}
+   - ${this.getJestSetupFile()}: Add more native module mocks as needed
+${this.writesJestSetup() ? `   - jest-console.${this.useTypeScript ? 'ts' : 'js'}: Allowlist console messages tests may log\n` : ''}${this.options.withProviders ? `   - src/test-utils.tsx: Configure your providers` : ''}
 ${this.options.withMsw ? `   - src/mocks/handlers.ts: Add your API mock handlers` : ''}
 `);
+
+    const handlersPath = this.existingFiles.mswHandlers;
+    if (this.options.withMsw && handlersPath && !this.options.force) {
+      const handlers = fs.readFileSync(path.join(this.projectPath, handlersPath), 'utf-8');
+      if (/(?<![\w$.])rest\.\w+\(/.test(handlers)) {
+        console.log(`💡 ${handlersPath} uses the MSW v1 API. Run with --migrate-msw to rewrite it for v2.`);
+      }
+    }
   }
 }
 
@@ -757,6 +2433,9 @@ Options:
   --with-providers   Include custom render with providers
   --dry-run          Preview changes without writing files
   --force            Overwrite existing files
+  --update           Add missing settings to an existing Jest config (shows a diff with --dry-run)
+  --write-package-json  Add missing test scripts and devDependencies to package.json
+  --migrate-msw      Rewrite an existing MSW v1 handlers file to the v2 API
   --verbose, -v      Enable verbose output
   --help, -h         Show this help message
 
@@ -764,6 +2443,7 @@ Examples:
   node test-suite-scaffolder.js .
   node test-suite-scaffolder.js ./my-app --with-msw --with-providers
   node test-suite-scaffolder.js . --dry-run --verbose
+  node test-suite-scaffolder.js . --migrate-msw --dry-run
 `);
     process.exit(0);
   }
@@ -774,6 +2454,9 @@ Examples:
     withProviders: args.includes('--with-providers'),
     dryRun: args.includes('--dry-run'),
     force: args.includes('--force'),
+    update: args.includes('--update'),
+    writePackageJson: args.includes('--write-package-json'),
+    migrateMsw: args.includes('--migrate-msw'),
     verbose: args.includes('--verbose') || args.includes('-v'),
   };
 